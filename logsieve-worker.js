@@ -10,9 +10,12 @@ importScripts('shared.js');
 let rows = [];        // Full dataset
 let view = [];        // Filtered/sorted view
 let fieldNames = new Set();  // Track all extracted field names
+let sources = [];     // Loaded files in load order: { name, color, errorCount, offsetMs }
+let nextSourceColor = 0;     // Colour slot for the next source (slots are not reused)
 let currentFilterConfig = null;
 let appliedFilterConfig = null;
 let appliedAdvancedQuery = null;
+let appliedSort = { field: 'id', order: 'asc' };  // Sort of the current view (last APPLY_FILTERS)
 
 // Parsing State (for chunked processing)
 let parserState = {
@@ -20,9 +23,24 @@ let parserState = {
   currentEntry: null,  // Current multi-line entry being built
   id: 1,               // Next row ID
   totalBytes: 0,       // Total bytes processed
+  lineNo: 0,           // Physical lines consumed so far (line-oriented formats)
+  byteOffset: 0,       // File bytes consumed so far, in its encoding (line-oriented formats)
+  errors: [],          // Malformed input reported as { line, message }
+  errorCount: 0,       // Total malformed lines (errors is capped)
+  csv: null,           // Streaming CSV reader (created on first CSV chunk)
+  json: null,          // Streaming JSON-array reader (created on first JSON chunk)
+  multiline: null,     // Compiled multi-line rules (null = built-in heuristics only)
+  entryLines: 0,       // Lines in currentEntry so far
+  publishedEntry: null, // currentEntry when it is already in rows (follow mode shows it while open)
+  firstRow: 0,         // Index in rows of the first row from the current stream
+  options: {},         // Options sent with PARSE_START (format, size, csv settings, multiline rules,
+                       // append, source, tagFields, name, encoding, bomLength)
   startTime: 0         // Start time for performance tracking
 };
 
+// Cap on parse errors kept in memory and sent back to the UI
+const MAX_PARSE_ERRORS = 100;
+
 // ---------- Utilities ----------
 
 /**
@@ -33,18 +51,474 @@ const isWorker = typeof self !== 'undefined' && typeof window === 'undefined';
 // ---------- Data Parsing ----------
 
 /**
- * Reset parser state
+ * Reset parser state for a new input stream.
+ * With options.append the dataset, row ids and parse errors carry over, so several
+ * streams (e.g. archive members) end up in one dataset.
+ * @param {Object} options - Parse options sent with PARSE_START
  */
-function resetParserState() {
+function resetParserState(options = {}) {
+  const append = Boolean(options?.append);
+  const previous = parserState;
   parserState = {
     buffer: '',
     currentEntry: null,
-    id: 1,
+    id: append ? previous.id : 1,
     totalBytes: 0,
+    lineNo: 0,
+    byteOffset: options?.bomLength || 0, // The decoder strips the byte order mark
+    errors: append ? previous.errors : [],
+    errorCount: append ? previous.errorCount : 0,
+    csv: null,
+    json: null,
+    multiline: options?.multiline?.length ? compileMultilineRules(options.multiline) : null,
+    entryLines: 0,
+    publishedEntry: null,
+    firstRow: append ? rows.length : 0,
+    options: options || {},
     startTime: performance.now()
   };
-  rows = [];
+  if (!append) {
+    rows = [];
+    fieldNames.clear();
+    sources = [];
+    nextSourceColor = 0;
+  }
+  const source = options?.source;
+  if (source && !sources.some(s => s.name === source)) {
+    sources.push({ name: source, color: nextSourceColor++, errorCount: 0, offsetMs: 0 });
+  }
+}
+
+/**
+ * Stamp every row parsed from the current stream with its source (options.source, the
+ * loaded file's name) and tag fields (options.tagFields, e.g. { member: 'logs/app.log' })
+ * @param {number} from - First row to tag (a followed file only tags the rows it just added)
+ */
+function tagStreamRows(from = parserState.firstRow) {
+  const { source, tagFields } = parserState.options;
+  if (!source && !tagFields) return;
+  const offsetMs = sources.find(s => s.name === source)?.offsetMs || 0;
+  for (let i = from; i < rows.length; i++) {
+    if (source) rows[i].source = source;
+    if (tagFields) Object.assign(rows[i].fields, tagFields);
+    if (offsetMs) shiftRow(rows[i], offsetMs);
+  }
+  if (tagFields) Object.keys(tagFields).forEach(name => fieldNames.add(name));
+}
+
+/**
+ * Summary of the dataset sent with PARSE_COMPLETE and SOURCES_UPDATED
+ * @returns {Object}
+ */
+function datasetSummary() {
+  const counts = new Map();
+  for (const row of rows) {
+    if (row.source) counts.set(row.source, (counts.get(row.source) || 0) + 1);
+  }
+  return {
+    rowCount: rows.length,
+    fieldNames: [...fieldNames],
+    fieldRegistry: FieldRegistry.serialize(),
+    parseErrors: parserState.errors,
+    parseErrorCount: parserState.errorCount,
+    sources: sources.map(s => ({ ...s, rowCount: counts.get(s.name) || 0 }))
+  };
+}
+
+/**
+ * Interleave the loaded sources into one timeline. Each source keeps its own order: its rows
+ * are cut into events (a row with a timestamp plus the rows without one that follow it, such as
+ * stack trace lines parsed as separate rows), and the events of all sources are merged by
+ * timestamp, earlier-loaded sources first on ties. Rows before a source's first timestamp go
+ * with its first event; a source without timestamps goes last. Ids are renumbered in timeline
+ * order, while source and lineStart still point back into each file.
+ */
+function mergeSourcesByTime() {
+  const streams = new Map(sources.map(s => [s.name, { events: [], lead: [] }]));
+  for (const row of rows) {
+    const key = row.source || '';
+    let stream = streams.get(key);
+    if (!stream) streams.set(key, stream = { events: [], lead: [] });
+
+    const at = row.ts ? Date.parse(row.ts) : NaN;
+    if (!isNaN(at)) {
+      stream.events.push({ at, rows: stream.lead.length ? [...stream.lead, row] : [row] });
+      stream.lead = [];
+    } else if (stream.events.length) {
+      stream.events[stream.events.length - 1].rows.push(row);
+    } else {
+      stream.lead.push(row);
+    }
+  }
+
+  const list = [...streams.values()];
+  for (const stream of list) {
+    if (stream.lead.length) stream.events.push({ at: Infinity, rows: stream.lead });
+  }
+
+  // k-way merge; k is the number of loaded files, so a linear scan per event is enough
+  const next = list.map(() => 0);
+  const merged = [];
+  for (;;) {
+    let best = -1;
+    for (let i = 0; i < list.length; i++) {
+      const event = list[i].events[next[i]];
+      if (event && (best < 0 || event.at < list[best].events[next[best]].at)) best = i;
+    }
+    if (best < 0) break;
+    for (const row of list[best].events[next[best]++].rows) merged.push(row);
+  }
+
+  merged.forEach((row, i) => { row.id = i + 1; });
+  rows = merged;
+  view = rows;
+  parserState.id = rows.length + 1;
+}
+
+/**
+ * Move a row's timestamp by its source's clock offset. The parsed timestamp is kept in
+ * tsOriginal, so offsets can be changed or cleared later without drift.
+ * @param {Object} row
+ * @param {number} offsetMs - Offset of the row's source (0 restores the parsed timestamp)
+ */
+function shiftRow(row, offsetMs) {
+  if (row.tsOriginal === undefined) {
+    if (!offsetMs || !row.ts) return;
+    row.tsOriginal = row.ts;
+  }
+  row.ts = shiftTimestamp(row.tsOriginal, offsetMs);
+  if (!offsetMs) delete row.tsOriginal;
+}
+
+/**
+ * Correct one source's clock skew: every timestamp from it is moved by offsetMs, so
+ * filtering, sorting, stats and merging all see the corrected time
+ * @param {string} name - Source name
+ * @param {number} offsetMs - Milliseconds added to the source's parsed timestamps
+ */
+function setSourceOffset(name, offsetMs) {
+  const source = sources.find(s => s.name === name);
+  if (!source) return;
+  source.offsetMs = Math.round(Number(offsetMs) || 0);
+  for (const row of rows) {
+    if (row.source === name) shiftRow(row, source.offsetMs);
+  }
+}
+
+/**
+ * Align the clock of one row's source to another row's: both rows are taken to be the
+ * same moment, so the target's source gets the offset that makes their timestamps equal
+ * @param {number} referenceId - Row whose (corrected) time is trusted
+ * @param {number} targetId - Row from the source being corrected
+ * @returns {string|null} - Name of the corrected source
+ * @throws {Error} - If the rows are missing, lack timestamps or come from the same source
+ */
+function anchorSources(referenceId, targetId) {
+  const reference = rows.find(r => r.id === referenceId);
+  const target = rows.find(r => r.id === targetId);
+  if (!reference || !target) throw new Error('Anchor row not found');
+  if (!reference.ts || !(target.tsOriginal || target.ts)) throw new Error('Both anchor rows need a timestamp');
+  if (reference.source === target.source) throw new Error('Anchor rows must come from different files');
+  setSourceOffset(target.source, Date.parse(reference.ts) - Date.parse(target.tsOriginal || target.ts));
+  return target.source;
+}
+
+/**
+ * Drop every row (and parse error) that came from one source, keeping the others
+ * @param {string} name - Source name
+ */
+function removeSource(name) {
+  const source = sources.find(s => s.name === name);
+  if (!source) return;
+  sources = sources.filter(s => s !== source);
+  rows = rows.filter(r => r.source !== name);
+  view = view.filter(r => r.source !== name);
+  parserState.errors = parserState.errors.filter(e => e.source !== name);
+  parserState.errorCount -= source.errorCount;
+
+  // Fields only the removed source had go away
   fieldNames.clear();
+  for (const row of rows) {
+    for (const key in row.fields) fieldNames.add(key);
+  }
+  FieldRegistry.updateFromDataset(rows);
+}
+
+/**
+ * Record a malformed input line without aborting the parse
+ * @param {number} line - 1-based physical line number
+ * @param {string} message - Reason the line was rejected
+ */
+function reportParseError(line, message) {
+  const { source, name } = parserState.options;
+  parserState.errorCount++;
+  if (source) {
+    const entry = sources.find(s => s.name === source);
+    if (entry) entry.errorCount++;
+  }
+  if (parserState.errors.length < MAX_PARSE_ERRORS) {
+    const error = { line, message };
+    if (source) error.source = source;
+    if (name || source) error.file = name || source;
+    parserState.errors.push(error);
+  }
+}
+
+// ---------- Line Parsers ----------
+
+const MONTH_INDEX = {
+  Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5,
+  Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11
+};
+
+// Apache/Nginx common and combined log format
+const ACCESS_LOG_RE = /^(\S+) (\S+) (\S+) \[([^\]]+)\] "([^"]*)" (\d{3}) (\d+|-)(?: "([^"]*)" "([^"]*)")?/;
+
+/**
+ * Convert an access log time (10/Oct/2000:13:55:36 -0700) to an ISO string
+ * @param {string} s - Time text between the square brackets
+ * @returns {string} - ISO timestamp or empty string
+ */
+function parseAccessLogTime(s) {
+  const m = s.match(/^(\d{2})\/([A-Za-z]{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2})(?:\s+([+-])(\d{2})(\d{2}))?$/);
+  if (!m || MONTH_INDEX[m[2]] === undefined) return '';
+  const [, day, mon, year, hh, mm, ss, sign, offH, offM] = m;
+  let t = Date.UTC(Number(year), MONTH_INDEX[mon], Number(day), Number(hh), Number(mm), Number(ss));
+  if (sign) {
+    const offset = (Number(offH) * 60 + Number(offM)) * 60000;
+    t -= sign === '+' ? offset : -offset;
+  }
+  const d = new Date(t);
+  return isNaN(d) ? '' : d.toISOString();
+}
+
+/**
+ * Parse an Apache/Nginx access log line into row parts.
+ * The level is derived from the HTTP status (5xx ERROR, 4xx WARNING, otherwise INFO).
+ * @param {string} line - Raw log line
+ * @returns {Object|null} - { ts, level, message, fields } or null if the line does not match
+ */
+function parseAccessLogLine(line) {
+  const m = line.match(ACCESS_LOG_RE);
+  if (!m) return null;
+  const [, clientIp, ident, user, time, request, status, bytes, referer, userAgent] = m;
+  const [method, path, protocol] = request.split(' ');
+  const code = Number(status);
+
+  const fields = {
+    client_ip: clientIp,
+    method: method || '',
+    path: path || '',
+    protocol: protocol || '',
+    status: code,
+    bytes: bytes === '-' ? 0 : Number(bytes)
+  };
+  if (ident !== '-') fields.ident = ident;
+  if (user !== '-') fields.user = user;
+  if (referer !== undefined) fields.referer = referer;
+  if (userAgent !== undefined) fields.user_agent = userAgent;
+
+  return {
+    ts: parseAccessLogTime(time),
+    level: code >= 500 ? 'ERROR' : (code >= 400 ? 'WARNING' : 'INFO'),
+    message: request,
+    fields
+  };
+}
+
+// Syslog severities (index = numeric severity) and the LogSieve level each maps onto
+const SYSLOG_SEVERITIES = [
+  { name: 'emerg', level: 'FATAL' },
+  { name: 'alert', level: 'CRITICAL' },
+  { name: 'crit', level: 'CRITICAL' },
+  { name: 'err', level: 'ERROR' },
+  { name: 'warning', level: 'WARNING' },
+  { name: 'notice', level: 'NOTICE' },
+  { name: 'info', level: 'INFO' },
+  { name: 'debug', level: 'DEBUG' }
+];
+
+// Syslog facility names (index = numeric facility)
+const SYSLOG_FACILITIES = [
+  'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news',
+  'uucp', 'cron', 'authpriv', 'ftp', 'ntp', 'security', 'console', 'solaris-cron',
+  'local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7'
+];
+
+// <PRI>VERSION TIMESTAMP HOSTNAME APP-NAME PROCID MSGID, followed by STRUCTURED-DATA [MSG]
+const SYSLOG_5424_HEADER_RE = /^<(\d{1,3})>(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) /;
+// [<PRI>]MMM DD HH:MM:SS HOSTNAME [TAG[PID]:] MSG
+const SYSLOG_3164_LINE_RE = /^(?:<(\d{1,3})>)?([A-Z][a-z]{2} [ \d]\d \d{2}:\d{2}:\d{2}) (\S+) (?:([^\s:\[]+)(?:\[([^\]]*)\])?: ?)?(.*)$/;
+
+/**
+ * Decode a syslog PRI value into facility and severity fields
+ * @param {string} pri - Digits between < and >
+ * @param {Object} fields - Row fields to populate
+ * @returns {string} - LogSieve level for the severity, or empty string
+ */
+function applySyslogPriority(pri, fields) {
+  if (pri === undefined) return '';
+  const value = Number(pri);
+  if (value > 191) return '';
+  const severity = SYSLOG_SEVERITIES[value % 8];
+  fields.facility = SYSLOG_FACILITIES[Math.floor(value / 8)];
+  fields.severity = severity.name;
+  return severity.level;
+}
+
+/**
+ * Parse RFC 5424 STRUCTURED-DATA elements into fields named sd.<SD-ID>.<PARAM-NAME>
+ * @param {string} text - Text starting at the structured data
+ * @param {Object} fields - Row fields to populate
+ * @returns {number|null} - Index just past the structured data, or null if malformed
+ */
+function parseSyslogStructuredData(text, fields) {
+  if (text[0] === '-') return 1;
+  const safe = s => s.replace(/[^\w]/g, '_');
+  let i = 0;
+  while (text[i] === '[') {
+    const idEnd = text.slice(i + 1).search(/[ \]]/);
+    if (idEnd < 0) return null;
+    const sdId = safe(text.slice(i + 1, i + 1 + idEnd));
+    i += 1 + idEnd;
+    while (text[i] === ' ') {
+      const m = text.slice(i).match(/^ ([^=\s\]"]+)="/);
+      if (!m) return null;
+      i += m[0].length;
+      let value = '';
+      while (i < text.length && text[i] !== '"') {
+        // Only \", \\ and \] are escapes; any other backslash is literal
+        if (text[i] === '\\' && '"\\]'.includes(text[i + 1])) i++;
+        value += text[i++];
+      }
+      if (text[i] !== '"') return null;
+      i++;
+      fields[`sd.${sdId}.${safe(m[1])}`] = value;
+    }
+    if (text[i] !== ']') return null;
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Parse an RFC 5424 or RFC 3164 (BSD) syslog line into row parts.
+ * The PRI value becomes facility/severity fields and the severity sets the level;
+ * lines without a PRI fall back to the generic level heuristics.
+ * @param {string} line - Raw log line
+ * @returns {Object|null} - { ts, level, message, fields } or null if the line does not match
+ */
+function parseSyslogLine(line) {
+  const fields = {};
+  const nil = v => (v === '-' ? undefined : v);
+
+  const h = line.match(SYSLOG_5424_HEADER_RE);
+  if (h) {
+    const [header, pri, , timestamp, hostname, appname, procid, msgid] = h;
+    const rest = line.slice(header.length);
+    const sdEnd = parseSyslogStructuredData(rest, fields);
+    if (sdEnd !== null) {
+      const level = applySyslogPriority(pri, fields);
+      if (nil(hostname)) fields.hostname = hostname;
+      if (nil(appname)) fields.appname = appname;
+      if (nil(procid)) fields.procid = procid;
+      if (nil(msgid)) fields.msgid = msgid;
+      return {
+        ts: nil(timestamp) ? parseTimestampToISO(timestamp) : '',
+        level,
+        message: rest.slice(sdEnd).replace(/^ /, '').replace(/^\uFEFF/, ''),
+        fields
+      };
+    }
+  }
+
+  const m = line.match(SYSLOG_3164_LINE_RE);
+  if (!m) return null;
+  const [, pri, timestamp, hostname, tag, pid, msg] = m;
+  const level = applySyslogPriority(pri, fields);
+  fields.hostname = hostname;
+  if (tag) fields.appname = tag;
+  if (pid) fields.procid = pid;
+  return { ts: parseTimestampToISO(timestamp), level, message: msg, fields };
+}
+
+/**
+ * Parse a logfmt line (key=value pairs) into row parts; each pair becomes its own field.
+ * Indented lines are left to the multi-line heuristics so stack traces still join.
+ * @param {string} line - Raw log line
+ * @returns {Object|null} - { ts, level, message, fields } or null if the line has no pairs
+ */
+function parseLogfmtLine(line) {
+  if (/^\s/.test(line)) return null;
+  const pairs = parseLogfmt(line);
+  if (Object.keys(pairs).length === 0) return null;
+  return logfmtToRowParts(pairs);
+}
+
+/**
+ * Per-format line parsers used by parseLogChunk, keyed by the format sent with PARSE_START.
+ * A parser returns { ts, level, message, fields } for a line it recognizes, or null to
+ * fall back to the generic timestamp/level heuristics (including multi-line joining).
+ */
+const LINE_PARSERS = {
+  access: parseAccessLogLine,
+  syslog: parseSyslogLine,
+  logfmt: parseLogfmtLine
+};
+
+/**
+ * Record the year inferred for the row's yearless timestamp, if any, so the guess stays visible
+ * @param {Object} row - Row whose ts was just parsed
+ * @returns {Object} - The same row
+ */
+function takeInferredYear(row) {
+  if (row.ts && TimestampFormats.lastInferredYear) row.inferredYear = TimestampFormats.lastInferredYear;
+  TimestampFormats.lastInferredYear = null;
+  return row;
+}
+
+/**
+ * Finish a text log entry and add it to the dataset.
+ * A JSON object embedded in the message is flattened into dotted fields
+ * (fields the line parser already set take precedence); raw and message are
+ * left untouched. Rows whose JSON-looking payload failed to parse get a
+ * json_error field instead.
+ * @param {Object} entry - Row built by parseLogChunk
+ */
+function finalizeEntry(entry) {
+  const found = findEmbeddedJSON(entry.message);
+  if (found) {
+    if (found.error) {
+      entry.fields.json_error = found.error;
+      fieldNames.add('json_error');
+    } else {
+      for (const [key, value] of Object.entries(flattenObject(found.value))) {
+        if (key in entry.fields) continue;
+        entry.fields[key] = value;
+        fieldNames.add(key);
+      }
+    }
+  }
+  if (entry === parserState.publishedEntry) parserState.publishedEntry = null;
+  else rows.push(entry);
+}
+
+/**
+ * Count one physical line of a line-oriented format and work out where it sits in the file
+ * @param {string} text - Line as split on \n (may end in \r)
+ * @param {boolean} terminated - Whether a \n followed it in the input
+ * @returns {Object} - { line (without \r), byteStart, byteEnd } with byteEnd exclusive, before any line ending
+ */
+function nextPhysicalLine(text, terminated) {
+  const line = text.endsWith('\r') ? text.slice(0, -1) : text;
+  const byteStart = parserState.byteOffset;
+  const { encoding } = parserState.options;
+  const byteEnd = byteStart + encodedByteLength(line, encoding);
+  // The dropped \r and the \n take one code unit each, so the line is measured only once
+  const breaks = text.length - line.length + (terminated ? 1 : 0);
+  parserState.lineNo++;
+  parserState.byteOffset = byteEnd + (breaks ? breaks * encodedByteLength('\n', encoding) : 0);
+  return { line, byteStart, byteEnd };
 }
 
 /**
@@ -76,16 +550,27 @@ function parseLogChunk(chunk, isLast, progressCallback = null) {
     parserState.buffer = parserState.buffer.substring(lastNewlineIndex + 1);
   }
 
-  const lines = textToProcess.split(/\r?\n/);
+  const lines = textToProcess.split('\n');
+  const lineParser = LINE_PARSERS[parserState.options.format] || null;
 
   for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+    const { line, byteStart, byteEnd } = nextPhysicalLine(lines[i], !isLast || i < lines.length - 1);
     // Skip empty lines unless it's inside a multi-line message (though usually we trim)
     if (!line.trim()) continue;
 
-    // Check if this is a continuation of the previous entry
-    if (parserState.currentEntry && isContinuationLine(line)) {
+    // A line recognized by the format's parser always starts a new entry
+    TimestampFormats.lastInferredYear = null;
+    const parsed = lineParser ? lineParser(line) : null;
+
+    // Check if this is a continuation of the previous entry (user multi-line rules, then built-ins)
+    // Bytes as nextPhysicalLine measured them, so multi-byte text counts in full
+    const entry = parserState.currentEntry;
+    const event = entry && { lines: parserState.entryLines, bytes: entry.byteEnd - entry.byteStart };
+    if (!parsed && event && continuesEvent(line, event, parserState.multiline, byteEnd - byteStart)) {
       // Append to current entry's raw and message
+      parserState.entryLines++;
+      parserState.currentEntry.lineEnd = parserState.lineNo;
+      parserState.currentEntry.byteEnd = byteEnd;
       parserState.currentEntry.raw += '\n' + line;
       parserState.currentEntry.message += '\n' + line;
       // Update search index
@@ -95,149 +580,378 @@ function parseLogChunk(chunk, isLast, progressCallback = null) {
 
     // If we have a current entry, save it before starting a new one
     if (parserState.currentEntry) {
-      rows.push(parserState.currentEntry);
+      finalizeEntry(parserState.currentEntry);
     }
 
     // Start a new entry
-    const ts = tryTs(line);
-    const level = guessLevel(line);
-    const msg = stripPrefix(line) || line; // Use full line if no prefix found
-
-    parserState.currentEntry = {
+    // One timestamp search gives both the stamp and the message after it
+    const stamp = parsed?.ts && parsed?.message ? null : splitTimestamp(line);
+    const ts = parsed?.ts || stamp.ts;
+    const msg = parsed?.message || stamp.message || line; // Use full line if no prefix found
+    const level = parsed?.level || guessLevel(msg); // Looked for right after the timestamp
+    const fields = parsed?.fields || {};
+    for (const key of Object.keys(fields)) fieldNames.add(key);
+
+    parserState.entryLines = 1;
+    parserState.currentEntry = takeInferredYear({
       id: parserState.id++,
       ts,
       level,
+      levelNum: LogLevels.rank(level),
       message: msg,
       raw: line,
-      fields: {},
+      fields,
+      lineStart: parserState.lineNo, // Physical lines and byte range in the source file
+      lineEnd: parserState.lineNo,
+      byteStart,
+      byteEnd,
       _lc: (line + " " + msg).toLowerCase() // Lowercase for search
-    };
+    });
   }
 
   // If this is the last chunk, push the final entry
   if (isLast && parserState.currentEntry) {
-    rows.push(parserState.currentEntry);
+    finalizeEntry(parserState.currentEntry);
     parserState.currentEntry = null;
   }
 }
 
+// Delimiters considered when sniffing CSV-like input
+const CSV_DELIMITERS = [',', '\t', ';', '|'];
+
 /**
- * Parse CSV data into structured log entries
- * @param {string} text - CSV file content
- * @param {function} progressCallback - Optional callback for progress updates
- * @returns {Array<Object>} - Array of parsed log entries
+ * Guess the delimiter of CSV-like text from its first few lines.
+ * Picks the candidate that appears most consistently (same non-zero count per line)
+ * outside of quoted sections.
+ * @param {string} sample - Beginning of the file
+ * @returns {string} - Delimiter character (defaults to comma)
  */
-function parseCSV(text, progressCallback = null) {
-  const out = [];
-  const lines = text.split(/\r?\n/).filter(line => line.trim());
-
-  if (lines.length === 0) return out;
+function sniffCSVDelimiter(sample) {
+  const lines = sample.split(/\r?\n/).filter(l => l.trim()).slice(0, 10);
+  if (lines.length === 0) return ',';
+
+  let best = ',';
+  let bestScore = 0;
+  for (const delim of CSV_DELIMITERS) {
+    const counts = lines.map(line => {
+      let n = 0;
+      let inQuotes = false;
+      for (const ch of line) {
+        if (ch === '"') inQuotes = !inQuotes;
+        else if (ch === delim && !inQuotes) n++;
+      }
+      return n;
+    });
+    if (counts[0] === 0) continue;
+    const consistent = counts.filter(c => c === counts[0]).length / counts.length;
+    const score = consistent * 10 + Math.min(counts[0], 10) / 10;
+    if (score > bestScore) {
+      bestScore = score;
+      best = delim;
+    }
+  }
+  return best;
+}
 
-  // Parse CSV (basic implementation, handles quoted fields)
-  function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
+/**
+ * Decide whether the first CSV record is a header row.
+ * A header has unique, non-empty, non-numeric, non-timestamp cells and either
+ * names a known column or differs in kind from the record that follows it.
+ * @param {Array<string>} first - First record
+ * @param {Array<string>|null} second - Second record, if any
+ * @returns {boolean}
+ */
+function looksLikeCSVHeader(first, second) {
+  const isDataLike = v => v === '' || (!isNaN(parseFloat(v)) && isFinite(v)) || !!tryTs(v);
+  const cells = first.map(v => v.trim());
+  if (cells.some(isDataLike)) return false;
+  if (new Set(cells.map(c => c.toLowerCase())).size !== cells.length) return false;
+
+  const known = ['id', 'ts', 'timestamp', 'time', 'date', 'level', 'severity', 'loglevel', 'message', 'msg', 'text', 'description', 'raw'];
+  if (cells.some(c => known.includes(c.toLowerCase()))) return true;
+  if (!second) return true;
+  return second.some(v => isDataLike(v.trim()) && v.trim() !== '');
+}
 
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      const nextChar = line[i + 1];
+/**
+ * Work out which CSV columns hold the standard row properties.
+ * Without a header, columns are named col1..colN and the ts/level/message
+ * columns are inferred from the content of the first record.
+ * @param {Array<string>} headers - Lower-cased column names
+ * @param {Array<string>|null} sample - First data record, used when there is no header
+ * @returns {Object} - Column indices for ts, level, message and raw
+ */
+function buildCSVColumnMap(headers, sample = null) {
+  const map = {
+    headers,
+    tsIdx: headers.findIndex(h => h === 'ts' || h === 'timestamp' || h === 'time' || h === 'date'),
+    levelIdx: headers.findIndex(h => h === 'level' || h === 'severity' || h === 'loglevel'),
+    msgIdx: headers.findIndex(h => h === 'message' || h === 'msg' || h === 'text' || h === 'description'),
+    rawIdx: headers.findIndex(h => h === 'raw')
+  };
 
-      if (char === '"') {
-        if (inQuotes && nextChar === '"') {
-          current += '"';
-          i++; // Skip next quote
-        } else {
-          inQuotes = !inQuotes;
-        }
-      } else if (char === ',' && !inQuotes) {
-        result.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
+  if (sample) {
+    const values = sample.map(v => v.trim());
+    if (map.tsIdx < 0) map.tsIdx = values.findIndex(v => !!tryTs(v));
+    if (map.levelIdx < 0) map.levelIdx = values.findIndex(v => LogLevels.isLevelName(v));
+    if (map.msgIdx < 0) {
+      let longest = -1;
+      values.forEach((v, idx) => {
+        if (idx === map.tsIdx || idx === map.levelIdx) return;
+        if (longest < 0 || v.length > values[longest].length) longest = idx;
+      });
+      map.msgIdx = longest;
     }
-    result.push(current.trim());
-    return result;
   }
+  return map;
+}
 
-  // Parse header
-  const headers = parseCSVLine(lines[0]).map(h => h.toLowerCase());
+/**
+ * Map one CSV record onto a log row
+ * @param {Array<string>} values - Cell values
+ * @param {Object} map - Column map from buildCSVColumnMap
+ * @param {function} nextId - Returns the next sequential id; an id column is kept as a field,
+ *   so rows stay unique when files are appended
+ * @returns {Object} - Log row
+ */
+function mapCSVRecord(values, map, nextId) {
+  const { headers, tsIdx, levelIdx, msgIdx, rawIdx } = map;
+  values = values.map(v => v.trim());
+
+  const row = {
+    id: nextId(),
+    ts: '',
+    level: '',
+    levelNum: null,
+    message: '',
+    raw: '',
+    fields: {},
+    _lc: ''
+  };
 
-  // Find standard column indices
-  const idIdx = headers.findIndex(h => h === 'id');
-  const tsIdx = headers.findIndex(h => h === 'ts' || h === 'timestamp' || h === 'time' || h === 'date');
-  const levelIdx = headers.findIndex(h => h === 'level' || h === 'severity' || h === 'loglevel');
-  const msgIdx = headers.findIndex(h => h === 'message' || h === 'msg' || h === 'text' || h === 'description');
-  const rawIdx = headers.findIndex(h => h === 'raw');
+  // Map standard columns
+  if (tsIdx >= 0 && values[tsIdx]) {
+    TimestampFormats.lastInferredYear = null;
+    row.ts = parseTimestampToISO(values[tsIdx]) || values[tsIdx];
+    takeInferredYear(row);
+  }
 
-  // Parse data rows
-  let rowId = 1;
-  for (let i = 1; i < lines.length; i++) {
-    // Send progress update every 1000 rows
-    if (progressCallback && i % 1000 === 0) {
-      progressCallback(Math.round((i / lines.length) * 100), `Parsing ${fmt(i)}/${fmt(lines.length)} rows...`);
-    }
+  if (levelIdx >= 0 && values[levelIdx]) LogLevels.apply(row, values[levelIdx]);
 
-    const values = parseCSVLine(lines[i]);
-    if (values.length === 0 || (values.length === 1 && !values[0])) continue;
+  if (msgIdx >= 0 && values[msgIdx]) {
+    row.message = values[msgIdx];
+  }
 
-    const row = {
-      id: idIdx >= 0 && values[idIdx] ? parseInt(values[idIdx]) : rowId++,
-      ts: '',
-      level: '',
-      message: '',
-      raw: '',
-      fields: {},
-      _lc: ''
-    };
+  if (rawIdx >= 0 && values[rawIdx]) {
+    row.raw = values[rawIdx];
+  } else {
+    // If no raw column, reconstruct from all values
+    row.raw = values.join(' | ');
+  }
 
-    // Map standard columns
-    if (tsIdx >= 0 && values[tsIdx]) {
-      row.ts = parseTimestampToISO(values[tsIdx]) || values[tsIdx];
+  // Map remaining columns as fields
+  values.forEach((value, idx) => {
+    if (idx === tsIdx || idx === levelIdx || idx === msgIdx || idx === rawIdx) return;
+    if (!value) return;
+    const header = headers[idx] || `col${idx + 1}`;
+    // Parse JSON arrays if present
+    if (value.startsWith('[') && value.endsWith(']')) {
+      try {
+        row.fields[header] = JSON.parse(value);
+      } catch (e) {
+        row.fields[header] = value;
+      }
+    } else {
+      row.fields[header] = value;
     }
+    fieldNames.add(header);
+  });
 
-    if (levelIdx >= 0 && values[levelIdx]) {
-      row.level = values[levelIdx].toUpperCase();
-      if (row.level === 'WARN') row.level = 'WARNING';
+  // Build search index
+  row._lc = (row.raw + " " + row.message + " " + Object.values(row.fields).flat().join(" ")).toLowerCase();
+  return row;
+}
+
+/**
+ * Create a state-machine CSV reader whose state survives across chunks.
+ * Quoted fields may contain delimiters, doubled quotes and newlines, and a chunk
+ * boundary may fall anywhere (even between the two quotes of an escaped quote).
+ * @param {Object} options - { delimiter: 'auto'|','|'\t'|';'|'|', header: 'auto'|'yes'|'no' }
+ * @param {function} onRow - Receives each mapped log row
+ * @returns {Object} - Reader with push(chunk) and finish()
+ */
+function createCSVReader(options = {}, onRow) {
+  const state = {
+    delimiter: options.delimiter && options.delimiter !== 'auto' ? options.delimiter : null,
+    headerMode: options.header || 'auto',
+    sniffBuffer: '',
+    mode: 'start',       // start | unquoted | quoted | quote (quote seen inside quoted field)
+    field: '',
+    record: [],
+    line: 1,             // Physical line the current record started on
+    physicalLine: 1,
+    pending: [],         // Records held back until the header question is settled
+    map: null,
+    rowCount: 0
+  };
+  // Ids continue from the parser so they stay unique when files are appended
+  const nextId = () => parserState.id++;
+
+  function resolveHeader(final) {
+    if (state.map) return;
+    if (state.pending.length < 2 && !final && state.headerMode === 'auto') return;
+    const first = state.pending[0];
+    if (!first) return;
+
+    let hasHeader = state.headerMode === 'yes';
+    if (state.headerMode === 'auto') {
+      hasHeader = looksLikeCSVHeader(first.values, state.pending[1] ? state.pending[1].values : null);
+    }
+    if (hasHeader) {
+      state.map = buildCSVColumnMap(first.values.map(h => h.trim().toLowerCase()));
+      state.pending.shift();
+    } else {
+      const headers = first.values.map((_, idx) => `col${idx + 1}`);
+      state.map = buildCSVColumnMap(headers, first.values);
     }
+    const held = state.pending;
+    state.pending = [];
+    held.forEach(rec => emit(rec.values, rec.line, rec.lineEnd));
+  }
 
-    if (msgIdx >= 0 && values[msgIdx]) {
-      row.message = values[msgIdx];
+  function emit(values, line, lineEnd) {
+    if (values.length === 0 || (values.length === 1 && !values[0].trim())) return;
+    state.rowCount++;
+    const row = mapCSVRecord(values, state.map, nextId);
+    row.lineStart = line;
+    row.lineEnd = lineEnd;
+    onRow(row);
+  }
+
+  function endRecord(lineEnd) {
+    state.record.push(state.field);
+    state.field = '';
+    const values = state.record;
+    state.record = [];
+    const line = state.line;
+    state.line = state.physicalLine;
+    if (values.length === 1 && !values[0].trim()) return; // blank line
+    if (state.map) emit(values, line, lineEnd);
+    else {
+      state.pending.push({ values, line, lineEnd });
+      resolveHeader(false);
     }
+  }
 
-    if (rawIdx >= 0 && values[rawIdx]) {
-      row.raw = values[rawIdx];
-    } else {
-      // If no raw column, reconstruct from all values
-      row.raw = values.join(' | ');
-    }
-
-    // Map remaining columns as fields
-    headers.forEach((header, idx) => {
-      if (idx !== idIdx && idx !== tsIdx && idx !== levelIdx && idx !== msgIdx && idx !== rawIdx) {
-        if (values[idx]) {
-          // Parse JSON arrays if present
-          if (values[idx].startsWith('[') && values[idx].endsWith(']')) {
-            try {
-              row.fields[header] = JSON.parse(values[idx]);
-              fieldNames.add(header);
-            } catch (e) {
-              row.fields[header] = values[idx];
-              fieldNames.add(header);
-            }
-          } else {
-            row.fields[header] = values[idx];
-            fieldNames.add(header);
+  function consume(text) {
+    const delim = state.delimiter;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      switch (state.mode) {
+        case 'quoted':
+          if (ch === '"') state.mode = 'quote';
+          else {
+            if (ch === '\n') state.physicalLine++;
+            state.field += ch;
+          }
+          break;
+        case 'quote':
+          if (ch === '"') {
+            // Escaped quote ("")
+            state.field += '"';
+            state.mode = 'quoted';
+            break;
+          }
+          state.mode = 'unquoted';
+          i--; // Re-read this character as unquoted content
+          break;
+        default:
+          if (ch === '"' && state.mode === 'start') {
+            state.mode = 'quoted';
+          } else if (ch === delim) {
+            state.record.push(state.field);
+            state.field = '';
+            state.mode = 'start';
+          } else if (ch === '\n') {
+            state.physicalLine++;
+            state.mode = 'start';
+            endRecord(state.physicalLine - 1);
+          } else if (ch !== '\r') {
+            state.field += ch;
+            state.mode = 'unquoted';
           }
-        }
       }
-    });
+    }
+  }
 
-    // Build search index
-    row._lc = (row.raw + " " + row.message + " " + Object.values(row.fields).flat().join(" ")).toLowerCase();
-    out.push(row);
+  return {
+    state,
+    push(chunk) {
+      if (!state.delimiter) {
+        // Wait for a full line before sniffing the delimiter
+        state.sniffBuffer += chunk;
+        if (state.sniffBuffer.indexOf('\n') === -1) return;
+        state.delimiter = sniffCSVDelimiter(state.sniffBuffer.slice(0, 64 * 1024));
+        chunk = state.sniffBuffer;
+        state.sniffBuffer = '';
+      }
+      consume(chunk);
+    },
+    finish() {
+      if (!state.delimiter) {
+        state.delimiter = sniffCSVDelimiter(state.sniffBuffer);
+        consume(state.sniffBuffer);
+        state.sniffBuffer = '';
+      }
+      if (state.mode === 'quoted') {
+        reportParseError(state.line, 'Unterminated quoted field');
+      }
+      if (state.field !== '' || state.record.length > 0) endRecord(state.physicalLine);
+      resolveHeader(true);
+    }
+  };
+}
+
+/**
+ * Parse a chunk of CSV/TSV text, keeping the reader state across PARSE_CHUNK messages
+ * @param {string} chunk - New text chunk
+ * @param {boolean} isLast - Whether this is the last chunk
+ * @param {function} progressCallback - Optional callback for progress updates
+ */
+function parseCSVChunk(chunk, isLast, progressCallback = null) {
+  if (!parserState.csv) {
+    parserState.csv = createCSVReader(parserState.options.csv, row => rows.push(row));
   }
+  parserState.totalBytes += chunk.length;
+  if (chunk) parserState.csv.push(chunk);
+  if (isLast) parserState.csv.finish();
+
+  if (progressCallback) {
+    const total = parserState.options.size;
+    // Compressed input has no known text size; leave the bar to the reader's progress
+    const percent = isLast ? 100 : (total ? Math.min(99, Math.round((parserState.totalBytes / total) * 100)) : null);
+    progressCallback(percent, `Parsed ${fmt(parserState.csv.state.rowCount)} CSV rows...`);
+  }
+}
+
+/**
+ * Parse CSV data into structured log entries
+ * @param {string} text - CSV file content
+ * @param {function} progressCallback - Optional callback for progress updates
+ * @param {Object} options - Reader options (delimiter, header)
+ * @returns {Array<Object>} - Array of parsed log entries
+ */
+function parseCSV(text, progressCallback = null, options = {}) {
+  const out = [];
+  const reader = createCSVReader(options, row => {
+    out.push(row);
+    // Send progress update every 1000 rows
+    if (progressCallback && out.length % 1000 === 0) {
+      progressCallback(50, `Parsing ${fmt(out.length)} rows...`);
+    }
+  });
+  reader.push(text);
+  reader.finish();
 
   if (progressCallback) {
     progressCallback(100, `Parsed ${fmt(out.length)} entries`);
@@ -267,6 +981,7 @@ function parseJSON(text, progressCallback = null) {
   const items = Array.isArray(data) ? data : [data];
 
   let rowId = 1;
+  const nextId = () => rowId++;
   for (let i = 0; i < items.length; i++) {
     // Send progress update every 1000 items
     if (progressCallback && i % 1000 === 0) {
@@ -276,75 +991,424 @@ function parseJSON(text, progressCallback = null) {
     const item = items[i];
     if (typeof item !== 'object' || item === null) continue;
 
-    const row = {
-      id: item.id !== undefined ? item.id : rowId++,
-      ts: '',
-      level: '',
-      message: '',
-      raw: '',
-      fields: {},
-      _lc: ''
-    };
+    out.push(mapJSONItem(item, nextId));
+  }
+
+  if (progressCallback) {
+    progressCallback(100, `Parsed ${fmt(out.length)} entries`);
+  }
+
+  return out;
+}
+
+/**
+ * Map a parsed JSON object onto a log row.
+ * Shared by the whole-file JSON parser and the streaming NDJSON parser so both
+ * recognise the same ts/level/message keys and nested `fields` object.
+ * @param {Object} item - Parsed JSON object
+ * @param {function} nextId - Returns the next sequential id; an id key is kept as a field,
+ *   so rows stay unique when files are appended
+ * @returns {Object} - Log row
+ */
+function mapJSONItem(item, nextId) {
+  const row = {
+    id: nextId(),
+    ts: '',
+    level: '',
+    levelNum: null,
+    message: '',
+    raw: '',
+    fields: {},
+    _lc: ''
+  };
+
+  // Map standard properties
+  if (item.ts || item.timestamp || item.time || item.date) {
+    const tsVal = item.ts || item.timestamp || item.time || item.date;
+    row.ts = parseTimestampToISO(tsVal) || String(tsVal);
+  }
+
+  // pino and bunyan write numeric levels (30 = info)
+  if (item.level || item.severity || item.loglevel) LogLevels.apply(row, item.level || item.severity || item.loglevel);
+
+  if (item.message || item.msg || item.text || item.description) {
+    row.message = String(item.message || item.msg || item.text || item.description);
+  }
+
+  if (item.raw) {
+    row.raw = String(item.raw);
+  } else {
+    // Reconstruct raw from JSON
+    row.raw = JSON.stringify(item);
+  }
+
+  // Map remaining properties as fields
+  const standardProps = new Set(['ts', 'timestamp', 'time', 'date', 'level', 'severity',
+    'loglevel', 'message', 'msg', 'text', 'description', 'raw', '_lc']);
 
-    // Map standard properties
-    if (item.ts || item.timestamp || item.time || item.date) {
-      const tsVal = item.ts || item.timestamp || item.time || item.date;
-      row.ts = parseTimestampToISO(tsVal) || String(tsVal);
+  for (const [key, value] of Object.entries(item)) {
+    if (!standardProps.has(key)) {
+      if (Array.isArray(value)) {
+        row.fields[key] = value;
+      } else if (value !== null && value !== undefined) {
+        row.fields[key] = value;
+      }
+      fieldNames.add(key);
     }
+  }
 
-    if (item.level || item.severity || item.loglevel) {
-      row.level = String(item.level || item.severity || item.loglevel).toUpperCase();
-      if (row.level === 'WARN') row.level = 'WARNING';
+  // Also handle nested 'fields' object if present
+  if (item.fields && typeof item.fields === 'object') {
+    for (const [key, value] of Object.entries(item.fields)) {
+      if (Array.isArray(value)) {
+        row.fields[key] = value;
+      } else if (value !== null && value !== undefined) {
+        row.fields[key] = value;
+      }
+      fieldNames.add(key);
     }
+  }
 
-    if (item.message || item.msg || item.text || item.description) {
-      row.message = String(item.message || item.msg || item.text || item.description);
+  // Build search index
+  row._lc = (row.raw + " " + row.message + " " + Object.values(row.fields).flat().join(" ")).toLowerCase();
+  return row;
+}
+
+/**
+ * Parse a chunk of NDJSON / JSON Lines text.
+ * Complete lines are parsed as soon as they arrive; the trailing partial line is
+ * kept in `parserState.buffer` until the next chunk. Malformed lines are recorded
+ * with their line number and skipped instead of failing the whole file.
+ * @param {string} chunk - New text chunk
+ * @param {boolean} isLast - Whether this is the last chunk
+ */
+function parseNDJSONChunk(chunk, isLast) {
+  parserState.buffer += chunk;
+  parserState.totalBytes += chunk.length;
+
+  const lastNewlineIndex = parserState.buffer.lastIndexOf('\n');
+  if (!isLast && lastNewlineIndex === -1) return;
+
+  let textToProcess;
+  if (isLast) {
+    textToProcess = parserState.buffer;
+    parserState.buffer = '';
+  } else {
+    textToProcess = parserState.buffer.substring(0, lastNewlineIndex);
+    parserState.buffer = parserState.buffer.substring(lastNewlineIndex + 1);
+  }
+
+  const lines = textToProcess.split('\n');
+  const nextId = () => parserState.id++;
+
+  for (let i = 0; i < lines.length; i++) {
+    const { line, byteStart, byteEnd } = nextPhysicalLine(lines[i], !isLast || i < lines.length - 1);
+    const lineNo = parserState.lineNo;
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+
+    let item;
+    try {
+      item = JSON.parse(trimmed);
+    } catch (e) {
+      reportParseError(lineNo, e.message);
+      continue;
     }
 
-    if (item.raw) {
-      row.raw = String(item.raw);
-    } else {
-      // Reconstruct raw from JSON
-      row.raw = JSON.stringify(item);
+    if (typeof item !== 'object' || item === null || Array.isArray(item)) {
+      reportParseError(lineNo, 'Expected a JSON object');
+      continue;
     }
 
-    // Map remaining properties as fields
-    const standardProps = new Set(['id', 'ts', 'timestamp', 'time', 'date', 'level', 'severity',
-      'loglevel', 'message', 'msg', 'text', 'description', 'raw', '_lc']);
+    const row = mapJSONItem(item, nextId);
+    Object.assign(row, { lineStart: lineNo, lineEnd: lineNo, byteStart, byteEnd });
+    rows.push(row);
+  }
+}
+
+/**
+ * Create an incremental tokenizer for a top-level JSON array (or single object).
+ * Each array element is captured as the characters arrive, tracking nesting depth
+ * and string/escape state across chunk boundaries, and is handed to JSON.parse on
+ * its own once complete. Only the element currently being read is held in memory.
+ * Object elements are passed to onItem; other element types are skipped, matching
+ * parseJSON. A malformed element is reported with the line it starts on.
+ * @param {function} onItem - Receives each parsed object and the lines it starts and ends on
+ * @returns {Object} - Reader with push(chunk) and finish()
+ */
+function createJSONArrayReader(onItem) {
+  const isSpace = ch => ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t';
+
+  const state = {
+    phase: 'start',      // start | array | single | end
+    capturing: false,
+    kind: null,          // container | string | primitive
+    depth: 0,
+    inString: false,
+    escape: false,
+    parts: [],           // Pieces of the current element from earlier chunks
+    line: 1,
+    itemLine: 1,
+    itemCount: 0
+  };
 
-    for (const [key, value] of Object.entries(item)) {
-      if (!standardProps.has(key)) {
-        if (Array.isArray(value)) {
-          row.fields[key] = value;
-        } else if (value !== null && value !== undefined) {
-          row.fields[key] = value;
+  function completeItem(text) {
+    state.capturing = false;
+    state.parts = [];
+    if (state.kind !== 'container' || text[0] !== '{') return;
+    let item;
+    try {
+      item = JSON.parse(text);
+    } catch (e) {
+      reportParseError(state.itemLine, e.message);
+      return;
+    }
+    state.itemCount++;
+    onItem(item, state.itemLine, state.line);
+  }
+
+  function push(chunk) {
+    let segStart = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+      if (ch === '\n') state.line++;
+
+      if (state.capturing) {
+        if (state.inString) {
+          if (state.escape) state.escape = false;
+          else if (ch === '\\') state.escape = true;
+          else if (ch === '"') {
+            state.inString = false;
+            if (state.kind === 'string') completeItem(state.parts.join('') + chunk.slice(segStart, i + 1));
+          }
+          continue;
         }
-        fieldNames.add(key);
+        if (state.kind === 'primitive') {
+          if (ch === ',' || ch === ']' || isSpace(ch)) {
+            completeItem(state.parts.join('') + chunk.slice(segStart, i));
+            i--; // Let the array level see the terminator
+            if (ch === '\n') state.line--;
+          }
+          continue;
+        }
+        if (ch === '"') state.inString = true;
+        else if (ch === '{' || ch === '[') state.depth++;
+        else if (ch === '}' || ch === ']') {
+          state.depth--;
+          if (state.depth === 0) {
+            completeItem(state.parts.join('') + chunk.slice(segStart, i + 1));
+            if (state.phase === 'single') state.phase = 'end';
+          }
+        }
+        continue;
       }
-    }
 
-    // Also handle nested 'fields' object if present
-    if (item.fields && typeof item.fields === 'object') {
-      for (const [key, value] of Object.entries(item.fields)) {
-        if (Array.isArray(value)) {
-          row.fields[key] = value;
-        } else if (value !== null && value !== undefined) {
-          row.fields[key] = value;
+      if (isSpace(ch) || ch === '\uFEFF') continue;
+
+      if (state.phase === 'start') {
+        if (ch === '[') {
+          state.phase = 'array';
+          continue;
         }
-        fieldNames.add(key);
+        if (ch === '{') {
+          // A single top-level object is treated as a one-element array
+          state.phase = 'single';
+        } else {
+          throw new Error('Invalid JSON file: expected an array or object');
+        }
+      } else if (state.phase === 'end') {
+        reportParseError(state.line, 'Unexpected content after end of JSON data');
+        state.phase = 'trailing';
+        continue;
+      } else if (state.phase === 'trailing') {
+        continue;
+      } else if (ch === ',') {
+        continue;
+      } else if (ch === ']') {
+        state.phase = 'end';
+        continue;
       }
+
+      // Start of a new element
+      state.capturing = true;
+      state.itemLine = state.line;
+      segStart = i;
+      state.inString = ch === '"';
+      state.escape = false;
+      state.kind = (ch === '{' || ch === '[') ? 'container' : (ch === '"' ? 'string' : 'primitive');
+      state.depth = state.kind === 'container' ? 1 : 0;
     }
 
-    // Build search index
-    row._lc = (row.raw + " " + row.message + " " + Object.values(row.fields).flat().join(" ")).toLowerCase();
-    out.push(row);
+    if (state.capturing) state.parts.push(chunk.slice(segStart));
+  }
+
+  function finish() {
+    if (state.phase === 'start') {
+      throw new Error('Invalid JSON file: no data');
+    }
+    if (state.capturing && state.kind === 'primitive') {
+      completeItem(state.parts.join(''));
+    }
+    if (state.capturing || state.phase === 'array' || state.phase === 'single') {
+      reportParseError(state.capturing ? state.itemLine : state.line, 'Unexpected end of JSON data (file truncated?)');
+    }
   }
 
+  return { state, push, finish };
+}
+
+/**
+ * Parse a chunk of a JSON array export, emitting one row per object as soon as it is complete
+ * @param {string} chunk - New text chunk
+ * @param {boolean} isLast - Whether this is the last chunk
+ * @param {function} progressCallback - Optional callback for progress updates
+ */
+function parseJSONArrayChunk(chunk, isLast, progressCallback = null) {
+  if (!parserState.json) {
+    const nextId = () => parserState.id++;
+    parserState.json = createJSONArrayReader((item, line, lineEnd) => {
+      const row = mapJSONItem(item, nextId);
+      row.lineStart = line;
+      row.lineEnd = lineEnd;
+      rows.push(row);
+    });
+  }
+  parserState.totalBytes += chunk.length;
+  if (chunk) parserState.json.push(chunk);
+  if (isLast) parserState.json.finish();
+
   if (progressCallback) {
-    progressCallback(100, `Parsed ${fmt(out.length)} entries`);
+    const total = parserState.options.size;
+    const percent = isLast ? 100 : (total ? Math.min(99, Math.round((parserState.totalBytes / total) * 100)) : null);
+    progressCallback(percent, `Parsed ${fmt(parserState.json.state.itemCount)} objects · ${fmt(parserState.totalBytes)} bytes consumed...`);
   }
+}
 
-  return out;
+// ---------- Format Sniffing ----------
+
+// RFC 5424 (<PRI>VERSION TIMESTAMP ...) and RFC 3164 (<PRI>MMM DD HH:MM:SS HOST TAG:) headers
+const SYSLOG_5424_RE = /^<\d{1,3}>\d{1,2} \S+ \S+ \S+ \S+ \S+ /;
+const SYSLOG_3164_RE = /^(?:<\d{1,3}>)?[A-Z][a-z]{2} [ \d]\d \d{2}:\d{2}:\d{2} \S+ [^\s:]+?(?:\[\d+\])?: /;
+
+/**
+ * Split a single CSV line on a delimiter, honouring double quotes (sniffing only)
+ * @param {string} line - Line of text
+ * @param {string} delimiter - Delimiter character
+ * @returns {Array<string>}
+ */
+function splitCSVSampleLine(line, delimiter) {
+  const values = [];
+  let cur = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (ch === delimiter && !inQuotes) {
+      values.push(cur);
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  values.push(cur);
+  return values;
+}
+
+/**
+ * Score how well a sample matches CSV/TSV with a header row
+ * @param {Array<string>} lines - Non-empty sample lines
+ * @returns {Object|null} - { confidence, delimiter } or null
+ */
+function scoreCSVSample(lines) {
+  if (lines.length < 2) return null;
+  const delimiter = sniffCSVDelimiter(lines.join('\n'));
+  const first = splitCSVSampleLine(lines[0], delimiter);
+  if (first.length < 2) return null;
+
+  const consistent = lines.filter(l => splitCSVSampleLine(l, delimiter).length === first.length).length / lines.length;
+  const header = looksLikeCSVHeader(first, splitCSVSampleLine(lines[1], delimiter));
+  return { confidence: consistent * (header ? 0.95 : 0.6), delimiter };
+}
+
+/**
+ * Guess the format of a file from its first few KB.
+ * Every candidate parser is scored on the share of sample lines it recognizes;
+ * the extension-based hint only breaks near-ties.
+ * @param {string} sample - Beginning of the file
+ * @param {Object} options - { truncated: sample ends mid-file, hint: format implied by the extension }
+ * @returns {Object} - { format, confidence, delimiter?, candidates: [{ format, confidence }] }
+ */
+function sniffFormat(sample, options = {}) {
+  const text = (sample || '').replace(/^\uFEFF/, '');
+  let lines = text.split(/\r?\n/);
+  // The last line of a truncated sample is probably incomplete
+  if (options.truncated && lines.length > 1) lines.pop();
+  lines = lines.filter(l => l.trim()).slice(0, 50);
+
+  if (lines.length === 0) {
+    return { format: 'log', confidence: 0, candidates: [] };
+  }
+
+  const share = test => lines.filter(test).length / lines.length;
+  const isJSONObject = line => {
+    const t = line.trim();
+    if (t[0] !== '{') return false;
+    try {
+      const v = JSON.parse(t);
+      return v !== null && typeof v === 'object' && !Array.isArray(v);
+    } catch (e) {
+      return false;
+    }
+  };
+  const isLogfmt = line => {
+    const pairs = line.match(LOGFMT_PAIR_PATTERN) || [];
+    const covered = pairs.join('').replace(/\s/g, '').length;
+    return pairs.length >= 2 && covered / line.replace(/\s/g, '').length >= 0.8;
+  };
+
+  const candidates = [];
+  const start = text.trimStart();
+
+  if (/^\[\s*(?:\{|\]|$)/.test(start)) {
+    candidates.push({ format: 'json', confidence: 0.95 });
+  } else if (start[0] === '{') {
+    const ndjson = share(isJSONObject);
+    if (ndjson > 0) candidates.push({ format: 'ndjson', confidence: lines.length > 1 ? 0.95 * ndjson : 0.7 });
+    // A single pretty-printed object also starts with '{' but its first line is not valid JSON
+    if (!isJSONObject(lines[0])) candidates.push({ format: 'json', confidence: 0.75 });
+  }
+
+  const syslog = share(l => SYSLOG_5424_RE.test(l) || SYSLOG_3164_RE.test(l));
+  if (syslog > 0) candidates.push({ format: 'syslog', confidence: 0.95 * syslog });
+
+  const access = share(l => ACCESS_LOG_RE.test(l));
+  if (access > 0) candidates.push({ format: 'access', confidence: 0.95 * access });
+
+  const logfmt = share(isLogfmt);
+  if (logfmt > 0) candidates.push({ format: 'logfmt', confidence: 0.9 * logfmt });
+
+  const csv = scoreCSVSample(lines);
+  if (csv && csv.confidence > 0) candidates.push({ format: 'csv', confidence: csv.confidence, delimiter: csv.delimiter });
+
+  // Plain text is the fallback; timestamped events (and their stack traces) make it a confident one
+  candidates.push({ format: 'log', confidence: 0.4 + 0.45 * share(l => !!tryTs(l) || isContinuationLine(l)) });
+
+  for (const c of candidates) {
+    if (options.hint && c.format === options.hint) c.confidence = Math.min(0.99, c.confidence + 0.05);
+    c.confidence = Math.round(c.confidence * 100) / 100;
+  }
+  candidates.sort((a, b) => b.confidence - a.confidence);
+
+  const best = candidates[0];
+  const result = { format: best.format, confidence: best.confidence, candidates };
+  if (best.delimiter) result.delimiter = best.delimiter;
+  return result;
 }
 
 // ---------- Field Registry & Operators ----------
@@ -379,12 +1443,30 @@ function migrateFilter(oldFilter) {
  * Apply all active filters to the dataset
  */
 function applyFilters(sortConfig, progressCallback = null) {
-  // Builder rules are stored in appliedFilterConfig
+  appliedSort = sortConfig;
+  TimeAnchors.capture(rows);
+  let v = filterRows(rows, progressCallback);
+
+  // Sort results
+  if (progressCallback) progressCallback(70, 'Sorting results...');
+  v = v.slice().sort(rowComparator(sortConfig));
+
+  view = v;
+  if (progressCallback) progressCallback(100, 'Filtering complete');
+  return view;
+}
 
-  let v = rows;
+/**
+ * Keep the rows that pass the applied builder rules and advanced query
+ * @param {Array} list - Rows to filter
+ * @param {function} progressCallback - Optional progress callback
+ * @returns {Array}
+ */
+function filterRows(list, progressCallback = null) {
+  let v = list;
 
   // Builder: if configured via builder, apply structured filter on top first
-  if (appliedFilterConfig && (appliedFilterConfig.rules && appliedFilterConfig.rules.length > 0)) {
+  if (appliedFilterConfig) {
     v = applyFilterConfig(v, appliedFilterConfig, progressCallback);
   }
 
@@ -392,12 +1474,18 @@ function applyFilters(sortConfig, progressCallback = null) {
   if (appliedAdvancedQuery) {
     v = applyFilterConfig(v, appliedAdvancedQuery, progressCallback);
   }
+  return v;
+}
 
-  // Sort results
-  if (progressCallback) progressCallback(70, 'Sorting results...');
+/**
+ * Comparator for a sort setting from the UI
+ * @param {Object} sortConfig - { field: 'id' | 'ts' | 'level' | 'field:<name>' | …, order: 'asc' | 'desc' }
+ * @returns {function} - (a, b) => number
+ */
+function rowComparator(sortConfig) {
   const sort = sortConfig.field;
   const ord = sortConfig.order;
-  v = v.slice().sort((a, b) => {
+  return (a, b) => {
     let A, B;
 
     // Check if sorting by a field column
@@ -417,11 +1505,7 @@ function applyFilters(sortConfig, progressCallback = null) {
     if (A < B) return ord === 'asc' ? -1 : 1;
     if (A > B) return ord === 'asc' ? 1 : -1;
     return 0;
-  });
-
-  view = v;
-  if (progressCallback) progressCallback(100, 'Filtering complete');
-  return view;
+  };
 }
 
 /**
@@ -462,8 +1546,141 @@ function getPageData(pageNum, perPage) {
   };
 }
 
+/**
+ * Hand a chunk of the current stream to its format's parser
+ * @param {string} chunk - New text ('' to flush at the end)
+ * @param {string} format - Format from PARSE_START
+ * @param {boolean} isLast - Whether the stream ends with this chunk
+ * @param {function} progressCallback - Optional progress callback (CSV and JSON report progress)
+ */
+function parseStreamChunk(chunk, format, isLast, progressCallback = null) {
+  if (format === 'ndjson') parseNDJSONChunk(chunk, isLast);
+  else if (format === 'csv') parseCSVChunk(chunk, isLast, progressCallback);
+  else if (format === 'json') parseJSONArrayChunk(chunk, isLast, progressCallback);
+  else parseLogChunk(chunk, isLast);
+}
+
+// ---------- Follow Mode ----------
+
+/**
+ * Show the entry still being built (it may gain continuation lines) as a row. It stays
+ * parserState.currentEntry, so later lines still join it, and finalizeEntry will not add it twice.
+ */
+function publishOpenEntry() {
+  const entry = parserState.currentEntry;
+  if (!entry || entry === parserState.publishedEntry) return;
+  rows.push(entry);
+  parserState.publishedEntry = entry;
+}
+
+/**
+ * Parse text appended to a followed file and bring the view up to date
+ * @param {string} chunk - New text
+ * @param {string} format - Format from PARSE_START
+ * @returns {Object} - FOLLOW_UPDATE payload
+ */
+function followChunk(chunk, format) {
+  return updateFollowedRows(() => {
+    parseStreamChunk(chunk, format, false);
+    publishOpenEntry();
+  });
+}
+
+/**
+ * Stop following: flush the last line and entry like the end of a normal parse
+ * @param {string} format - Format from PARSE_START
+ * @returns {Object} - FOLLOW_UPDATE payload
+ */
+function endFollow(format) {
+  const update = updateFollowedRows(() => parseStreamChunk('', format, true));
+  TimestampFormats.endYearInference();
+  return update;
+}
+
+/**
+ * Run a parse step on the followed stream, then tag, filter and sort only the rows it added
+ * plus the open entry if it grew, instead of re-filtering the whole dataset
+ * @param {function} parse - Parse step
+ * @returns {Object} - { added, matched, rowCount, viewLength, summary (only when new fields appeared) }
+ */
+function updateFollowedRows(parse) {
+  if (view === rows) view = rows.slice();
+  const reopened = parserState.publishedEntry;
+  const from = rows.length;
+  const fieldCount = fieldNames.size;
+
+  parse();
+  tagStreamRows(from);
+
+  const changed = rows.slice(from);
+  if (reopened) {
+    const at = view.lastIndexOf(reopened);
+    if (at >= 0) view.splice(at, 1);
+    changed.unshift(reopened);
+  }
+  const matched = addRowsToView(changed);
+
+  const newFields = fieldNames.size > fieldCount;
+  if (newFields) FieldRegistry.updateFromDataset(rows);
+  return {
+    added: rows.length - from,
+    matched,
+    rowCount: rows.length,
+    viewLength: view.length,
+    summary: newFields ? datasetSummary() : null
+  };
+}
+
+/**
+ * Insert rows into the current (filtered, sorted) view where the applied sort puts them
+ * @param {Array} list - Rows not yet in the view
+ * @returns {number} - Number of rows that passed the filters
+ */
+function addRowsToView(list) {
+  const matched = filterRows(list);
+  if (!matched.length) return 0;
+  const compare = rowComparator(appliedSort);
+  matched.sort(compare);
+
+  const last = view[view.length - 1];
+  if (!last || compare(last, matched[0]) <= 0) {
+    // Newest-last sorts (id or time ascending): new rows go at the end
+    for (const row of matched) view.push(row);
+  } else if (matched.length > 1000) {
+    view = view.concat(matched).sort(compare);
+  } else {
+    for (const row of matched) {
+      let lo = 0;
+      let hi = view.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (compare(view[mid], row) <= 0) lo = mid + 1;
+        else hi = mid;
+      }
+      view.splice(lo, 0, row);
+    }
+  }
+  return matched.length;
+}
+
 // ---------- Worker Message Handler ----------
 
+/**
+ * Build a progress callback that posts PROGRESS messages to the UI
+ * @param {string} operation - Operation name used by the UI to pick a progress bar
+ * @param {string} id - Optional request id
+ * @returns {function} - (percent, message) => void
+ */
+function makeProgressCallback(operation, id) {
+  return (percent, message) => {
+    self.postMessage({
+      type: 'PROGRESS',
+      data: { percent, message, operation },
+      id
+    });
+  };
+}
+
 if (isWorker) {
   self.onmessage = function (e) {
     const { type, data, id } = e.data;
@@ -472,53 +1689,121 @@ if (isWorker) {
       switch (type) {
         case 'PARSE_CHUNK': {
           const { chunk, format } = data;
-          // Currently only supporting chunked parsing for raw logs
-          // CSV/JSON still use whole-file parsing for now as they are harder to chunk safely
-          if (format !== 'log' && format !== 'txt') {
-            // Accumulate in buffer for non-log formats
-            parserState.buffer += chunk;
-            break;
-          }
-
-          parseLogChunk(chunk, false);
+          parseStreamChunk(chunk, format, false, makeProgressCallback('parsing'));
           break;
         }
 
         case 'PARSE_END': {
-          const { format } = data;
+          const { format, follow } = data;
 
-          if (format === 'csv') {
-            rows = parseCSV(parserState.buffer);
-          } else if (format === 'json') {
-            rows = parseJSON(parserState.buffer);
+          if (follow) {
+            // The file is still being written: keep the stream (and its open entry) going
+            publishOpenEntry();
           } else {
-            // Finalize log parsing
-            parseLogChunk('', true);
+            parseStreamChunk('', format, true, makeProgressCallback('parsing', id));
+            TimestampFormats.endYearInference();
           }
+          tagStreamRows();
 
           FieldRegistry.updateFromDataset(rows);
 
           self.postMessage({
             type: 'PARSE_COMPLETE',
-            data: {
-              rowCount: rows.length,
-              fieldNames: [...fieldNames],
-              fieldRegistry: FieldRegistry.serialize()
-            },
+            data: datasetSummary(),
+            id
+          });
+          break;
+        }
+
+        case 'FOLLOW_CHUNK': {
+          self.postMessage({
+            type: 'FOLLOW_UPDATE',
+            data: followChunk(data.chunk, data.format),
+            id
+          });
+          break;
+        }
+
+        case 'FOLLOW_END': {
+          self.postMessage({
+            type: 'FOLLOW_UPDATE',
+            data: endFollow(data.format),
+            id
+          });
+          break;
+        }
+
+        case 'MERGE_SOURCES': {
+          mergeSourcesByTime();
+          self.postMessage({
+            type: 'SOURCES_UPDATED',
+            data: datasetSummary(),
+            id
+          });
+          break;
+        }
+
+        case 'SET_SOURCE_OFFSET': {
+          setSourceOffset(data.name, data.offsetMs);
+          self.postMessage({
+            type: 'SOURCES_UPDATED',
+            data: datasetSummary(),
+            id
+          });
+          break;
+        }
+
+        case 'ANCHOR_SOURCES': {
+          anchorSources(data.referenceId, data.targetId);
+          self.postMessage({
+            type: 'SOURCES_UPDATED',
+            data: datasetSummary(),
+            id
+          });
+          break;
+        }
+
+        case 'REMOVE_SOURCE': {
+          removeSource(data.name);
+          self.postMessage({
+            type: 'SOURCES_UPDATED',
+            data: datasetSummary(),
             id
           });
           break;
         }
 
         case 'PARSE_START': {
-          resetParserState();
+          resetParserState(data);
+          TimestampFormats.beginYearInference({ anchorYear: data?.anchorYear, referenceDate: data?.lastModified });
+          break;
+        }
+
+        case 'SET_TIMESTAMP_SETTINGS': {
+          TimestampFormats.configure(data || {});
+          break;
+        }
+
+        case 'SET_LEVEL_SETTINGS': {
+          LogLevels.configure(data || {});
+          break;
+        }
+
+        case 'SNIFF_FORMAT': {
+          const { sample, truncated, hint } = data;
+          self.postMessage({
+            type: 'SNIFF_RESULT',
+            data: sniffFormat(sample, { truncated, hint }),
+            id
+          });
           break;
         }
 
         case 'PARSE_DATA': {
           // Legacy one-shot parsing
-          const { text, format } = data;
-          resetParserState();
+          const { text, format, options } = data;
+          resetParserState(options);
+          TimestampFormats.beginYearInference({ anchorYear: options?.anchorYear, referenceDate: options?.lastModified });
 
           let parsedRows;
           const progressCallback = (percent, message) => {
@@ -531,11 +1816,15 @@ if (isWorker) {
 
           switch (format) {
             case 'csv':
-              parsedRows = parseCSV(text, progressCallback);
+              parsedRows = parseCSV(text, progressCallback, parserState.options.csv);
               break;
             case 'json':
               parsedRows = parseJSON(text, progressCallback);
               break;
+            case 'ndjson':
+              parseNDJSONChunk(text, true);
+              parsedRows = rows;
+              break;
             default:
               // Use the new chunk logic but for the whole file
               parseLogChunk(text, true);
@@ -544,15 +1833,13 @@ if (isWorker) {
           }
 
           rows = parsedRows;
+          TimestampFormats.endYearInference();
+          tagStreamRows();
           FieldRegistry.updateFromDataset(rows);
 
           self.postMessage({
             type: 'PARSE_COMPLETE',
-            data: {
-              rowCount: rows.length,
-              fieldNames: [...fieldNames],
-              fieldRegistry: FieldRegistry.serialize()
-            },
+            data: datasetSummary(),
             id
           });
           break;
@@ -695,7 +1982,7 @@ if (isWorker) {
 }
 
 function computeSummaryStats(view, fieldRegistry, progressCallback) {
-  const allFields = ['id', 'ts', 'level', 'message', 'raw', ...Array.from(fieldNames)];
+  const allFields = ['id', 'ts', 'level', 'message', 'raw', ...(sources.length > 1 ? ['source'] : []), ...Array.from(fieldNames)];
   const result = {};
   let fieldIndex = 0;
   const totalFields = allFields.length;
@@ -711,12 +1998,7 @@ function computeSummaryStats(view, fieldRegistry, progressCallback) {
 function computeFieldStats(view, fieldName, fieldMeta) {
   const values = [];
   for (const row of view) {
-    let val;
-    if (['id', 'ts', 'level', 'message', 'raw'].includes(fieldName)) {
-      val = row[fieldName];
-    } else {
-      val = row.fields?.[fieldName];
-    }
+    const val = rowFieldValue(row, fieldName);
     if (val !== undefined && val !== null && val !== '') {
       values.push(val);
     }
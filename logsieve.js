@@ -66,7 +66,11 @@ const Storage = {
     FILTERS: 'logsieve-filters',
     ACTIVE_EXTRACTORS: 'logsieve-active-extractors',
     PREFS: 'logsieve-prefs',
-    THEME: 'logsieve-theme'
+    THEME: 'logsieve-theme',
+    MULTILINE_RULES: 'logsieve-multiline-rules',
+    TIMESTAMPS: 'logsieve-timestamp-formats',
+    LEVELS: 'logsieve-levels',
+    DATASETS: 'logsieve-datasets'
   },
 
   /**
@@ -147,6 +151,150 @@ const Storage = {
     localStorage.setItem(this.KEYS.ACTIVE_EXTRACTORS, JSON.stringify(validIds));
   },
 
+  /**
+   * Get all saved multi-line grouping rules
+   * @returns {Array<Object>} - Array of rule objects
+   */
+  getMultilineRules() {
+    try {
+      const data = localStorage.getItem(this.KEYS.MULTILINE_RULES);
+      return data ? JSON.parse(data) : [];
+    } catch (e) {
+      console.error('Failed to load multi-line rules:', e);
+      return [];
+    }
+  },
+
+  /**
+   * Save a multi-line rule (create or update)
+   * @param {Object} rule - Rule object
+   * @returns {Object} - Saved rule with id
+   */
+  saveMultilineRule(rule) {
+    const rules = this.getMultilineRules();
+
+    if (!rule.id) {
+      rule.id = generateUUID();
+      rule.created = new Date().toISOString();
+    }
+    rule.updated = new Date().toISOString();
+
+    const idx = rules.findIndex(r => r.id === rule.id);
+    if (idx >= 0) {
+      rules[idx] = rule;
+    } else {
+      rules.push(rule);
+    }
+
+    localStorage.setItem(this.KEYS.MULTILINE_RULES, JSON.stringify(rules));
+    return rule;
+  },
+
+  /**
+   * Delete a multi-line rule by id
+   * @param {string} id - Rule id
+   */
+  deleteMultilineRule(id) {
+    const rules = this.getMultilineRules().filter(r => r.id !== id);
+    localStorage.setItem(this.KEYS.MULTILINE_RULES, JSON.stringify(rules));
+  },
+
+  /**
+   * Get timestamp settings: custom strptime-style formats and the default timezone
+   * @returns {Object} - { formats: [{ id, name, format }], timezone }
+   */
+  getTimestampSettings() {
+    try {
+      const data = localStorage.getItem(this.KEYS.TIMESTAMPS);
+      return data ? JSON.parse(data) : { formats: [], timezone: 'local' };
+    } catch (e) {
+      console.error('Failed to load timestamp settings:', e);
+      return { formats: [], timezone: 'local' };
+    }
+  },
+
+  /**
+   * Save timestamp settings
+   * @param {Object} settings - { formats, timezone }
+   */
+  saveTimestampSettings(settings) {
+    localStorage.setItem(this.KEYS.TIMESTAMPS, JSON.stringify(settings));
+  },
+
+  /**
+   * Get level settings: extra aliases and numeric levels mapped onto the severity scale
+   * @returns {Object} - { aliases: [{ id, value, level }] }
+   */
+  getLevelSettings() {
+    try {
+      const data = localStorage.getItem(this.KEYS.LEVELS);
+      return data ? JSON.parse(data) : { aliases: [] };
+    } catch (e) {
+      console.error('Failed to load level settings:', e);
+      return { aliases: [] };
+    }
+  },
+
+  /**
+   * Save level settings
+   * @param {Object} settings - { aliases }
+   */
+  saveLevelSettings(settings) {
+    localStorage.setItem(this.KEYS.LEVELS, JSON.stringify(settings));
+  },
+
+  /**
+   * Get all saved pasted-text datasets
+   * @returns {Array<Object>} - Array of { id, name, text, format, created, updated }
+   */
+  getDatasets() {
+    try {
+      const data = localStorage.getItem(this.KEYS.DATASETS);
+      return data ? JSON.parse(data) : [];
+    } catch (e) {
+      console.error('Failed to load datasets:', e);
+      return [];
+    }
+  },
+
+  /**
+   * Save a pasted-text dataset, replacing one with the same id or name.
+   * Throws the browser's QuotaExceededError when the text does not fit in localStorage.
+   * @param {Object} dataset - { name, text, format } (format is left out when it is to be sniffed on load)
+   * @returns {Object} - Saved dataset with id
+   */
+  saveDataset(dataset) {
+    const datasets = this.getDatasets();
+    const idx = datasets.findIndex(d => (dataset.id ? d.id === dataset.id : d.name === dataset.name));
+
+    if (idx >= 0) {
+      dataset.id = datasets[idx].id;
+      dataset.created = datasets[idx].created;
+    } else {
+      dataset.id = generateUUID();
+      dataset.created = new Date().toISOString();
+    }
+    dataset.updated = new Date().toISOString();
+
+    if (idx >= 0) {
+      datasets[idx] = dataset;
+    } else {
+      datasets.push(dataset);
+    }
+
+    localStorage.setItem(this.KEYS.DATASETS, JSON.stringify(datasets));
+    return dataset;
+  },
+
+  /**
+   * Delete a saved dataset by id
+   * @param {string} id - Dataset id
+   */
+  deleteDataset(id) {
+    const datasets = this.getDatasets().filter(d => d.id !== id);
+    localStorage.setItem(this.KEYS.DATASETS, JSON.stringify(datasets));
+  },
+
   /**
    * Get all saved filters
    * @returns {Array<Object>} - Array of filter objects
@@ -228,6 +376,7 @@ const Storage = {
     return {
       extractors: this.getExtractors(),
       filters: this.getFilters(),
+      multilineRules: this.getMultilineRules(),
       activeExtractors: this.getActiveExtractors(),
       prefs: this.getPrefs(),
       exportDate: new Date().toISOString(),
@@ -242,7 +391,7 @@ const Storage = {
    * @returns {Object} - Import results
    */
   importAll(data, merge = true) {
-    const results = { extractors: 0, filters: 0, errors: [] };
+    const results = { extractors: 0, filters: 0, multilineRules: 0, errors: [] };
 
     try {
       if (data.extractors) {
@@ -266,6 +415,16 @@ const Storage = {
         results.filters = imported.length;
       }
 
+      if (data.multilineRules) {
+        const existing = merge ? this.getMultilineRules() : [];
+        const imported = data.multilineRules.map(r => {
+          if (merge) r.id = generateUUID();
+          return r;
+        });
+        localStorage.setItem(this.KEYS.MULTILINE_RULES, JSON.stringify([...existing, ...imported]));
+        results.multilineRules = imported.length;
+      }
+
       if (data.prefs && !merge) {
         this.savePrefs(data.prefs);
       }
@@ -285,10 +444,14 @@ let page = 1;         // Current page number
 let per = 50;         // Items per page
 let totalRows = 0;    // Total rows in filtered view
 let fieldNames = new Set();  // Track all extracted field names
+let sources = [];     // Loaded files { name, color, rowCount, errorCount } (from the worker)
 let visibleColumns = new Set(); // Columns the user wants to show; empty => show all
 let columnOrder = []; // ordered list of columns (strings)
-let currentFilterConfig = null;
+let currentFilterConfig = null; // Builder state: { version: 2, root } (root: group tree, see shared.js)
 let builderOpen = true; // make builder primary and visible by default
+let queryMode = 'builder'; // Query tab in use: 'builder' | 'text'; only its query is applied
+let builderQueryText = ''; // Text last converted to or from the builder; unchanged text is not parsed back
+let builderWarnings = []; // { message, dropped } from the last text-to-builder conversion
 // applied* states capture what was last applied with the Apply button
 let appliedFilterConfig = null;
 let appliedAdvancedQuery = null;
@@ -312,6 +475,53 @@ function initWorker() {
   worker.onerror = handleWorkerError;
 }
 
+/**
+ * Show a finished parse: refresh columns, report malformed input and open Results
+ * @param {Object} data - PARSE_COMPLETE payload
+ * @param {string} detail - Optional text appended to the "Parsed N entries" line
+ */
+function handleParseComplete(data, detail = '') {
+  applyDatasetSummary(data, detail);
+  $("#uploadProgress").style.display = 'none';
+  // After parsing completes and results are displayed, collapse the Upload section and open Results
+  const uploadSection = document.getElementById('section-upload');
+  if (uploadSection) uploadSection.classList.remove('active');
+  // Set Results nav active for clarity
+  navigateToSection('results');
+  applyFilters();
+}
+
+/**
+ * Take over the worker's dataset summary (PARSE_COMPLETE / SOURCES_UPDATED): field names,
+ * registry, columns, loaded sources and the info line
+ * @param {Object} data - Dataset summary
+ * @param {string} detail - Optional text appended to the "Parsed N entries" line
+ */
+function applyDatasetSummary(data, detail = '') {
+  // rows = data.rows || []; // Worker no longer sends full rows for performance
+  sources = data.sources || [];
+  renderSourceList();
+  fieldNames = new Set(data.fieldNames || []);
+  if (data.fieldRegistry) {
+    FieldRegistry.deserialize(data.fieldRegistry);
+  }
+  // Ensure visible columns and column order reflect new dataset
+  initializeVisibleColumnsFromPrefs();
+  initializeColumnOrderFromPrefs();
+  renderColumnsPanel();
+  $("#info").textContent = `Parsed ${fmt(data.rowCount)} entries${detail}`;
+  if (data.parseErrorCount) {
+    // Malformed lines are skipped rather than failing the file; list where they are
+    const lines = (data.parseErrors || []).map(e => `${e.file ? e.file + ' ' : ''}line ${e.line}: ${e.message}`);
+    if (data.parseErrorCount > lines.length) lines.push(`…and ${fmt(data.parseErrorCount - lines.length)} more`);
+    $("#info").textContent += ` · ${fmt(data.parseErrorCount)} malformed lines skipped`;
+    $("#info").title = lines.join('\n');
+    console.warn('Malformed lines skipped while parsing:', data.parseErrors);
+  } else {
+    $("#info").title = '';
+  }
+}
+
 /**
  * Handle messages from the worker
  */
@@ -331,22 +541,12 @@ function handleWorkerMessage(e) {
   // Handle unsolicited messages
   switch (type) {
     case 'PARSE_COMPLETE':
-      // rows = data.rows || []; // Worker no longer sends full rows for performance
-      fieldNames = new Set(data.fieldNames || []);
-      if (data.fieldRegistry) {
-        FieldRegistry.deserialize(data.fieldRegistry);
-      }
-      // Ensure visible columns and column order reflect new dataset
-      initializeVisibleColumnsFromPrefs();
-      initializeColumnOrderFromPrefs();
-      renderColumnsPanel();
-      $("#info").textContent = `Parsed ${fmt(data.rowCount)} entries`;
-      $("#uploadProgress").style.display = 'none';
-      // After parsing completes and results are displayed, collapse the Upload section and open Results
-      const uploadSection = document.getElementById('section-upload');
-      if (uploadSection) uploadSection.classList.remove('active');
-      // Set Results nav active for clarity
-      navigateToSection('results');
+      handleParseComplete(data);
+      break;
+
+    case 'SOURCES_UPDATED':
+      applyDatasetSummary(data);
+      updateSortOptions();
       applyFilters();
       break;
 
@@ -405,7 +605,7 @@ function handleWorkerMessage(e) {
         const fill = $("#uploadProgressFill");
         const text = $("#uploadProgressText");
         container.style.display = 'block';
-        fill.style.width = percent + '%';
+        if (percent !== null) fill.style.width = percent + '%';
         text.textContent = message;
       } else if (operation === 'extracting') {
         const container = $("#extractorProgress");
@@ -576,6 +776,7 @@ function renderPage(pageData) {
     if (col === 'ts') return `<th style="width:210px">Timestamp <br/>(<span id="tzLabel">${escapeHtml(userTimeZone)}</span>)</th>`;
     if (col === 'level') return `<th style="width:120px">Level</th>`;
     if (col === 'message') return `<th style="max-width:80ch">Message</th>`;
+    if (col === 'source') return `<th style="width:150px">Source</th>`;
     return `<th style="width:150px">${escapeHtml(col)}</th>`;
   }).join('');
 
@@ -593,6 +794,7 @@ const idHeader = theadRow.querySelector('.id-header');
     }
 
   const pageRows = pageData.pageRows;
+  currentPageRows = pageRows;
   const frag = document.createDocumentFragment();
 
   for (const r of pageRows) {
@@ -601,9 +803,20 @@ const idHeader = theadRow.querySelector('.id-header');
     // Build cells in same order as headers
     const cellsHtml = displayedCols.map(col => {
       if (col === 'id') return `<td>${r.id}</td>`;
-      else if (col === 'ts') return `<td>${formatLocalDatetime(r.ts) || ''}</td>`;
+      else if (col === 'ts') {
+        const notes = [];
+        if (r.tsOriginal) notes.push(describeSourceOffset(r));
+        if (r.inferredYear) notes.push(describeInferredYear(r.inferredYear));
+        if (!notes.length) return `<td>${formatLocalDatetime(r.ts) || ''}</td>`;
+        const cls = [r.tsOriginal && 'ts-shifted', r.inferredYear && 'ts-inferred'].filter(Boolean).join(' ');
+        return `<td class="${cls}" title="${escapeHtml(notes.join('\n'))}">${formatLocalDatetime(r.ts) || ''}</td>`;
+      }
       else if (col === 'level') return `<td><span class="lvl-${r.level}">${r.level || ''}</span></td>`;
       else if (col === 'message') return `<td><pre>${escapeHtml(r.message)}</pre><details><summary>raw</summary><pre>${escapeHtml(r.raw)}</pre></details></td>`;
+      else if (col === 'source') {
+        const where = r.lineStart ? ` title="${escapeHtml(`${r.source} line ${r.lineStart}`)}"` : '';
+        return `<td${where}>${sourceBadge(r.source)}</td>`;
+      }
 
       const val = r.fields?.[col];
       if (val === undefined || val === null) return '<td></td>';
@@ -615,10 +828,15 @@ const idHeader = theadRow.querySelector('.id-header');
     }).join('');
 
     tr.innerHTML = cellsHtml;
+    tr.dataset.rowId = r.id;
+    tr.dataset.source = r.source || '';
+    if (r.id === selectedRowId) tr.classList.add('row-selected');
+    if (anchorPicks && anchorPicks.some(p => p.id === r.id)) tr.classList.add('anchor-picked');
     frag.appendChild(tr);
   }
 
   body.appendChild(frag);
+  if (followScrollPending) scrollToNewestRows();
 
   // Update UI elements
   $("#pageLabel").textContent = `${pageData.currentPage} / ${pageData.totalPages}`;
@@ -636,8 +854,8 @@ const idHeader = theadRow.querySelector('.id-header');
  */
 function updateFilterTag() {
   const bits = [];
-  if (currentFilterConfig && currentFilterConfig.rules && currentFilterConfig.rules.length) bits.push('builder');
-  if (appliedAdvancedQuery && appliedAdvancedQuery.rules && appliedAdvancedQuery.rules.length) bits.push('advanced');
+  if (appliedFilterConfig) bits.push('builder');
+  if (appliedAdvancedQuery) bits.push('advanced');
   $("#filterTag").textContent = bits.length ? `filters: ${bits.join(',')}` : 'no filters';
 }
 
@@ -717,6 +935,7 @@ function updateSortOptions() {
     <option value="id">ID</option>
     <option value="ts">Timestamp</option>
     <option value="level">Level</option>
+    ${sources.length > 1 ? '<option value="source">Source</option>' : ''}
     ${sortedFields.map(f => `<option value="field:${escapeHtml(f)}">${escapeHtml(f)}</option>`).join('')}
   `;
 
@@ -761,10 +980,19 @@ function saveColumnOrderToPrefs() {
   Storage.savePrefs(prefs);
 }
 
+/**
+ * Built-in columns; Source only appears once more than one file is loaded
+ * @returns {Array<string>}
+ */
+function standardColumns() {
+  return ['id', 'ts', 'level', ...(sources.length > 1 ? ['source'] : []), 'message'];
+}
+
 function mergeNewFieldsIntoOrder() {
   // Ensure columnOrder contains the standard columns and any extracted fields, append new ones
   const sortedFields = [...fieldNames].sort();
-  const allCols = ['id', 'ts', 'level', 'message', ...sortedFields];
+  // A parsed field named like a built-in column (a file's own id) shows in the row detail pane
+  const allCols = [...new Set([...standardColumns(), ...sortedFields])];
 
   if (!columnOrder || columnOrder.length === 0) {
     columnOrder = allCols.slice();
@@ -798,7 +1026,7 @@ function setColumnVisibility(colKey, visible) {
   // If no explicit config exists yet (empty = all visible), initialize to current all columns
   if ((!visibleColumns || visibleColumns.size === 0) && !visible) {
     // populate with all currently-known columns so we can toggle one off
-    const all = ['id', 'ts', 'level', 'message', ...[...fieldNames].sort()];
+    const all = [...new Set([...standardColumns(), ...[...fieldNames].sort()])];
     visibleColumns = new Set(all);
   }
 
@@ -822,7 +1050,7 @@ function renderColumnsPanel() {
   }
 
   const html = order.map(col => {
-    const label = col === 'id' ? 'ID' : (col === 'ts' ? 'Timestamp' : (col === 'level' ? 'Level' : (col === 'message' ? 'Message' : col)));
+    const label = col === 'id' ? 'ID' : (col === 'ts' ? 'Timestamp' : (col === 'level' ? 'Level' : (col === 'message' ? 'Message' : (col === 'source' ? 'Source' : col))));
     const checked = isColumnVisible(col) ? 'checked' : '';
     return `
       <div class="library-item" draggable="true" data-col="${escapeHtml(col)}" style="display:flex; align-items:center; gap:8px; padding:6px">
@@ -1005,20 +1233,316 @@ async function readFileAsText(file) {
 }
 
 /**
- * Detect file format based on extension
+ * Read part of a file as bytes (used to sniff the encoding and format)
+ * @param {File} file - File object
+ * @param {number} start - Byte offset to start at
+ * @param {number} end - Byte offset to stop before
+ * @returns {Promise<Uint8Array>} - Slice content
+ */
+async function readFileBytes(file, start, end) {
+  return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+// Encodings offered in the Upload section (TextDecoder labels); all but UTF-8 and UTF-16 are single-byte
+const ENCODING_LABELS = {
+  'utf-8': 'UTF-8',
+  'utf-16le': 'UTF-16LE',
+  'utf-16be': 'UTF-16BE',
+  'windows-1252': 'Windows-1252',
+  'iso-8859-15': 'Latin-9',
+  'iso-8859-2': 'Latin-2',
+  'windows-1251': 'Windows-1251'
+};
+
+/**
+ * Encoding to decode a file with: the one chosen in the Upload section, or one detected
+ * from the file's first bytes (byte order mark, UTF-16 zero bytes, invalid UTF-8)
+ * @param {Uint8Array} bytes - Start of the (decompressed) file
+ * @param {boolean} truncated - Whether the file continues past these bytes
+ * @returns {Object} - { encoding, bomLength, reason }
+ */
+function resolveEncoding(bytes, truncated) {
+  const chosen = $("#encodingSelect")?.value || 'auto';
+  if (chosen === 'auto') return detectEncoding(bytes, truncated);
+  // TextDecoder only strips a byte order mark that matches its own encoding
+  const bom = detectBOM(bytes);
+  return { encoding: chosen, bomLength: bom?.encoding === chosen ? bom.length : 0, reason: 'chosen' };
+}
+
+/**
+ * Decode the sniffing sample of a file
+ * @param {Uint8Array} bytes - Start of the (decompressed) file
+ * @param {boolean} truncated - Whether the file continues past these bytes
+ * @param {Object} encoding - resolveEncoding result
+ * @returns {string}
+ */
+function decodeSample(bytes, truncated, encoding) {
+  // stream: true drops a character cut off at the end of a truncated sample
+  return new TextDecoder(encoding.encoding).decode(bytes, { stream: truncated });
+}
+
+/**
+ * Show a file's encoding next to its format, unless it is plain UTF-8
+ * @param {Object} encoding - resolveEncoding result
+ */
+function showEncodingTag(encoding) {
+  const tag = $("#formatTag");
+  const label = ENCODING_LABELS[encoding.encoding] || encoding.encoding;
+  tag.title = `Format used to parse the file; text decoded as ${label} (${encoding.reason})`;
+  if (encoding.encoding !== 'utf-8') tag.textContent += ` · ${label}`;
+}
+
+// Bytes read from the start of a file for content-based format sniffing
+const SNIFF_BYTES = 64 * 1024;
+
+// File name suffixes of compressed logs, ignored when guessing the format from the name
+const COMPRESSED_SUFFIX_RE = /\.(gz|gzip|zz|deflate|bz2)$/i;
+
+/**
+ * Detect compression from a file's magic bytes
+ * @param {File} file - File object
+ * @returns {Promise<string|null>} - 'gzip', 'deflate' (zlib), 'bzip2' or null for plain files
+ */
+async function detectCompression(file) {
+  const b = new Uint8Array(await file.slice(0, 3).arrayBuffer());
+  if (b[0] === 0x1f && b[1] === 0x8b) return 'gzip';
+  if (b[0] === 0x42 && b[1] === 0x5a && b[2] === 0x68) return 'bzip2'; // "BZh"
+  // zlib header with a 32K window and no preset dictionary
+  if (b[0] === 0x78 && [0x01, 0x5e, 0x9c, 0xda].includes(b[1])) return 'deflate';
+  return null;
+}
+
+/**
+ * Open a file as a stream of bytes, decompressing it on the fly when compressed
+ * @param {File} file - File object
+ * @param {string} compression - 'gzip', 'deflate' or null for a plain file
+ * @param {function} onFileBytes - Optional callback with the (compressed) file bytes read so far
+ * @returns {ReadableStreamDefaultReader} - Reader yielding Uint8Array chunks
+ */
+function openByteReader(file, compression, onFileBytes = null) {
+  if (compression && typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot decompress files (DecompressionStream is not available)');
+  }
+  let consumed = 0;
+  const counter = new TransformStream({
+    transform(chunk, controller) {
+      consumed += chunk.byteLength;
+      if (onFileBytes) onFileBytes(consumed);
+      controller.enqueue(chunk);
+    }
+  });
+  const stream = file.stream().pipeThrough(counter);
+  return (compression ? stream.pipeThrough(new DecompressionStream(compression)) : stream).getReader();
+}
+
+/**
+ * Decompress the start of a file for encoding, format and archive sniffing
+ * @param {File} file - Compressed file
+ * @param {string} compression - 'gzip' or 'deflate'
+ * @param {number} maxBytes - Decompressed bytes wanted
+ * @returns {Promise<Object>} - { bytes, truncated }
+ */
+async function readDecompressedSample(file, compression, maxBytes) {
+  const reader = openByteReader(file, compression);
+  const parts = [];
+  let length = 0;
+  let truncated = true;
+  while (length < maxBytes) {
+    const { value, done } = await reader.read();
+    if (done) {
+      truncated = false;
+      break;
+    }
+    parts.push(value);
+    length += value.byteLength;
+  }
+  if (truncated) reader.cancel().catch(() => {});
+  return { bytes: concatBytes(parts), truncated };
+}
+
+// Text sent to the worker per PARSE_CHUNK message
+const CHUNK_SIZE = 10 * 1024 * 1024; // 10MB chunks
+
+// ---------- Archives ----------
+
+// Members not ticked by default when an archive is opened
+const ARCHIVE_SKIP_RE = /\.(png|jpe?g|gif|bmp|ico|pdf|zip|jar|war|class|exe|dll|so|dylib|bin|tar|tgz|bz2|xz|7z)$/i;
+
+/**
+ * Detect a zip or tar archive from the first bytes of (decompressed) content
+ * @param {Uint8Array} head - At least the first 512 bytes, when available
+ * @returns {string|null} - 'zip', 'tar' or null
+ */
+function detectArchive(head) {
+  if (head[0] === 0x50 && head[1] === 0x4b && (head[2] === 3 || head[2] === 5) && (head[3] === 4 || head[3] === 6)) return 'zip';
+  if (isTarHeader(head.subarray(0, 512))) return 'tar';
+  return null;
+}
+
+/**
+ * List the regular files in an archive without unpacking it. Zip archives are listed from
+ * their central directory; tar archives are streamed once, skipping over the content.
+ * @param {File} file - Archive file
+ * @param {string} kind - 'zip' or 'tar'
+ * @param {string} compression - Compression around a tar ('gzip', 'deflate') or null
+ * @returns {Promise<Array<Object>>} - Members { path, size, ... }
+ */
+async function listArchiveMembers(file, kind, compression) {
+  if (kind === 'zip') {
+    const tailStart = Math.max(0, file.size - (22 + 0xffff));
+    let end = readZipEndRecord(new Uint8Array(await file.slice(tailStart).arrayBuffer()));
+    if (!end) throw new Error('No zip central directory found (is the file truncated?)');
+    if (end.zip64EndOffset !== undefined) {
+      end = readZip64EndRecord(new Uint8Array(await file.slice(end.zip64EndOffset, end.zip64EndOffset + 56).arrayBuffer()));
+    }
+    const cd = new Uint8Array(await file.slice(end.cdOffset, end.cdOffset + end.cdSize).arrayBuffer());
+    return parseZipCentralDirectory(cd).filter(e => !e.directory);
+  }
+
+  const members = [];
+  const reader = openByteReader(file, compression);
+  const tar = createTarReader();
+  while (!tar.done) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    for (const event of tar.push(value)) {
+      if (event.type === 'entry') members.push(event.entry);
+    }
+  }
+  reader.cancel().catch(() => {});
+  return members;
+}
+
+/**
+ * Stream the content of selected archive members, one member at a time
+ * @param {File} file - Archive file
+ * @param {Object} archive - { kind, compression }
+ * @param {Set<string>} paths - Member paths to read
+ * @param {Object} sink - { begin(member), data(bytes), end() }; returned promises are awaited
+ * @param {function} onFileBytes - Optional callback with the archive bytes read so far
+ */
+async function readArchiveMembers(file, archive, paths, sink, onFileBytes = null) {
+  if (archive.kind === 'zip') {
+    let before = 0;
+    for (const member of archive.members) {
+      if (!paths.has(member.path)) continue;
+      if (member.encrypted) throw new Error(`${member.path} is encrypted`);
+      if (member.method !== 0 && member.method !== 8) throw new Error(`${member.path} uses an unsupported zip compression method (${member.method})`);
+
+      const header = new Uint8Array(await file.slice(member.offset, member.offset + 30).arrayBuffer());
+      const start = member.offset + zipLocalDataOffset(header);
+      let stream = file.slice(start, start + member.compressedSize).stream();
+      if (member.method === 8) stream = stream.pipeThrough(new DecompressionStream('deflate-raw'));
+
+      await sink.begin(member);
+      const reader = stream.getReader();
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        await sink.data(value);
+      }
+      await sink.end();
+      before += member.compressedSize;
+      if (onFileBytes) onFileBytes(before);
+    }
+    return;
+  }
+
+  let left = paths.size;
+  const reader = openByteReader(file, archive.compression, onFileBytes);
+  const tar = createTarReader();
+  let reading = false;
+  while (left > 0 && !tar.done) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    for (const event of tar.push(value)) {
+      if (event.type === 'entry') {
+        reading = paths.has(event.entry.path);
+        if (reading) await sink.begin(event.entry);
+      } else if (reading && event.type === 'data') {
+        await sink.data(event.bytes);
+      } else if (reading && event.type === 'end') {
+        reading = false;
+        left--;
+        await sink.end();
+      }
+    }
+  }
+  reader.cancel().catch(() => {});
+}
+
+// Sniffed formats at or above this confidence are parsed without asking
+const FORMAT_AUTO_CONFIDENCE = 0.8;
+
+// Display names for the formats the worker can parse
+const FORMAT_LABELS = {
+  log: 'Plain text',
+  json: 'JSON array',
+  ndjson: 'NDJSON',
+  csv: 'CSV',
+  logfmt: 'logfmt',
+  syslog: 'Syslog',
+  access: 'Access log'
+};
+
+/**
+ * Detect file format based on extension.
+ * The chunked upload only uses this as a hint for content sniffing.
  * @param {string} filename - Name of the file
- * @returns {string} - Format type: 'csv', 'json', or 'log'
+ * @returns {string} - Format type: 'csv', 'json', 'ndjson', or 'log'
  */
 function detectFileFormat(filename) {
-  const ext = filename.split('.').pop().toLowerCase();
+  const ext = filename.replace(COMPRESSED_SUFFIX_RE, '').split('.').pop().toLowerCase();
 
-  if (ext === 'csv') return 'csv';
+  if (ext === 'csv' || ext === 'tsv') return 'csv';
   if (ext === 'json') return 'json';
+  if (ext === 'ndjson' || ext === 'jsonl') return 'ndjson';
 
   // Default to log format for .log, .txt, and unknown extensions
   return 'log';
 }
 
+/**
+ * Read the CSV reader options chosen in the Upload section
+ * @returns {Object} - { delimiter, header }
+ */
+function getCSVOptions() {
+  return {
+    delimiter: $("#csvDelimiter")?.value || 'auto',
+    header: $("#csvHeader")?.value || 'auto'
+  };
+}
+
+/**
+ * Year inference options for a file whose timestamps may lack a year (e.g. syslog "Oct 28 ...")
+ * @param {File} file - File being parsed; its modified date is the default reference
+ * @returns {Object} - { anchorYear, lastModified }
+ */
+function getYearInferenceOptions(file) {
+  return {
+    anchorYear: parseInt($("#tsAnchorYear")?.value, 10) || null,
+    lastModified: file?.lastModified || null
+  };
+}
+
+/**
+ * Ask the worker to sniff the format of a sample, using the name's extension as a hint
+ * @param {string} sample - Text from the start of the file
+ * @param {boolean} truncated - Whether the file continues past the sample
+ * @param {string} name - File or member name
+ * @returns {Promise<Object>} - SNIFF_FORMAT result
+ */
+async function sniffSample(sample, truncated, name) {
+  const hint = detectFileFormat(name);
+  const response = await sendToWorker('SNIFF_FORMAT', {
+    sample,
+    truncated,
+    hint: hint === 'log' ? null : hint
+  }, true);
+  if (response.type !== 'SNIFF_RESULT') throw new Error(response.data?.message || 'Unexpected response');
+  return response.data;
+}
+
 /**
  * Handle uploaded file and parse it based on format
  * @param {File} file - File object to process
@@ -1031,12 +1555,22 @@ async function handleFile(file) {
   try {
     const text = await readFileAsText(file);
     const format = detectFileFormat(file.name);
+    $("#formatTag").textContent = FORMAT_LABELS[format];
 
     // Clear existing field names for new file
     fieldNames.clear();
 
     // Send to worker for processing
-    sendToWorker('PARSE_DATA', { text, format });
+    sendToWorker('PARSE_DATA', {
+      text,
+      format,
+      options: {
+        csv: getCSVOptions(),
+        multiline: Storage.getMultilineRules().filter(r => r.enabled !== false),
+        ...getYearInferenceOptions(file),
+        source: file.name
+      }
+    });
   } catch (error) {
     console.error('File reading error:', error);
     $("#info").textContent = 'Error reading file';
@@ -1066,9 +1600,13 @@ async function exportJSON() {
       const obj = {};
       for (const col of exportCols) {
         if (col === 'id') obj.id = r.id;
-        else if (col === 'ts') obj.ts = r.ts || '';
+        else if (col === 'ts') {
+          obj.ts = r.ts || '';
+          if (r.tsOriginal) obj.tsOriginal = r.tsOriginal;
+        }
         else if (col === 'level') obj.level = r.level || '';
         else if (col === 'message') obj.message = r.message || '';
+        else if (col === 'source') obj.source = r.source || '';
         else obj[col] = r.fields?.[col] === undefined ? null : r.fields[col];
       }
       return obj;
@@ -1107,6 +1645,7 @@ async function exportCSV() {
         else if (col === 'ts') val = r.ts || '';
         else if (col === 'level') val = r.level || '';
         else if (col === 'message') val = r.message || '';
+        else if (col === 'source') val = r.source || '';
         else {
           const v = r.fields?.[col];
           if (v === undefined || v === null) val = '';
@@ -1154,8 +1693,8 @@ async function importLibrary(file) {
     const data = JSON.parse(text);
 
     // Validate data structure
-    if (!data.extractors && !data.filters) {
-      alert('Invalid library file: no extractors or filters found.');
+    if (!data.extractors && !data.filters && !data.multilineRules) {
+      alert('Invalid library file: no extractors, filters or multi-line rules found.');
       return;
     }
 
@@ -1164,7 +1703,8 @@ async function importLibrary(file) {
       'Import mode:\n\n' +
       'OK = Merge with existing (keep current items)\n' +
       'Cancel = Replace existing (delete current items)\n\n' +
-      `Importing: ${data.extractors?.length || 0} extractors, ${data.filters?.length || 0} filters`
+      `Importing: ${data.extractors?.length || 0} extractors, ${data.filters?.length || 0} filters, ` +
+      `${data.multilineRules?.length || 0} multi-line rules`
     );
 
     const results = Storage.importAll(data, merge);
@@ -1172,11 +1712,12 @@ async function importLibrary(file) {
     if (results.errors.length > 0) {
       alert('Import completed with errors:\n' + results.errors.join('\n'));
     } else {
-      alert(`Import successful!\n\nImported:\n- ${results.extractors} extractors\n- ${results.filters} filters`);
+      alert(`Import successful!\n\nImported:\n- ${results.extractors} extractors\n- ${results.filters} filters\n- ${results.multilineRules} multi-line rules`);
     }
 
     // Refresh UI
     renderExtractorList();
+    renderMultilineRuleList();
     renderFilterList();
     updateExtractorInfo();
     updateFilterLibInfo();
@@ -1206,7 +1747,7 @@ function renderExtractorList() {
       <div class="library-item-content">
         <div class="library-item-title">${escapeHtml(ext.name)}</div>
         ${ext.description ? `<div class="library-item-desc">${escapeHtml(ext.description)}</div>` : ''}
-        <div class="library-item-pattern">${escapeHtml(ext.pattern)}</div>
+        <div class="library-item-pattern">${ext.type === 'logfmt' ? 'logfmt key=value pairs' : escapeHtml(ext.pattern)}</div>
       </div>
       <div class="library-item-actions">
         <button class="btn ghost edit-extractor" data-id="${ext.id}">Edit</button>
@@ -1243,7 +1784,8 @@ function renderFilterList() {
     const settings = [];
     // Show builder rules count and advanced query if present
     if (filter.version === 2) {
-      if (filter.rules && filter.rules.length) settings.push(`rules: ${filter.rules.length}`);
+      const ruleCount = filter.root ? countBuilderRules(filter.root) : (filter.rules || []).length;
+      if (ruleCount) settings.push(`rules: ${ruleCount}`);
       if (filter.advancedQuery) settings.push(`advanced: ${escapeHtml(filter.advancedQuery)}`);
       if (filter.quickSearch) settings.push(`quick: ${filter.quickSearch}`);
     } else {
@@ -1304,16 +1846,23 @@ function loadFilterIntoUI(filter) {
   $("#order").value = filter.order || 'desc';
 
   // If v2 format, set builder rules and render
+  builderWarnings = [];
   if (filter.version === 2) {
-    currentFilterConfig = { version: 2, rules: JSON.parse(JSON.stringify(filter.rules || [])), quickSearch: filter.quickSearch || '' };
-    renderBuilderUI();
-    // ensure builder is visible so rules appear to the user
-    const b = $("#filterBuilder");
-    if (b) { b.style.display = 'block'; builderOpen = true; }
+    currentFilterConfig = builderConfigFromFilter(filter, builderWarnings);
   } else {
     currentFilterConfig = null;
-    renderBuilderUI();
   }
+  // Open the tab the filter was saved from; older filters open the builder unless they only hold text
+  const hasText = Boolean($("#textQuery").value.trim());
+  const mode = filter.mode || (hasText && !countBuilderRules(builderRoot()) ? 'text' : 'builder');
+  if (mode === 'builder') {
+    builderQueryText = QueryParser.stringify(builderToAST(builderRoot()));
+    $("#textQuery").value = builderQueryText;
+  } else {
+    builderQueryText = '';
+  }
+  showQueryMode(mode);
+  renderBuilderUI();
   updateFilterTag();
 }
 
@@ -1331,22 +1880,32 @@ function openExtractorModal(extractorId = null) {
 
     title.textContent = "Edit Extractor";
     $("#extractorName").value = extractor.name;
-    $("#extractorPattern").value = extractor.pattern;
+    $("#extractorType").value = extractor.type || 'regex';
+    $("#extractorPattern").value = extractor.pattern || '';
     $("#extractorDesc").value = extractor.description || '';
     $("#extractorEnabled").checked = extractor.enabled !== false;
     modal.dataset.editId = extractorId;
   } else {
     title.textContent = "New Extractor";
     $("#extractorName").value = '';
+    $("#extractorType").value = 'regex';
     $("#extractorPattern").value = '';
     $("#extractorDesc").value = '';
     $("#extractorEnabled").checked = true;
     delete modal.dataset.editId;
   }
 
+  updateExtractorTypeUI();
   modal.classList.add('active');
 }
 
+/**
+ * Show the pattern input only for regex extractors
+ */
+function updateExtractorTypeUI() {
+  $("#extractorPatternLabel").style.display = $("#extractorType").value === 'logfmt' ? 'none' : '';
+}
+
 /**
  * Close extractor modal
  */
@@ -1360,7 +1919,8 @@ function closeExtractorModal() {
 function saveExtractorFromModal() {
   const modal = $("#extractorModal");
   const name = $("#extractorName").value.trim();
-  const pattern = $("#extractorPattern").value.trim();
+  const type = $("#extractorType").value;
+  const pattern = type === 'logfmt' ? '' : $("#extractorPattern").value.trim();
   const description = $("#extractorDesc").value.trim();
   const enabled = $("#extractorEnabled").checked;
 
@@ -1369,21 +1929,24 @@ function saveExtractorFromModal() {
     return;
   }
 
-  if (!pattern) {
-    alert('Please provide a regex pattern.');
-    return;
-  }
+  if (type !== 'logfmt') {
+    if (!pattern) {
+      alert('Please provide a regex pattern.');
+      return;
+    }
 
-  // Validate regex
-  try {
-    new RegExp(pattern);
-  } catch (e) {
-    alert('Invalid regex pattern: ' + e.message);
-    return;
+    // Validate regex
+    try {
+      new RegExp(pattern);
+    } catch (e) {
+      alert('Invalid regex pattern: ' + e.message);
+      return;
+    }
   }
 
   const extractor = {
     name,
+    type,
     pattern,
     description,
     enabled
@@ -1410,9 +1973,13 @@ function openFilterModal() {
   // Show current filter settings (builder + advanced)
   const preview = $("#filterPreview");
   const settings = [];
-  if (currentFilterConfig && currentFilterConfig.rules && currentFilterConfig.rules.length) settings.push(`rules: ${currentFilterConfig.rules.length}`);
-  const adv = $("#textQuery").value.trim();
-  if (adv) settings.push(`advanced: ${escapeHtml(adv)}`);
+  if (queryMode === 'builder') {
+    const ruleCount = countBuilderRules(builderRoot());
+    if (ruleCount) settings.push(`rules: ${ruleCount}`);
+  } else {
+    const adv = $("#textQuery").value.trim();
+    if (adv) settings.push(`advanced: ${escapeHtml(adv)}`);
+  }
   settings.push(`Sort: ${$("#sort").value} (${$("#order").value})`);
   preview.innerHTML = settings.join('<br>');
 
@@ -1442,8 +2009,10 @@ function saveFilterFromModal() {
     name,
     description,
     version: 2,
-    rules: currentFilterConfig?.rules ? JSON.parse(JSON.stringify(currentFilterConfig.rules)) : [],
-    advancedQuery: $("#textQuery").value.trim(),
+    mode: queryMode,
+    // The text form is kept for both tabs so the filter list can show it
+    root: queryMode === 'builder' ? JSON.parse(JSON.stringify(builderRoot())) : null,
+    advancedQuery: queryMode === 'builder' ? QueryParser.stringify(builderToAST(builderRoot())) : $("#textQuery").value.trim(),
     sort: $("#sort").value,
     order: $("#order").value
   };
@@ -1498,89 +2067,355 @@ function handleDeleteExtractor(e) {
   }
 }
 
+// ---------- Multi-line Rules ----------
+
 /**
- * Handle apply filter button
+ * Render the multi-line rule list (shown in the Extractor Library)
  */
-function handleApplyFilter(e) {
-  const id = e.target.dataset.id;
-  const filter = Storage.getFilters().find(f => f.id === id);
+function renderMultilineRuleList() {
+  const rules = Storage.getMultilineRules();
+  const container = $("#multilineRuleList");
 
-  if (!filter) return;
-
-  // Show progress
-  $("#savedFilterProgress").style.display = 'block';
-  $("#savedFilterProgressFill").style.width = '0%';
-  $("#savedFilterProgressText").textContent = 'Applying saved filter...';
-
-  // Apply saved filter settings to UI
-  $("#textQuery").value = filter.advancedQuery || filter.quickSearch || filter.query || '';
-  $("#sort").value = filter.sort || 'id';
-  $("#order").value = filter.order || 'desc';
-  $("#sort").value = filter.sort || 'id';
-  $("#order").value = filter.order || 'desc';
-
-  // If this is a v2 filter, set as current structured filter
-  if (filter.version === 2) {
-    // Set the structured builder rules
-    currentFilterConfig = { version: 2, rules: JSON.parse(JSON.stringify(filter.rules || [])), quickSearch: filter.quickSearch || '' };
-    appliedFilterConfig = JSON.parse(JSON.stringify(currentFilterConfig));
-    // Open the builder UI when applying a saved v2 filter so builder rules are visible
-    const b = $("#filterBuilder");
-    if (b) {
-      b.style.display = 'block';
-      builderOpen = true;
-    }
-    renderBuilderUI();
-  } else {
-    currentFilterConfig = null;
+  if (rules.length === 0) {
+    container.innerHTML = '<div class="empty-state">No multi-line rules. Built-in heuristics group stack traces and indented lines.</div>';
+    return;
   }
 
-  // Trigger filter application
-  // Also set applied advanced query from saved filter
-  if (filter.advancedQuery) {
-    try {
-      const parser = new QueryParser(filter.advancedQuery);
-      const rules = parser.parse();
-      appliedAdvancedQuery = QueryParser.compileToFilter(rules);
-    } catch (err) {
-      appliedAdvancedQuery = null;
-    }
-  } else {
-    appliedAdvancedQuery = null;
-  }
-  applyFilters('saved-filtering');
-}
+  container.innerHTML = rules.map(rule => `
+    <div class="library-item" data-id="${rule.id}">
+      <input type="checkbox" class="multiline-checkbox" data-id="${rule.id}" ${rule.enabled !== false ? 'checked' : ''} />
+      <div class="library-item-content">
+        <div class="library-item-title">${escapeHtml(rule.name)}</div>
+        <div class="library-item-pattern">${escapeHtml(describeMultilineRule(rule))}</div>
+      </div>
+      <div class="library-item-actions">
+        <button class="btn ghost edit-multiline" data-id="${rule.id}">Edit</button>
+        <button class="btn ghost delete-multiline" data-id="${rule.id}">Delete</button>
+      </div>
+    </div>
+  `).join('');
 
-/**
+  container.querySelectorAll('.multiline-checkbox').forEach(cb => {
+    cb.addEventListener('change', e => {
+      const rule = Storage.getMultilineRules().find(r => r.id === e.target.dataset.id);
+      if (!rule) return;
+      rule.enabled = e.target.checked;
+      Storage.saveMultilineRule(rule);
+    });
+  });
+  container.querySelectorAll('.edit-multiline').forEach(btn => {
+    btn.addEventListener('click', e => openMultilineModal(e.target.dataset.id));
+  });
+  container.querySelectorAll('.delete-multiline').forEach(btn => {
+    btn.addEventListener('click', e => {
+      const rule = Storage.getMultilineRules().find(r => r.id === e.target.dataset.id);
+      if (rule && confirm(`Delete multi-line rule "${rule.name}"?`)) {
+        Storage.deleteMultilineRule(rule.id);
+        renderMultilineRuleList();
+      }
+    });
+  });
+}
+
+/**
+ * One-line summary of a multi-line rule for the library list
+ * @param {Object} rule - Rule object
+ * @returns {string}
+ */
+function describeMultilineRule(rule) {
+  const parts = [];
+  if (rule.start) parts.push(`starts: ${rule.start}`);
+  if (rule.continue) parts.push(`continues: ${rule.continue}`);
+  if (rule.maxLines) parts.push(`max ${rule.maxLines} lines`);
+  if (rule.maxBytes) parts.push(`max ${rule.maxBytes} bytes`);
+  return parts.join(' · ');
+}
+
+/**
+ * Open the multi-line rule modal for a new or existing rule
+ * @param {string|null} ruleId - Rule id to edit
+ */
+function openMultilineModal(ruleId = null) {
+  const modal = $("#multilineModal");
+  const rule = ruleId ? Storage.getMultilineRules().find(r => r.id === ruleId) : null;
+  if (ruleId && !rule) return;
+
+  $("#multilineModalTitle").textContent = rule ? 'Edit Multi-line Rule' : 'New Multi-line Rule';
+  $("#multilineName").value = rule?.name || '';
+  $("#multilineStart").value = rule?.start || '';
+  $("#multilineContinue").value = rule?.continue || '';
+  $("#multilineMaxLines").value = rule?.maxLines || '';
+  $("#multilineMaxBytes").value = rule?.maxBytes || '';
+  $("#multilineEnabled").checked = rule ? rule.enabled !== false : true;
+  $("#multilinePreview").innerHTML = '';
+  if (rule) modal.dataset.editId = rule.id;
+  else delete modal.dataset.editId;
+
+  modal.classList.add('active');
+}
+
+/**
+ * Close multi-line rule modal
+ */
+function closeMultilineModal() {
+  $("#multilineModal").classList.remove('active');
+}
+
+/**
+ * Read the rule being edited from the modal
+ * @returns {Object|null} - Rule object, or null after alerting about invalid input
+ */
+function readMultilineRuleFromModal() {
+  const rule = {
+    name: $("#multilineName").value.trim(),
+    start: $("#multilineStart").value.trim(),
+    continue: $("#multilineContinue").value.trim(),
+    maxLines: parseInt($("#multilineMaxLines").value, 10) || 0,
+    maxBytes: parseInt($("#multilineMaxBytes").value, 10) || 0,
+    enabled: $("#multilineEnabled").checked
+  };
+
+  if (!rule.start && !rule.continue && !rule.maxLines && !rule.maxBytes) {
+    alert('Please provide a start pattern, a continue pattern or a size limit.');
+    return null;
+  }
+
+  for (const [label, pattern] of [['start', rule.start], ['continue', rule.continue]]) {
+    if (!pattern) continue;
+    try {
+      new RegExp(pattern);
+    } catch (e) {
+      alert(`Invalid ${label} pattern: ${e.message}`);
+      return null;
+    }
+  }
+  return rule;
+}
+
+/**
+ * Save multi-line rule from modal
+ */
+function saveMultilineRuleFromModal() {
+  const modal = $("#multilineModal");
+  const rule = readMultilineRuleFromModal();
+  if (!rule) return;
+
+  if (!rule.name) {
+    alert('Please provide a name for the rule.');
+    return;
+  }
+
+  if (modal.dataset.editId) {
+    const existing = Storage.getMultilineRules().find(r => r.id === modal.dataset.editId);
+    Object.assign(rule, { id: modal.dataset.editId, created: existing?.created });
+  }
+
+  Storage.saveMultilineRule(rule);
+  renderMultilineRuleList();
+  closeMultilineModal();
+}
+
+/**
+ * Group the sample text with the rule being edited plus the other enabled rules,
+ * exactly as the next parse would, and show the resulting events
+ */
+function previewMultilineRules() {
+  const draft = readMultilineRuleFromModal();
+  if (!draft) return;
+
+  const editId = $("#multilineModal").dataset.editId;
+  const others = Storage.getMultilineRules().filter(r => r.id !== editId && r.enabled !== false);
+  const events = groupLinesIntoEvents($("#multilineSample").value, compileMultilineRules([...others, { ...draft, enabled: true }]));
+
+  const shown = events.slice(0, 50);
+  $("#multilinePreview").innerHTML =
+    `<div class="muted">${fmt(events.length)} events${events.length > shown.length ? ` (showing first ${shown.length})` : ''}</div>` +
+    shown.map((lines, i) => `<pre class="multiline-event"><span class="muted">#${i + 1} · ${lines.length} line${lines.length === 1 ? '' : 's'}</span>\n${escapeHtml(lines.join('\n'))}</pre>`).join('');
+}
+
+/**
+ * Handle apply filter button
+ */
+function handleApplyFilter(e) {
+  const id = e.target.dataset.id;
+  const filter = Storage.getFilters().find(f => f.id === id);
+
+  if (!filter) return;
+
+  // Show progress
+  $("#savedFilterProgress").style.display = 'block';
+  $("#savedFilterProgressFill").style.width = '0%';
+  $("#savedFilterProgressText").textContent = 'Applying saved filter...';
+
+  loadFilterIntoUI(filter);
+  setAppliedQuery().then(ok => {
+    if (ok) applyFilters('saved-filtering');
+    else $("#savedFilterProgress").style.display = 'none';
+  });
+}
+
+/**
+ * Builder state for a saved filter. Filters saved before nested groups existed hold flat
+ * `rules`, and may hold a text query that was applied on top of them; both become one tree.
+ * @param {Object} filter - Saved v2 filter
+ * @param {Array} warnings - Receives what the builder cannot show of that text query
+ * @returns {Object} - { version: 2, root, quickSearch }
+ */
+function builderConfigFromFilter(filter, warnings = []) {
+  let root = filter.root ? JSON.parse(JSON.stringify(filter.root)) : rulesToGroup(filter.rules);
+  if (!filter.mode && filter.advancedQuery && countBuilderRules(root)) {
+    const converted = queryToBuilder(filter.advancedQuery);
+    warnings.push(...converted.warnings);
+    const combined = createRuleGroup('AND');
+    combined.children.push(root, converted.root);
+    root = combined;
+  }
+  return { version: 2, root, quickSearch: filter.quickSearch || '' };
+}
+
+/**
+ * Show the Builder or Text query tab without converting between them
+ * @param {string} mode - 'builder' | 'text'
+ */
+function showQueryMode(mode) {
+  queryMode = mode;
+  document.querySelectorAll('.query-tab').forEach(b => b.classList.toggle('active', b.dataset.mode === mode));
+  $("#filterBuilder").style.display = mode === 'builder' ? 'block' : 'none';
+  $("#textQueryPanel").style.display = mode === 'text' ? 'block' : 'none';
+}
+
+/**
+ * Switch between the Builder and Text query tabs, carrying the query across: the builder is
+ * written out as text, and text that changed since is parsed into builder groups
+ * @param {string} mode - 'builder' | 'text'
+ */
+function switchQueryMode(mode) {
+  if (mode === queryMode) return;
+  if (mode === 'text') {
+    builderQueryText = QueryParser.stringify(builderToAST(builderRoot()));
+    $("#textQuery").value = builderQueryText;
+    builderWarnings = [];
+  } else {
+    const text = $("#textQuery").value.trim();
+    if (text !== builderQueryText) {
+      let converted;
+      try {
+        converted = queryToBuilder(text);
+      } catch (err) {
+        $('#queryError').textContent = 'Query parse error: ' + err.message;
+        return;
+      }
+      // Parts the builder would leave out are lost once the builder is written back as text
+      const dropped = converted.warnings.filter(w => w.dropped);
+      if (dropped.length && !confirm(
+        'Some of this query cannot be shown in the builder:\n\n' +
+        dropped.map(w => '- ' + w.message).join('\n') +
+        '\n\nOpen it in the builder without those parts?'
+      )) return;
+      currentFilterConfig = { version: 2, root: converted.root, quickSearch: '' };
+      builderWarnings = converted.warnings;
+      builderQueryText = text;
+    }
+    $('#queryError').textContent = '';
+  }
+  showQueryMode(mode);
+  renderBuilderUI();
+}
+
+/**
+ * Mark the query on the active tab as the one to apply. The text query is parsed by the worker.
+ * @returns {Promise<boolean>} - false if the text query does not parse
+ */
+async function setAppliedQuery() {
+  if (queryMode === 'builder') {
+    const ast = builderToAST(builderRoot());
+    appliedFilterConfig = ast ? QueryParser.compileToFilter(ast) : null;
+    appliedAdvancedQuery = null;
+    return true;
+  }
+
+  appliedFilterConfig = null;
+  const queryText = $("#textQuery").value.trim();
+  if (!queryText) {
+    appliedAdvancedQuery = null;
+    return true;
+  }
+  try {
+    const response = await sendToWorker('PARSE_ADVANCED_QUERY', { queryText }, true);
+    if (response.data.success) {
+      appliedAdvancedQuery = response.data.result;
+      $('#queryError').textContent = '';
+      return true;
+    }
+    appliedAdvancedQuery = null;
+    $('#queryError').textContent = 'Query parse error: ' + response.data.error;
+  } catch (error) {
+    appliedAdvancedQuery = null;
+    $('#queryError').textContent = 'Query parse error: ' + error.message;
+  }
+  return false;
+}
+
+/**
  * --- Query Builder: functions ---
  */
 function createEmptyRule() {
-  return { id: generateUUID(), field: 'level', operator: 'equals', value: '', logic: 'AND', enabled: true };
+  return { id: generateUUID(), type: 'rule', field: 'level', operator: 'equals', value: '', enabled: true };
 }
 
-function addRule(rule = null) {
-  currentFilterConfig = currentFilterConfig || { version: 2, rules: [], quickSearch: '' };
-  const r = rule || createEmptyRule();
-  // If there are existing rules, default logic from previous one remains; ensure last rule logic is null
-  if (currentFilterConfig.rules.length > 0) {
-    currentFilterConfig.rules[currentFilterConfig.rules.length - 1].logic = 'AND';
+/**
+ * Root group of the builder, created on first use
+ * @returns {Object}
+ */
+function builderRoot() {
+  if (!currentFilterConfig?.root) currentFilterConfig = { version: 2, root: createRuleGroup('AND'), quickSearch: '' };
+  return currentFilterConfig.root;
+}
+
+/**
+ * Find a builder rule or group by id
+ * @param {string} id
+ * @param {Object} group - Group to search (default: the root)
+ * @param {Object|null} parent - Group holding `group`
+ * @returns {{node: Object, parent: Object|null}|null}
+ */
+function findBuilderNode(id, group = builderRoot(), parent = null) {
+  if (group.id === id) return { node: group, parent };
+  if (group.type !== 'group') return null;
+  for (const child of group.children) {
+    const found = findBuilderNode(id, child, group);
+    if (found) return found;
   }
-  currentFilterConfig.rules.push(r);
-  currentFilterConfig.rules[currentFilterConfig.rules.length - 1].logic = null;
+  return null;
+}
+
+function addRule(rule = null, groupId = null) {
+  const group = (groupId && findBuilderNode(groupId)?.node) || builderRoot();
+  group.children.push(rule || createEmptyRule());
   // do not apply; wait for user to press Apply
 }
 
+/**
+ * Add a nested group holding one empty rule; it starts with the opposite logic of its parent
+ * @param {string|null} groupId - Parent group (default: the root)
+ */
+function addRuleGroup(groupId = null) {
+  const parent = (groupId && findBuilderNode(groupId)?.node) || builderRoot();
+  const group = createRuleGroup(parent.logic === 'AND' ? 'OR' : 'AND');
+  group.children.push(createEmptyRule());
+  parent.children.push(group);
+}
+
 function deleteRule(id) {
-  currentFilterConfig = currentFilterConfig || { version: 2, rules: [], quickSearch: '' };
-  currentFilterConfig.rules = currentFilterConfig.rules.filter(r => r.id !== id);
-  // Ensure logic on last rule is null
-  if (currentFilterConfig.rules.length > 0) currentFilterConfig.rules[currentFilterConfig.rules.length - 1].logic = null;
+  const found = findBuilderNode(id);
+  if (!found?.parent) return;
+  found.parent.children = found.parent.children.filter(c => c.id !== id);
   renderBuilderUI();
   // do not auto-apply
 }
 
 function updateRuleField(id, fieldName) {
-  const r = (currentFilterConfig?.rules || []).find(rr => rr.id === id);
+  const r = findBuilderNode(id)?.node;
   if (!r) return;
   r.field = fieldName;
   // pick default operator for the field
@@ -1593,7 +2428,7 @@ function updateRuleField(id, fieldName) {
 }
 
 function updateRuleOperator(id, operator) {
-  const r = (currentFilterConfig?.rules || []).find(rr => rr.id === id);
+  const r = findBuilderNode(id)?.node;
   if (!r) return;
   r.operator = operator;
   renderBuilderUI();
@@ -1601,107 +2436,131 @@ function updateRuleOperator(id, operator) {
 }
 
 function updateRuleValue(id, value) {
-  const r = (currentFilterConfig?.rules || []).find(rr => rr.id === id);
+  const r = findBuilderNode(id)?.node;
   if (!r) return;
   r.value = value;
-  // do not auto-apply; preview updated by renderBuilderUI
+  $("#builderPreview").textContent = QueryParser.stringify(builderToAST(builderRoot()));
+  // do not auto-apply
 }
 
-function updateRuleLogic(id, logic) {
-  const idx = (currentFilterConfig?.rules || []).findIndex(rr => rr.id === id);
-  if (idx < 0) return;
-  currentFilterConfig.rules[idx].logic = logic;
+function updateGroup(id, changes) {
+  const g = findBuilderNode(id)?.node;
+  if (!g) return;
+  Object.assign(g, changes);
   renderBuilderUI();
   // do not auto-apply
 }
 
-function rulesToQuery(rules) {
-  if (!rules || rules.length === 0) return '';
-  const parts = rules.map(rule => {
-    let prefix = '';
-    if (['greaterThan', 'greaterOrEqual', 'lessThan', 'lessOrEqual', 'notEquals'].includes(rule.operator)) {
-      const opMap = { 'greaterThan': '>', 'greaterOrEqual': '>=', 'lessThan': '<', 'lessOrEqual': '<=', 'notEquals': '!=' };
-      prefix = opMap[rule.operator];
-    } else if (rule.operator === 'startsWith') {
-      prefix = '^';
-    } else if (rule.operator === 'endsWith') {
-      // We'll append suffix on value
-      // keep prefix empty
-    }
-    let val = String(rule.value || '');
-    if (rule.operator === 'endsWith') val = val + '$';
-    // Quote if contains spaces
-    if (val.includes(' ')) val = '"' + val + '"';
-    return `${rule.field}:${prefix}${val}${rule.logic ? ' ' + rule.logic + ' ' : ''}`;
-  }).join('');
-  // ---------- Query Parser ----------
-  // (Moved to shared.js)
-}
-
-function renderBuilderUI() {
-  const cont = $("#rulesContainer");
-  if (!cont) return;
-
-  if (!currentFilterConfig) currentFilterConfig = { version: 2, rules: [], quickSearch: '' };
+const RELATIVE_TIME_SUGGESTIONS = ['now', 'now-15m', 'now-1h', 'now-24h', '@first', '@first+5m', '@last', '@last-10m'];
 
-  if (!Array.isArray(currentFilterConfig.rules) || currentFilterConfig.rules.length === 0) {
-    cont.innerHTML = '<div class="empty-state">No filter rules. Click + Add Filter Rule to get started.</div>';
-    $("#builderPreview").textContent = '';
-    return;
-  }
+/**
+ * Values suggested for a builder rule: values seen in the data, the whole severity scale for level,
+ * relative times for the timestamp
+ * @param {string} field
+ * @returns {Array<string>}
+ */
+function builderValueSuggestions(field) {
+  if (field === 'ts') return RELATIVE_TIME_SUGGESTIONS;
+  const seen = FieldRegistry.getUniqueValues(field, 50);
+  if (field !== 'level') return seen;
+  return [...new Set([...LogLevels.scale.map(l => l.name), ...seen])];
+}
 
-  // Build HTML for rules
+/**
+ * HTML for one builder rule
+ * @param {Object} rule
+ * @returns {string}
+ */
+function renderBuilderRule(rule) {
   const allFields = [...fieldNames].sort();
-  const html = currentFilterConfig.rules.map((rule, idx) => {
-    const ops = getOperatorsForField(rule.field, FieldRegistry.get(rule.field)?.samples?.[0] || '');
-    return `
+  // A rule opened from a text query may name a field not in the data, or an operator the builder
+  // does not offer for its field; list them so the rule shows as it is
+  if (!['level', 'ts', 'message', 'raw', 'source', 'line'].includes(rule.field) && !allFields.includes(rule.field)) allFields.push(rule.field);
+  let ops = getOperatorsForField(rule.field, FieldRegistry.get(rule.field)?.samples?.[0] || '');
+  if (!ops.some(op => op.value === rule.operator)) ops = [{ value: rule.operator, label: operatorLabel(rule.operator) }, ...ops];
+  return `
       <div class="filter-rule" data-rule-id="${rule.id}">
         <select class="field-select" data-rule-id="${rule.id}">` +
-      ` <optgroup label="Standard Fields">` +
-      ` <option value="level" ${rule.field === 'level' ? 'selected' : ''}>Level</option>` +
-      ` <option value="ts" ${rule.field === 'ts' ? 'selected' : ''}>Timestamp</option>` +
-      ` <option value="message" ${rule.field === 'message' ? 'selected' : ''}>Message</option>` +
-      ` <option value="raw" ${rule.field === 'raw' ? 'selected' : ''}>Raw</option>` +
-      ` </optgroup>` +
-      (allFields.length ? ` <optgroup label="Extracted Fields">` + allFields.map(f => ` <option value="${escapeHtml(f)}" ${rule.field === f ? 'selected' : ''}>${escapeHtml(f)}</option>`).join('') + ` </optgroup>` : '') +
-      `</select>
+    ` <optgroup label="Standard Fields">` +
+    ` <option value="level" ${rule.field === 'level' ? 'selected' : ''}>Level</option>` +
+    ` <option value="ts" ${rule.field === 'ts' ? 'selected' : ''}>Timestamp</option>` +
+    ` <option value="message" ${rule.field === 'message' ? 'selected' : ''}>Message</option>` +
+    ` <option value="raw" ${rule.field === 'raw' ? 'selected' : ''}>Raw</option>` +
+    (sources.length > 1 || rule.field === 'source' ? ` <option value="source" ${rule.field === 'source' ? 'selected' : ''}>Source</option>` : '') +
+    ` <option value="line" ${rule.field === 'line' ? 'selected' : ''}>Line</option>` +
+    ` </optgroup>` +
+    (allFields.length ? ` <optgroup label="Extracted Fields">` + allFields.map(f => ` <option value="${escapeHtml(f)}" ${rule.field === f ? 'selected' : ''}>${escapeHtml(f)}</option>`).join('') + ` </optgroup>` : '') +
+    `</select>
         <select class="operator-select" data-rule-id="${rule.id}">` +
-      ops.map(op => `<option value="${op.value}" ${rule.operator === op.value ? 'selected' : ''}>${escapeHtml(op.label)}</option>`).join('') +
-      `</select>
+    ops.map(op => `<option value="${op.value}" ${rule.operator === op.value ? 'selected' : ''}>${escapeHtml(op.label)}</option>`).join('') +
+    `</select>
         ${(() => {
-        const meta = FieldRegistry.get(rule.field);
-        const isDate = meta?.type === 'date' || rule.field === 'ts';
-        if (rule.operator === 'between' && isDate) {
-          const parts = (rule.value || '').split(',');
-          const start = parts[0] ? new Date(parts[0]).toISOString().slice(0, 16) : '';
-          const end = parts[1] ? new Date(parts[1]).toISOString().slice(0, 16) : '';
-          return `
-                <input type="datetime-local" class="value-input" data-rule-id="${rule.id}" data-sub="start" value="${escapeHtml(start)}" />
-                <span style="padding:0 8px; color:var(--muted);">to</span>
-                <input type="datetime-local" class="value-input" data-rule-id="${rule.id}" data-sub="end" value="${escapeHtml(end)}" />
+      const meta = FieldRegistry.get(rule.field);
+      const isDate = meta?.type === 'date' || rule.field === 'ts';
+      // Time values are text so they can be relative (now-15m, @first+5m) as well as timestamps
+      if ((rule.operator === 'between' || rule.operator === 'around') && isDate) {
+        const [first = '', second = ''] = splitArgs(rule.value || '');
+        const around = rule.operator === 'around';
+        return `
+                <input class="value-input" data-rule-id="${rule.id}" data-sub="start" value="${escapeHtml(first)}" placeholder="${around ? 'Time' : 'From'}" list="values-${rule.id}" />
+                <span style="padding:0 8px; color:var(--muted);">${around ? '±' : 'to'}</span>
+                <input class="value-input" data-rule-id="${rule.id}" data-sub="end" value="${escapeHtml(second)}" placeholder="${around ? 'e.g. 30s' : 'To'}" ${around ? '' : `list="values-${rule.id}"`} />
               `;
-        }
-        if (isDate) {
-          return `<input type="datetime-local" class="value-input" data-rule-id="${rule.id}" value="${escapeHtml(rule.value ? (new Date(rule.value).toISOString().slice(0, 16)) : '')}" placeholder="Enter date/time" />`;
-        }
-        return `<input class="value-input" data-rule-id="${rule.id}" value="${escapeHtml(rule.value || '')}" placeholder="Enter value..." list="values-${rule.id}" />`;
-      })()
       }
+      if (isDate) {
+        return `<input class="value-input" data-rule-id="${rule.id}" value="${escapeHtml(rule.value || '')}" placeholder="Time, now-15m or @first+5m" list="values-${rule.id}" />`;
+      }
+      return `<input class="value-input" data-rule-id="${rule.id}" value="${escapeHtml(Array.isArray(rule.value) ? rule.value.join(', ') : rule.value || '')}" placeholder="Enter value..." list="values-${rule.id}" />`;
+    })()
+    }
         <datalist id="values-${rule.id}">
-          ${FieldRegistry.getUniqueValues(rule.field, 50).map(val => `<option value="${escapeHtml(val)}">`).join('')}
+          ${builderValueSuggestions(rule.field).map(val => `<option value="${escapeHtml(val)}">`).join('')}
         </datalist>
         <button class="delete-rule" data-rule-id="${rule.id}">×</button>
+      </div>`;
+}
+
+/**
+ * HTML for a builder group and everything in it
+ * @param {Object} group
+ * @param {boolean} isRoot - The root group cannot be removed
+ * @returns {string}
+ */
+function renderBuilderGroup(group, isRoot = false) {
+  const children = group.children.map(child => child.type === 'group' ? renderBuilderGroup(child) : renderBuilderRule(child));
+  return `
+    <div class="rule-group${isRoot ? ' root' : ''}${group.negate ? ' negated' : ''}" data-rule-id="${group.id}">
+      <div class="group-header">
+        <label><input type="checkbox" class="group-negate" data-rule-id="${group.id}" ${group.negate ? 'checked' : ''}> NOT</label>
+        <select class="group-logic" data-rule-id="${group.id}">
+          <option value="AND" ${group.logic === 'AND' ? 'selected' : ''}>all of (AND)</option>
+          <option value="OR" ${group.logic === 'OR' ? 'selected' : ''}>any of (OR)</option>
+        </select>
+        ${isRoot ? '' : `
+        <button class="btn ghost add-group-rule" data-rule-id="${group.id}">+ Rule</button>
+        <button class="btn ghost add-group-group" data-rule-id="${group.id}">+ Group</button>
+        <button class="delete-rule" data-rule-id="${group.id}" title="Remove group">×</button>`}
       </div>
-      ${(idx !== currentFilterConfig.rules.length - 1) ? `
-        <div class="logic-selector">
-          <label><input type="radio" name="logic-${rule.id}" value="AND" ${rule.logic === 'AND' ? 'checked' : ''} data-rule-id="${rule.id}" class="logic-input"> AND</label>
-          <label><input type="radio" name="logic-${rule.id}" value="OR" ${rule.logic === 'OR' ? 'checked' : ''} data-rule-id="${rule.id}" class="logic-input"> OR</label>
-        </div>
-      ` : ''}
-    `;
-  }).join('');
+      ${children.join(`<div class="group-joiner">${group.logic}</div>`)}
+    </div>`;
+}
+
+function renderBuilderUI() {
+  const cont = $("#rulesContainer");
+  if (!cont) return;
 
-  cont.innerHTML = html;
+  const warn = $("#builderWarnings");
+  warn.innerHTML = builderWarnings.map(w => `<div>⚠ ${escapeHtml(w.message)}</div>`).join('');
+  warn.style.display = builderWarnings.length ? '' : 'none';
+
+  const root = builderRoot();
+  if (root.children.length === 0) {
+    cont.innerHTML = '<div class="empty-state">No filter rules. Click + Add Filter Rule to get started.</div>';
+    $("#builderPreview").textContent = '';
+    return;
+  }
+
+  cont.innerHTML = renderBuilderGroup(root, true);
 
   // Attach listeners
   cont.querySelectorAll('.field-select').forEach(sel => {
@@ -1717,36 +2576,35 @@ function renderBuilderUI() {
       const val = e.target.value;
 
       if (sub) {
-        // pair input - find both values and combine as CSV of ISO strings
+        // pair input - find both values and combine as "start, end"
         const startEl = cont.querySelector(`.value-input[data-rule-id="${id}"][data-sub="start"]`);
         const endEl = cont.querySelector(`.value-input[data-rule-id="${id}"][data-sub="end"]`);
-        const startVal = startEl?.value ? new Date(startEl.value).toISOString() : '';
-        const endVal = endEl?.value ? new Date(endEl.value).toISOString() : '';
-        const combined = [startVal, endVal].filter(Boolean).join(',');
-        updateRuleValue(id, combined);
+        const pair = [startEl?.value.trim() || '', endEl?.value.trim() || ''];
+        updateRuleValue(id, pair.some(Boolean) ? pair.map(quoteArg).join(', ') : '');
         return;
       }
 
-      if (e.target.type === 'datetime-local') {
-        if (!val) updateRuleValue(id, '');
-        else updateRuleValue(id, new Date(val).toISOString());
-      } else {
-        updateRuleValue(id, val);
-      }
+      updateRuleValue(id, val);
     });
   });
   cont.querySelectorAll('.delete-rule').forEach(btn => {
     btn.addEventListener('click', (e) => { deleteRule(e.target.dataset.ruleId); });
   });
-  cont.querySelectorAll('.logic-input').forEach(inp => {
-    inp.addEventListener('change', (e) => updateRuleLogic(e.target.dataset.ruleId, e.target.value));
+  cont.querySelectorAll('.group-logic').forEach(sel => {
+    sel.addEventListener('change', (e) => updateGroup(e.target.dataset.ruleId, { logic: e.target.value }));
+  });
+  cont.querySelectorAll('.group-negate').forEach(inp => {
+    inp.addEventListener('change', (e) => updateGroup(e.target.dataset.ruleId, { negate: e.target.checked }));
+  });
+  cont.querySelectorAll('.add-group-rule').forEach(btn => {
+    btn.addEventListener('click', (e) => { addRule(null, e.target.dataset.ruleId); renderBuilderUI(); });
+  });
+  cont.querySelectorAll('.add-group-group').forEach(btn => {
+    btn.addEventListener('click', (e) => { addRuleGroup(e.target.dataset.ruleId); renderBuilderUI(); });
   });
 
-  // Update preview (show generated query only; remove 'Generated:' prefix per request)
-  const preview = rulesToQuery(currentFilterConfig.rules);
-  $("#builderPreview").textContent = preview ? preview : '';
-
-  // Keep advanced query separate — do not update textQuery from builder
+  // Preview the query the builder compiles to, in text query syntax
+  $("#builderPreview").textContent = QueryParser.stringify(builderToAST(root));
 }
 
 /**
@@ -1905,36 +2763,16 @@ function initializeEventHandlers() {
   // Action buttons
   $("#apply").addEventListener('click', async e => {
     e.preventDefault();
-    // Apply: copy current builder rules to appliedFilterConfig
-    appliedFilterConfig = currentFilterConfig ? JSON.parse(JSON.stringify(currentFilterConfig)) : null;
 
     // Show progress
     $("#filterProgress").style.display = 'block';
     $("#filterProgressFill").style.width = '0%';
     $("#filterProgressText").textContent = 'Applying filters...';
 
-    // Parse advanced query using worker
-    const queryText = $("#textQuery").value.trim();
-    if (queryText) {
-      try {
-        const response = await sendToWorker('PARSE_ADVANCED_QUERY', { queryText }, true);
-        if (response.data.success) {
-          appliedAdvancedQuery = response.data.result;
-          $('#queryError').textContent = '';
-        } else {
-          appliedAdvancedQuery = null;
-          $('#queryError').textContent = 'Query parse error: ' + response.data.error;
-          $("#filterProgress").style.display = 'none';
-          return; // Don't apply filters if query parsing failed
-        }
-      } catch (error) {
-        appliedAdvancedQuery = null;
-        $('#queryError').textContent = 'Query parse error: ' + error.message;
-        $("#filterProgress").style.display = 'none';
-        return;
-      }
-    } else {
-      appliedAdvancedQuery = null;
+    // Apply the query on the active tab; don't apply filters if the text query fails to parse
+    if (!(await setAppliedQuery())) {
+      $("#filterProgress").style.display = 'none';
+      return;
     }
 
     applyFilters();
@@ -1949,20 +2787,24 @@ function initializeEventHandlers() {
     // Do not auto-apply builder changes; require Apply
   });
 
+  $("#addFilterGroup").addEventListener('click', () => {
+    addRuleGroup();
+    renderBuilderUI();
+  });
+
   $("#clearFilterRules").addEventListener('click', () => {
-    currentFilterConfig = currentFilterConfig || { version: 2, rules: [], quickSearch: '' };
-    currentFilterConfig.rules = [];
+    builderRoot().children = [];
+    builderWarnings = [];
     renderBuilderUI();
     // Clearing builder does not auto-apply unless user presses Apply
   });
 
-  // Builder is always visible and primary
-  const b = $("#filterBuilder");
-  if (b) {
-    b.style.display = 'block';
-    builderOpen = true;
-    renderBuilderUI();
-  }
+  // Builder and Text query tabs; switching converts the query between them
+  document.querySelectorAll('.query-tab').forEach(btn => {
+    btn.addEventListener('click', () => switchQueryMode(btn.dataset.mode));
+  });
+  showQueryMode('builder');
+  renderBuilderUI();
 
   // Text Query input parsing (two-way sync)
   const textQueryInput = $("#textQuery");
@@ -1993,6 +2835,9 @@ function initializeEventHandlers() {
     currentFilterConfig = null;
     appliedFilterConfig = null;
     appliedAdvancedQuery = null;
+    builderQueryText = '';
+    builderWarnings = [];
+    renderBuilderUI();
     applyFilters();
   });
 
@@ -2027,6 +2872,16 @@ function initializeEventHandlers() {
     }
   });
 
+  // Row clicks: pick anchor rows while aligning source clocks, otherwise show the row's details
+  $("#tbody").addEventListener('click', e => {
+    const tr = e.target.closest('tr');
+    if (!tr?.dataset.rowId || e.target.closest('details, a, button')) return;
+    if (anchorPicks) pickAnchorRow(Number(tr.dataset.rowId), tr.dataset.source);
+    else showRowDetail(Number(tr.dataset.rowId));
+  });
+  $("#rowDetailClose").addEventListener('click', hideRowDetail);
+  $("#rowDetailCopy").addEventListener('click', copyRowReference);
+
   // Extractor
   $("#runExtract").addEventListener('click', runExtractor);
 
@@ -2071,43 +2926,246 @@ function initializeEventHandlers() {
     fileInput.click();
   });
 
+  // Follow mode needs a file handle, which only the File System Access API picker provides
+  const followPick = $("#followPick");
+  followPick.style.display = canFollow() ? '' : 'none';
+  followPick.addEventListener('click', async e => {
+    e.preventDefault();
+    let handle;
+    try {
+      [handle] = await window.showOpenFilePicker();
+    } catch (error) {
+      return; // Picker dismissed
+    }
+    handleFile(await handle.getFile(), handle);
+  });
+  $("#followPause").addEventListener('click', toggleFollowPause);
+  $("#followStop").addEventListener('click', () => stopFollowing());
+
+  const folderPick = $("#folderPick");
+  folderPick.style.display = canWatchFolders() ? '' : 'none';
+  $("#folderGlobLabel").style.display = canWatchFolders() ? '' : 'none';
+  folderPick.addEventListener('click', e => {
+    e.preventDefault();
+    openFolder();
+  });
+  $("#folderStop").addEventListener('click', stopWatchingFolder);
+
   fileInput.addEventListener('change', e => {
     const f = e.target.files?.[0];
     if (f) handleFile(f);
     e.target.value = ''; // Reset input to allow re-selecting same file
   });
 
+  // File or pasted text (and its compression, follow handle and encoding) waiting for the user to confirm a low-confidence format guess
+  let pendingFormatFile = null;
+  let pendingCompression = null;
+  let pendingFollowHandle = null;
+  let pendingEncoding = null;
+
+  /**
+   * Handle file selection: detect compression and encoding, then use the chosen format, or
+   * sniff the content and parse right away when the guess is confident enough
+   * @param {File} file - Selected file
+   * @param {FileSystemFileHandle} followHandle - Keep following the file for new lines after loading it
+   */
+  async function handleFile(file, followHandle = null) {
+    // The worker parses one stream at a time, so loading anything ends the current follow or folder watch
+    if (following) stopFollowing();
+    stopWatchingFolder();
+    $("#fileTag").textContent = file.name;
+    hideFormatDetection();
+    hideArchivePanel();
+
+    let compression = await detectCompression(file).catch(() => null);
+    if (compression === 'bzip2') {
+      alert('bzip2 files cannot be decompressed in the browser (DecompressionStream supports gzip and deflate only). Decompress it with bunzip2 first.');
+      $("#fileTag").textContent = 'no file';
+      return;
+    }
+
+    let head = null;
+    let truncated = file.size > SNIFF_BYTES;
+    if (compression) {
+      try {
+        ({ bytes: head, truncated } = await readDecompressedSample(file, compression, SNIFF_BYTES));
+      } catch (error) {
+        // Plain text that merely starts like a zlib header
+        console.warn(`Not ${compression} data, reading as plain text:`, error);
+        compression = null;
+        truncated = file.size > SNIFF_BYTES;
+      }
+    }
+    if (!head) head = await readFileBytes(file, 0, SNIFF_BYTES);
+
+    const archive = detectArchive(head);
+    if (followHandle && (archive || compression)) {
+      alert(`${file.name} is ${archive ? 'an archive' : 'compressed'}; only plain text files can be followed. Loading it once instead.`);
+      followHandle = null;
+    }
+    if (archive) {
+      openArchive(file, archive, compression);
+      return;
+    }
+
+    const encoding = resolveEncoding(head, truncated);
+    const chosen = $("#formatSelect").value;
+    if (chosen !== 'auto') {
+      parseFileInChunks(file, chosen, null, compression, followHandle, encoding);
+      return;
+    }
+
+    try {
+      const sniffed = await sniffSample(decodeSample(head, truncated, encoding), truncated, file.name);
+
+      if (sniffed.confidence >= FORMAT_AUTO_CONFIDENCE) {
+        parseFileInChunks(file, sniffed.format, sniffed, compression, followHandle, encoding);
+      } else {
+        showFormatDetection(file, sniffed, compression, followHandle, encoding);
+      }
+    } catch (error) {
+      console.error('Format detection failed:', error);
+      parseFileInChunks(file, detectFileFormat(file.name), null, compression, followHandle, encoding);
+    }
+  }
+
+  /**
+   * Show the detection result and let the user confirm or override the format
+   * @param {File|Object} file - File waiting to be parsed, or pasted text as { name, text }
+   * @param {Object} sniffed - SNIFF_FORMAT result
+   * @param {string} compression - Compression detected for the file, or null
+   * @param {FileSystemFileHandle} followHandle - Handle to follow after loading, or null
+   * @param {Object} encoding - resolveEncoding result for a file, or null
+   */
+  function showFormatDetection(file, sniffed, compression = null, followHandle = null, encoding = null) {
+    pendingFormatFile = file;
+    pendingCompression = compression;
+    pendingFollowHandle = followHandle;
+    pendingEncoding = encoding;
+    const pct = c => Math.round(c * 100) + '%';
+    const others = sniffed.candidates.slice(1, 3).map(c => `${FORMAT_LABELS[c.format]} ${pct(c.confidence)}`);
+    $("#formatDetectText").textContent =
+      `Detected ${FORMAT_LABELS[sniffed.format]} (${pct(sniffed.confidence)} confidence)` +
+      (others.length ? ` · also possible: ${others.join(', ')}` : '') + ' — parse as';
+
+    const select = $("#formatDetectSelect");
+    select.innerHTML = '';
+    for (const [format, label] of Object.entries(FORMAT_LABELS)) {
+      const opt = document.createElement('option');
+      opt.value = format;
+      opt.textContent = label;
+      select.appendChild(opt);
+    }
+    select.value = sniffed.format;
+    select.dataset.delimiter = sniffed.delimiter || '';
+    $("#formatDetect").style.display = 'flex';
+  }
+
+  /**
+   * Hide the detection panel and forget the pending file
+   */
+  function hideFormatDetection() {
+    pendingFormatFile = null;
+    pendingCompression = null;
+    pendingFollowHandle = null;
+    pendingEncoding = null;
+    $("#formatDetect").style.display = 'none';
+  }
+
+  $("#formatDetectParse").addEventListener('click', () => {
+    const file = pendingFormatFile;
+    const compression = pendingCompression;
+    const followHandle = pendingFollowHandle;
+    const encoding = pendingEncoding;
+    const select = $("#formatDetectSelect");
+    const format = select.value;
+    const delimiter = select.dataset.delimiter;
+    hideFormatDetection();
+    if (file instanceof Blob) parseFileInChunks(file, format, { delimiter }, compression, followHandle, encoding);
+    else if (file) parseTextInChunks(file, format, { delimiter });
+  });
+
+  $("#formatDetectCancel").addEventListener('click', () => {
+    hideFormatDetection();
+    $("#fileTag").textContent = 'no file';
+  });
+
   /**
-   * Handle file selection and read content in chunks
+   * Read the file in chunks and stream it through the worker parser
    * @param {File} file - Selected file
+   * @param {string} format - Parser to use (see FORMAT_LABELS)
+   * @param {Object} sniffed - Optional sniffing result (supplies the CSV delimiter)
+   * @param {string} compression - 'gzip' or 'deflate' to decompress on the fly, or null
+   * @param {FileSystemFileHandle} followHandle - Keep following the file for new lines, or null
+   * @param {Object} encoding - resolveEncoding result: { encoding, bomLength, reason }
    */
-  function handleFile(file) {
+  function parseFileInChunks(file, format, sniffed = null, compression = null, followHandle = null, encoding = null) {
     // Reset state
     $("#fileTag").textContent = file.name;
+    $("#formatTag").textContent = FORMAT_LABELS[format] || format;
     $("#uploadProgress").style.display = 'block';
     $("#uploadProgressFill").style.width = '0%';
     $("#uploadProgressText").textContent = 'Starting upload...';
 
-    // Reset worker state
-    sendToWorker('PARSE_START');
-
-    const CHUNK_SIZE = 10 * 1024 * 1024; // 10MB chunks
     const fileSize = file.size;
     let offset = 0;
 
-    // Determine format
-    let format = 'log';
-    if (file.name.endsWith('.json')) format = 'json';
-    else if (file.name.endsWith('.csv')) format = 'csv';
-    else if (file.name.endsWith('.ndjson')) format = 'ndjson';
+    const csvOptions = getCSVOptions();
+    if (format === 'csv' && csvOptions.delimiter === 'auto') {
+      if (sniffed?.delimiter) csvOptions.delimiter = sniffed.delimiter;
+      else if (file.name.endsWith('.tsv')) csvOptions.delimiter = '\t';
+    }
+    if (format === 'csv' && csvOptions.delimiter === '\t') $("#formatTag").textContent = 'TSV';
+    if (compression) $("#formatTag").textContent += ` · ${compression}`;
+    if (!encoding) encoding = { encoding: 'utf-8', bomLength: 0, reason: 'default' };
+    showEncodingTag(encoding);
+
+    if (followHandle && format === 'json') {
+      alert('A JSON array cannot be followed as it grows; use NDJSON for live logs. Loading it once instead.');
+      followHandle = null;
+    }
+
+    // Reset worker state (or add to the loaded files)
+    const append = isAppendUpload();
+    const start = {
+      format,
+      size: compression ? null : fileSize, // Unknown until decompressed
+      csv: csvOptions,
+      multiline: Storage.getMultilineRules().filter(r => r.enabled !== false),
+      ...getYearInferenceOptions(file),
+      append,
+      source: uniqueSourceName(file.name, append),
+      encoding: encoding.encoding,
+      bomLength: encoding.bomLength
+    };
+    sendToWorker('PARSE_START', start);
+    // Streaming decoder: a character split across two chunks is held back until the next one
+    const decoder = new TextDecoder(encoding.encoding);
+
+    /**
+     * End the initial load of a followed file without closing its stream, then start polling
+     */
+    async function finishFollowedLoad() {
+      const response = await sendToWorker('PARSE_END', { format, follow: true }, true);
+      if (response.type !== 'PARSE_COMPLETE') {
+        alert('Processing error: ' + (response.data?.message || 'parsing failed'));
+        $("#uploadProgress").style.display = 'none';
+        return;
+      }
+      handleParseComplete(response.data, ' · following for new lines');
+      startFollowing(followHandle, file, format, start, decoder);
+    }
 
     function readNextChunk() {
       const slice = file.slice(offset, offset + CHUNK_SIZE);
       const reader = new FileReader();
 
       reader.onload = (e) => {
-        const chunk = e.target.result;
-        offset += chunk.length;
+        const bytes = new Uint8Array(e.target.result);
+        offset += bytes.byteLength;
+        const done = offset >= fileSize;
+        // A followed file keeps its decoder open for the bytes still to be written
+        const chunk = decoder.decode(bytes, { stream: !done || Boolean(followHandle) });
 
         // Update progress
         const percent = Math.round((offset / fileSize) * 100);
@@ -2117,14 +3175,15 @@ function initializeEventHandlers() {
         // Send chunk to worker
         sendToWorker('PARSE_CHUNK', { chunk, format });
 
-        if (offset < fileSize) {
+        if (!done) {
           // Read next chunk
           // Use setTimeout to allow UI to update
           setTimeout(readNextChunk, 0);
         } else {
           // Done reading
           $("#uploadProgressText").textContent = 'Finalizing...';
-          sendToWorker('PARSE_END', { format });
+          if (followHandle) finishFollowedLoad();
+          else sendToWorker('PARSE_END', { format });
         }
       };
 
@@ -2134,19 +3193,477 @@ function initializeEventHandlers() {
         $("#uploadProgress").style.display = 'none';
       };
 
-      reader.readAsText(slice);
+      reader.readAsArrayBuffer(slice);
+    }
+
+    /**
+     * Stream a compressed file: decompress on the fly, send CHUNK_SIZE pieces of text and
+     * report progress against the compressed size
+     */
+    async function readCompressed() {
+      let consumed = 0;
+      let unpacked = 0;
+      let pending = '';
+
+      try {
+        const reader = openByteReader(file, compression, n => { consumed = n; });
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) {
+            pending += decoder.decode();
+          } else {
+            unpacked += value.byteLength;
+            pending += decoder.decode(value, { stream: true });
+          }
+
+          if (pending.length >= CHUNK_SIZE || (done && pending)) {
+            sendToWorker('PARSE_CHUNK', { chunk: pending, format });
+            pending = '';
+
+            const percent = Math.round((consumed / fileSize) * 100);
+            $("#uploadProgressFill").style.width = percent + '%';
+            $("#uploadProgressText").textContent =
+              `Decompressing ${fmt(consumed)} / ${fmt(fileSize)} bytes (${fmt(unpacked)} bytes unpacked)...`;
+            // Allow the UI to update
+            await new Promise(resolve => setTimeout(resolve, 0));
+          }
+          if (done) break;
+        }
+      } catch (error) {
+        // Keep what was decoded so far, e.g. from a gzip file cut off mid-rotation
+        console.error('Decompression error:', error);
+        if (pending) sendToWorker('PARSE_CHUNK', { chunk: pending, format });
+        alert(`Error decompressing ${file.name} after ${fmt(unpacked)} bytes: ${error.message}. Showing the lines read so far.`);
+      }
+
+      $("#uploadProgressText").textContent = 'Finalizing...';
+      sendToWorker('PARSE_END', { format });
     }
 
     // Start reading
-    readNextChunk();
+    if (compression) readCompressed();
+    else readNextChunk();
   }
 
-  // Extractor library
-  $("#addExtractor").addEventListener('click', () => openExtractorModal());
+  // ---------- Pasted Text ----------
+
+  // Text and format of the last paste parsed, so saving it keeps the format it was read with
+  let lastPaste = null;
+
+  /**
+   * Parse text pasted into the Upload section: use the given or chosen format, or sniff it
+   * like a file and ask when the guess is not confident enough
+   * @param {string} text - Pasted log lines
+   * @param {string} name - Source name for the rows
+   * @param {string} format - Format a saved dataset was read with (optional)
+   */
+  async function handlePastedText(text, name, format = '') {
+    if (following) stopFollowing();
+    stopWatchingFolder();
+    hideFormatDetection();
+    hideArchivePanel();
+    const paste = { name, text };
+    $("#fileTag").textContent = name;
+
+    const chosen = format || $("#formatSelect").value;
+    if (chosen !== 'auto') {
+      parseTextInChunks(paste, chosen);
+      return;
+    }
+
+    try {
+      const sniffed = await sniffSample(text.slice(0, SNIFF_BYTES), text.length > SNIFF_BYTES, name);
+      if (sniffed.confidence >= FORMAT_AUTO_CONFIDENCE) {
+        parseTextInChunks(paste, sniffed.format, sniffed);
+      } else {
+        showFormatDetection(paste, sniffed);
+      }
+    } catch (error) {
+      console.error('Format detection failed:', error);
+      parseTextInChunks(paste, 'log');
+    }
+  }
+
+  /**
+   * Send pasted text through the worker parser in CHUNK_SIZE pieces, the same
+   * PARSE_START / PARSE_CHUNK / PARSE_END stream a file goes through
+   * @param {Object} paste - { name, text }
+   * @param {string} format - Parser to use (see FORMAT_LABELS)
+   * @param {Object} sniffed - Optional sniffing result (supplies the CSV delimiter)
+   */
+  function parseTextInChunks(paste, format, sniffed = null) {
+    const { name, text } = paste;
+    lastPaste = { text, format };
+    $("#fileTag").textContent = name;
+    $("#formatTag").textContent = FORMAT_LABELS[format] || format;
+    $("#formatTag").title = 'Format used to parse the file';
+    $("#uploadProgress").style.display = 'block';
+    $("#uploadProgressFill").style.width = '100%';
+    $("#uploadProgressText").textContent = 'Parsing pasted text...';
+
+    const csvOptions = getCSVOptions();
+    if (format === 'csv' && csvOptions.delimiter === 'auto' && sniffed?.delimiter) csvOptions.delimiter = sniffed.delimiter;
+    if (format === 'csv' && csvOptions.delimiter === '\t') $("#formatTag").textContent = 'TSV';
+
+    const append = isAppendUpload();
+    sendToWorker('PARSE_START', {
+      format,
+      size: utf8ByteLength(text),
+      csv: csvOptions,
+      multiline: Storage.getMultilineRules().filter(r => r.enabled !== false),
+      ...getYearInferenceOptions({ lastModified: Date.now() }),
+      append,
+      source: uniqueSourceName(name, append)
+    });
+    for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+      sendToWorker('PARSE_CHUNK', { chunk: text.slice(i, i + CHUNK_SIZE), format });
+    }
+    sendToWorker('PARSE_END', { format });
+  }
+
+  /**
+   * Name typed for the pasted text, or the default source name
+   * @returns {string}
+   */
+  function pasteName() {
+    return $("#pasteName").value.trim() || 'pasted text';
+  }
+
+  /**
+   * Render the saved datasets below the paste area
+   */
+  function renderDatasetList() {
+    const datasets = Storage.getDatasets();
+    const container = $("#datasetList");
+    if (datasets.length === 0) {
+      container.innerHTML = '<div class="empty-state">No saved datasets. Paste some lines and save them to keep them across refreshes.</div>';
+      return;
+    }
+
+    container.innerHTML = datasets.map(d => `
+      <div class="library-item" data-id="${d.id}">
+        <div class="library-item-content">
+          <div class="library-item-title">${escapeHtml(d.name)}</div>
+          <div class="library-item-desc">${fmt(d.text.split('\n').length)} lines · ${fmt(utf8ByteLength(d.text))} bytes · saved ${escapeHtml(new Date(d.updated).toLocaleString())}</div>
+        </div>
+        <div class="library-item-actions">
+          <button class="btn" data-action="load" data-id="${d.id}">Load</button>
+          <button class="btn ghost" data-action="edit" data-id="${d.id}" title="Put the text back in the paste area">Edit</button>
+          <button class="btn ghost" data-action="delete" data-id="${d.id}">Delete</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  $("#pasteParse").addEventListener('click', () => {
+    const text = $("#pasteText").value;
+    if (!text.trim()) {
+      alert('Paste some log lines first.');
+      return;
+    }
+    handlePastedText(text, pasteName());
+  });
+
+  $("#pasteSave").addEventListener('click', () => {
+    const text = $("#pasteText").value;
+    if (!text.trim()) {
+      alert('Paste some log lines first.');
+      return;
+    }
+    const name = pasteName();
+    if (Storage.getDatasets().some(d => d.name === name) && !confirm(`Replace the saved dataset "${name}"?`)) return;
+    // The chosen format, or the one the same text was last parsed with; otherwise it is sniffed on load
+    const chosen = $("#formatSelect").value;
+    const format = chosen !== 'auto' ? chosen : (lastPaste?.text === text ? lastPaste.format : undefined);
+    try {
+      Storage.saveDataset({ name, text, format });
+    } catch (error) {
+      console.error('Dataset save error:', error);
+      alert(`Could not save "${name}": the text is too large for browser storage (${error.message}).`);
+      return;
+    }
+    $("#pasteInfo").textContent = `Saved "${name}"`;
+    renderDatasetList();
+  });
+
+  $("#datasetList").addEventListener('click', e => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const dataset = Storage.getDatasets().find(d => d.id === btn.dataset.id);
+    if (!dataset) return;
+
+    if (btn.dataset.action === 'load') {
+      handlePastedText(dataset.text, dataset.name, dataset.format);
+    } else if (btn.dataset.action === 'edit') {
+      $("#pasteText").value = dataset.text;
+      $("#pasteName").value = dataset.name;
+      $("#pasteInfo").textContent = '';
+    } else if (btn.dataset.action === 'delete' && confirm(`Delete the saved dataset "${dataset.name}"?`)) {
+      Storage.deleteDataset(dataset.id);
+      renderDatasetList();
+    }
+  });
+
+  renderDatasetList();
+
+  // Archive whose member list is shown in the Upload section
+  let pendingArchive = null;
+
+  /**
+   * List an archive's members and let the user tick which ones to load
+   * @param {File} file - Archive file
+   * @param {string} kind - 'zip' or 'tar'
+   * @param {string} compression - Compression around a tar, or null
+   */
+  async function openArchive(file, kind, compression) {
+    $("#info").textContent = `Listing ${file.name}…`;
+    let members;
+    try {
+      members = await listArchiveMembers(file, kind, compression);
+    } catch (error) {
+      console.error('Archive listing error:', error);
+      alert(`Could not read archive ${file.name}: ${error.message}`);
+      $("#fileTag").textContent = 'no file';
+      $("#info").textContent = '';
+      return;
+    }
+    $("#info").textContent = '';
+    pendingArchive = { file, kind, compression, members };
+
+    const label = kind === 'tar' && compression ? `tar.${compression === 'gzip' ? 'gz' : compression}` : kind;
+    $("#archiveSummary").textContent = `${file.name} (${label}) holds ${fmt(members.length)} files — tick the ones to load`;
+    $("#archiveMembers").innerHTML = members.length ? members.map((m, i) => `
+      <label class="archive-member">
+        <input type="checkbox" data-index="${i}" ${ARCHIVE_SKIP_RE.test(m.path) ? '' : 'checked'} />
+        <span class="archive-member-path">${escapeHtml(m.path)}</span>
+        <span class="muted">${fmt(m.size)} bytes</span>
+      </label>
+    `).join('') : '<div class="empty-state">The archive contains no files.</div>';
+    $("#archivePanel").style.display = 'block';
+  }
+
+  /**
+   * Hide the archive member list
+   */
+  function hideArchivePanel() {
+    pendingArchive = null;
+    $("#archivePanel").style.display = 'none';
+    $("#archiveMembers").innerHTML = '';
+  }
+
+  /**
+   * Stream the ticked archive members through the worker into one dataset. Each member is
+   * sniffed (unless a format is chosen), parsed with append so earlier members are kept, and
+   * its rows get a `member` field with the member path. Gzipped members are decompressed.
+   * @param {Object} archive - { file, kind, compression, members }
+   * @param {Array<Object>} selected - Members to load, in archive order
+   */
+  async function parseArchive(archive, selected) {
+    const { file } = archive;
+    const chosen = $("#formatSelect").value;
+    const paths = new Set(selected.map(m => m.path));
+    const totalBytes = archive.kind === 'zip' ? selected.reduce((n, m) => n + m.compressedSize, 0) : file.size;
+    const append = isAppendUpload();
+    const source = uniqueSourceName(file.name, append);
+
+    $("#fileTag").textContent = file.name;
+    $("#formatTag").textContent = `${selected.length} of ${archive.members.length} archive files`;
+    $("#formatTag").title = 'Format used to parse the file';
+    $("#uploadProgress").style.display = 'block';
+    $("#uploadProgressFill").style.width = '0%';
+    $("#uploadProgressText").textContent = 'Opening archive...';
+
+    let loaded = 0;
+    let consumed = 0;
+    let complete = null;
+    let member = null; // State of the member being streamed
+
+    // Plain member bytes: buffer a sniffing sample, then decode and send text in CHUNK_SIZE pieces
+    async function acceptBytes(bytes) {
+      if (!member.started) {
+        member.head.push(bytes);
+        member.headLength += bytes.byteLength;
+        if (member.headLength >= SNIFF_BYTES) await startMember(true);
+        return;
+      }
+      member.pending += member.decoder.decode(bytes, { stream: true });
+      if (member.pending.length >= CHUNK_SIZE) flushMember();
+    }
+
+    async function startMember(truncated) {
+      const head = concatBytes(member.head);
+      member.head = null;
+      member.started = true;
+      const encoding = resolveEncoding(head.subarray(0, SNIFF_BYTES), truncated);
+      member.decoder = new TextDecoder(encoding.encoding);
+
+      let format = chosen;
+      let sniffed = null;
+      if (format === 'auto') {
+        // No confirmation per member: go with the best guess
+        const sample = decodeSample(head.subarray(0, SNIFF_BYTES), truncated, encoding);
+        sniffed = await sniffSample(sample, truncated, member.path).catch(() => null);
+        format = sniffed?.format || detectFileFormat(member.path);
+      }
+      member.format = format;
+
+      const csv = getCSVOptions();
+      if (format === 'csv' && csv.delimiter === 'auto' && sniffed?.delimiter) csv.delimiter = sniffed.delimiter;
+      sendToWorker('PARSE_START', {
+        format,
+        size: null, // Progress is shown for the whole archive
+        csv,
+        multiline: Storage.getMultilineRules().filter(r => r.enabled !== false),
+        ...getYearInferenceOptions(file),
+        lastModified: member.mtime || file.lastModified,
+        append: append || loaded > 0,
+        source,
+        name: member.path,
+        tagFields: { member: member.path },
+        encoding: encoding.encoding,
+        bomLength: encoding.bomLength
+      });
+      member.pending = member.decoder.decode(head, { stream: true });
+      if (member.pending.length >= CHUNK_SIZE) flushMember();
+    }
+
+    function flushMember() {
+      if (member.pending) sendToWorker('PARSE_CHUNK', { chunk: member.pending, format: member.format });
+      member.pending = '';
+      const percent = Math.round((consumed / totalBytes) * 100);
+      $("#uploadProgressFill").style.width = Math.min(100, percent) + '%';
+      $("#uploadProgressText").textContent = `Reading ${member.path} (${fmt(loaded + 1)} of ${fmt(selected.length)})...`;
+    }
+
+    async function finishMember() {
+      if (!member.started) await startMember(false);
+      member.pending += member.decoder.decode();
+      flushMember();
+      const response = await sendToWorker('PARSE_END', { format: member.format }, true);
+      if (response.type !== 'PARSE_COMPLETE') throw new Error(response.data?.message || `Parsing ${member.path} failed`);
+      complete = response.data;
+      loaded++;
+      member = null;
+    }
+
+    const sink = {
+      begin: async entry => {
+        member = {
+          path: entry.path, size: entry.size, mtime: entry.mtime,
+          head: [], headLength: 0, started: false, pending: '', decoder: null,
+          inflate: null, firstBytes: true
+        };
+      },
+      data: async bytes => {
+        if (member.firstBytes) {
+          member.firstBytes = false;
+          if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+            // Gzipped member (e.g. a rotated app.log.1.gz): read its output alongside our writes
+            const stream = new DecompressionStream('gzip');
+            const reader = stream.readable.getReader();
+            const done = (async () => {
+              try {
+                for (;;) {
+                  const { value, done } = await reader.read();
+                  if (done) return;
+                  await acceptBytes(value);
+                }
+              } catch (error) {
+                // Error the stream so a pending write does not wait forever
+                reader.cancel(error).catch(() => {});
+                throw error;
+              }
+            })();
+            done.catch(() => {}); // Reported through end() or the failed write
+            member.inflate = { writer: stream.writable.getWriter(), done };
+          }
+        }
+        if (member.inflate) {
+          await member.inflate.writer.write(bytes);
+        } else {
+          await acceptBytes(bytes);
+        }
+      },
+      end: async () => {
+        if (member.inflate) {
+          await member.inflate.writer.close();
+          await member.inflate.done;
+        }
+        await finishMember();
+      }
+    };
+
+    try {
+      await readArchiveMembers(file, archive, paths, sink, n => { consumed = n; });
+    } catch (error) {
+      console.error('Archive read error:', error);
+      alert(`Error reading ${member ? member.path : file.name}: ${error.message}. Showing the files loaded so far.`);
+      if (member?.started) {
+        const response = await sendToWorker('PARSE_END', { format: member.format }, true);
+        if (response.type === 'PARSE_COMPLETE') complete = response.data;
+      }
+    }
+
+    if (complete) {
+      handleParseComplete(complete, ` from ${fmt(loaded)} archive file${loaded === 1 ? '' : 's'}`);
+    } else {
+      $("#uploadProgress").style.display = 'none';
+    }
+  }
+
+  $("#archiveSelectAll").addEventListener('click', () => {
+    $("#archiveMembers").querySelectorAll('input[type="checkbox"]').forEach(cb => { cb.checked = true; });
+  });
+  $("#archiveSelectNone").addEventListener('click', () => {
+    $("#archiveMembers").querySelectorAll('input[type="checkbox"]').forEach(cb => { cb.checked = false; });
+  });
+  $("#archiveLoad").addEventListener('click', () => {
+    const archive = pendingArchive;
+    if (!archive) return;
+    const selected = [...$("#archiveMembers").querySelectorAll('input[type="checkbox"]:checked')]
+      .map(cb => archive.members[cb.dataset.index]);
+    if (selected.length === 0) {
+      alert('Tick at least one file to load');
+      return;
+    }
+    hideArchivePanel();
+    parseArchive(archive, selected);
+  });
+  $("#archiveCancel").addEventListener('click', () => {
+    hideArchivePanel();
+    $("#fileTag").textContent = 'no file';
+  });
+
+  // Extractor library
+  $("#addExtractor").addEventListener('click', () => openExtractorModal());
   $("#runActiveExtractors").addEventListener('click', runActiveExtractors);
   $("#closeExtractorModal").addEventListener('click', closeExtractorModal);
   $("#cancelExtractor").addEventListener('click', closeExtractorModal);
   $("#saveExtractor").addEventListener('click', saveExtractorFromModal);
+  $("#extractorType").addEventListener('change', updateExtractorTypeUI);
+
+  // Timestamp formats and default timezone
+  $("#tsTimezone").addEventListener('change', e => {
+    const settings = Storage.getTimestampSettings();
+    settings.timezone = e.target.value.trim() || 'local';
+    applyTimestampSettings(settings);
+    if (TimestampFormats.timezone !== settings.timezone) {
+      alert(`Unknown timezone "${settings.timezone}". Use local, UTC, an offset like +05:30 or an IANA name like Europe/Berlin.`);
+      return;
+    }
+    Storage.saveTimestampSettings(settings);
+  });
+  $("#addTsFormat").addEventListener('click', addTimestampFormat);
+  $("#addLevelAlias").addEventListener('click', addLevelAlias);
+  $("#tsFormatInput").addEventListener('input', testTimestampFormat);
+  $("#tsFormatSample").addEventListener('input', testTimestampFormat);
+
+  // Multi-line rules
+  $("#addMultilineRule").addEventListener('click', () => openMultilineModal());
+  $("#closeMultilineModal").addEventListener('click', closeMultilineModal);
+  $("#cancelMultiline").addEventListener('click', closeMultilineModal);
+  $("#saveMultiline").addEventListener('click', saveMultilineRuleFromModal);
+  $("#previewMultiline").addEventListener('click', previewMultilineRules);
 
   // Filter library
   $("#saveCurrentFilter").addEventListener('click', openFilterModal);
@@ -2205,29 +3722,7 @@ function initializeEventHandlers() {
     const filter = Storage.getFilters().find(f => f.id === id);
     if (filter) {
       loadFilterIntoUI(filter);
-      // parse advanced query and apply
-      if ($('#textQuery').value.trim()) {
-        try {
-          const response = await sendToWorker('PARSE_ADVANCED_QUERY', { queryText: $('#textQuery').value.trim() }, true);
-          if (response.data.success) {
-            appliedAdvancedQuery = response.data.result;
-            $('#queryError').textContent = '';
-          } else {
-            appliedAdvancedQuery = null;
-            $('#queryError').textContent = 'Query parse error: ' + response.data.error;
-            return;
-          }
-        } catch (err) {
-          appliedAdvancedQuery = null;
-          $('#queryError').textContent = 'Query parse error: ' + err.message;
-          return;
-        }
-      } else {
-        appliedAdvancedQuery = null;
-      }
-      // mark filter as applied
-      appliedFilterConfig = currentFilterConfig ? JSON.parse(JSON.stringify(currentFilterConfig)) : null;
-      applyFilters('saved-filtering');
+      if (await setAppliedQuery()) applyFilters('saved-filtering');
     }
   });
 
@@ -2238,12 +3733,15 @@ function initializeEventHandlers() {
   // Migrate any old v1 filters to v2 format on startup
   migrateAllFilters();
   renderExtractorList();
+  renderMultilineRuleList();
   renderFilterList();
   updateExtractorInfo();
   updateFilterLibInfo();
-  // Set timezone label and info
-  const info = $('#tzInfo');
-  if (info) info.textContent = `Timestamps are displayed in your local timezone (${userTimeZone}). Naive timestamps are treated as local; UTC/Zulu timestamps are converted to your timezone.`;
+  // Apply timestamp formats/timezone (also sets the timezone info line)
+  const tsSettings = Storage.getTimestampSettings();
+  $("#tsTimezone").value = tsSettings.timezone === 'local' ? '' : tsSettings.timezone;
+  applyTimestampSettings(tsSettings);
+  applyLevelSettings(Storage.getLevelSettings());
   initializeCollapsibles();
   initializeSettings();
   // Initialize columns visibility from prefs and render the Columns panel
@@ -2314,6 +3812,883 @@ function initializeSettings() {
   }
 }
 
+// ---------- Sources ----------
+
+// Colour slots defined in logsieve.css (.src-0 … .src-7)
+const SOURCE_COLORS = 8;
+
+// Rows picked so far while aligning clocks ([{ id, source }]); null when not aligning
+let anchorPicks = null;
+
+/**
+ * Colour badge for a row's source file
+ * @param {string} name - Source name
+ * @returns {string} - HTML
+ */
+function sourceBadge(name) {
+  if (!name) return '';
+  const source = sources.find(s => s.name === name);
+  return `<span class="source-badge src-${(source?.color || 0) % SOURCE_COLORS}">${escapeHtml(name)}</span>`;
+}
+
+/**
+ * Show the loaded files as badges with a remove button (only when more than one is loaded)
+ */
+function renderSourceList() {
+  const container = $("#sourceList");
+  if (!container) return;
+  if (sources.length === 1) $("#fileTag").textContent = sources[0].name;
+  if (sources.length < 2) {
+    container.style.display = 'none';
+    container.innerHTML = '';
+    return;
+  }
+
+  $("#fileTag").textContent = `${sources.length} files`;
+  container.style.display = 'flex';
+  container.innerHTML = sources.map(s => `
+    <span class="source-badge src-${s.color % SOURCE_COLORS}">
+      ${escapeHtml(s.name)} · ${fmt(s.rowCount)} rows
+      <button class="source-offset" data-source="${escapeHtml(s.name)}"
+        title="Clock offset added to this file's timestamps">⏱ ${s.offsetMs ? formatDuration(s.offsetMs) : '0s'}</button>
+      <button class="source-remove" data-source="${escapeHtml(s.name)}" title="Remove this file, keep the others">×</button>
+    </span>
+  `).join('') + `<button class="btn ghost" id="mergeSources"
+    title="Interleave the files into one timeline by timestamp; rows without one stay with the event before them">Merge by time</button>
+    <button class="btn ghost" id="anchorSources"
+    title="Pick a row in one file and the row in another file that happened at the same moment">${anchorPicks ? 'Cancel align' : 'Align clocks'}</button>
+    <span class="muted" id="anchorHint">${anchorPicks ? escapeHtml(anchorHint()) : ''}</span>`;
+  container.querySelectorAll('.source-offset').forEach(btn => {
+    btn.addEventListener('click', e => editSourceOffset(e.currentTarget.dataset.source));
+  });
+  container.querySelectorAll('.source-remove').forEach(btn => {
+    btn.addEventListener('click', e => removeSource(e.currentTarget.dataset.source));
+  });
+  $("#mergeSources").addEventListener('click', mergeSources);
+  $("#anchorSources").addEventListener('click', () => {
+    anchorPicks = anchorPicks ? null : [];
+    renderSourceList();
+    render();
+  });
+}
+
+/**
+ * Explain a clock-corrected timestamp: the time as parsed and the offset applied
+ * @param {Object} row - Row with tsOriginal
+ * @returns {string}
+ */
+function describeSourceOffset(row) {
+  const offsetMs = Date.parse(row.ts) - Date.parse(row.tsOriginal);
+  return `Original: ${formatLocalDatetime(row.tsOriginal)} (clock offset ${formatDuration(offsetMs)})`;
+}
+
+/**
+ * Ask for a file's clock offset and apply it to all of its timestamps
+ * @param {string} name - Source name
+ */
+function editSourceOffset(name) {
+  const source = sources.find(s => s.name === name);
+  if (!source) return;
+  const text = prompt(`Clock offset for ${name}, added to each of its timestamps (e.g. +2.5s, -1m30s, 0 to clear):`,
+    source.offsetMs ? formatDuration(source.offsetMs) : '0s');
+  if (text === null) return;
+  const offsetMs = parseDuration(text);
+  if (offsetMs === null) {
+    alert(`"${text}" is not a duration. Use e.g. +2.5s, -1m30s or 250ms.`);
+    return;
+  }
+  sendToWorker('SET_SOURCE_OFFSET', { name, offsetMs });
+}
+
+/**
+ * Instruction shown while picking anchor rows
+ * @returns {string}
+ */
+function anchorHint() {
+  if (!anchorPicks.length) return 'Click a row in the file with the trusted clock.';
+  return `Now click the row from another file that happened at the same moment as row ${anchorPicks[0].id}.`;
+}
+
+/**
+ * Record a clicked row while aligning clocks; the second row (from another file) gets its
+ * file's offset set so that both rows share the first row's time
+ * @param {number} id - Row id
+ * @param {string} source - Row's source
+ */
+function pickAnchorRow(id, source) {
+  if (anchorPicks.length && anchorPicks[0].source === source) {
+    alert('Pick the matching row from a different file.');
+    return;
+  }
+  anchorPicks.push({ id, source });
+  if (anchorPicks.length === 2) {
+    const [reference, target] = anchorPicks;
+    anchorPicks = null;
+    sendToWorker('ANCHOR_SOURCES', { referenceId: reference.id, targetId: target.id });
+  } else {
+    renderSourceList();
+    render();
+  }
+}
+
+/**
+ * Merge the loaded files into one timeline and show it in timeline (ID) order
+ */
+function mergeSources() {
+  $("#sort").value = 'id';
+  $("#order").value = 'asc';
+  sortByIdOrder = 'asc';
+  sendToWorker('MERGE_SOURCES', {});
+}
+
+/**
+ * Remove one loaded file's rows without reloading the others
+ * @param {string} name - Source name
+ */
+function removeSource(name) {
+  const source = sources.find(s => s.name === name);
+  if (source && confirm(`Remove ${name} (${fmt(source.rowCount)} rows) from the loaded data?`)) {
+    if (following?.start.source === name) stopFollowing();
+    sendToWorker('REMOVE_SOURCE', { name });
+  }
+}
+
+/**
+ * Whether the next upload is added to the loaded data instead of replacing it
+ * @returns {boolean}
+ */
+function isAppendUpload() {
+  return Boolean($("#appendUpload")?.checked) && sources.length > 0;
+}
+
+/**
+ * Source name for a file being loaded, made unique among the loaded sources when appending
+ * @param {string} name - File name
+ * @param {boolean} append - Whether the file is added to the loaded data
+ * @returns {string}
+ */
+function uniqueSourceName(name, append) {
+  if (!append) return name;
+  let unique = name;
+  for (let n = 2; sources.some(s => s.name === unique); n++) unique = `${name} (${n})`;
+  return unique;
+}
+
+// ---------- Follow Mode ----------
+
+const FOLLOW_POLL_MS = 1000;
+const FOLLOW_HEAD_BYTES = 256; // Start of the file, compared on each poll to notice rotation
+
+// File being followed: { handle, format, start (its PARSE_START options), offset (bytes read),
+// head, decoder, timer, paused, busy (a poll is running), added (rows since loading), note };
+// null when not following
+let following = null;
+let followScrollPending = false; // Scroll to the newest rows once the next page renders
+
+/**
+ * Whether the browser can hand out file handles for follow mode
+ * @returns {boolean}
+ */
+function canFollow() {
+  return typeof window.showOpenFilePicker === 'function';
+}
+
+/**
+ * First bytes of a file, used to tell a grown file from a replaced one
+ * @param {File} file
+ * @returns {Promise<Uint8Array>}
+ */
+async function readFileHead(file) {
+  return new Uint8Array(await file.slice(0, FOLLOW_HEAD_BYTES).arrayBuffer());
+}
+
+/**
+ * Start polling a just-loaded file for appended lines
+ * @param {FileSystemFileHandle} handle - Handle to re-read the file through
+ * @param {File} file - Snapshot that was loaded
+ * @param {string} format - Format it was parsed as
+ * @param {Object} start - PARSE_START options it was loaded with
+ * @param {TextDecoder} decoder - Decoder the file was read with, holding any character cut off at its end
+ */
+async function startFollowing(handle, file, format, start, decoder) {
+  following = {
+    handle,
+    format,
+    start,
+    offset: file.size,
+    head: await readFileHead(file),
+    decoder,
+    timer: null,
+    paused: false,
+    busy: false,
+    added: 0,
+    note: ''
+  };
+  renderFollowBar();
+  scheduleFollowPoll();
+}
+
+function scheduleFollowPoll() {
+  if (!following || following.paused) return;
+  clearTimeout(following.timer); // Keep a single timer chain, so Pause can stop it
+  following.timer = setTimeout(pollFollowedFile, FOLLOW_POLL_MS);
+}
+
+/**
+ * Check the followed file once: parse the bytes written since the last check, or start over
+ * from the top when the file was truncated or replaced by a new one (log rotation). Skipped
+ * while an earlier check is still reading, so no bytes are parsed twice.
+ */
+async function pollFollowedFile() {
+  const current = following;
+  if (!current || current.paused || current.busy) return;
+  current.busy = true;
+  try {
+    const file = await current.handle.getFile();
+    const head = await readFileHead(file);
+    const sameStart = current.head.every((b, i) => head[i] === b);
+    if (file.size < current.offset || !sameStart) {
+      await restartFollowedFile(current, file, file.size < current.offset ? 'truncated' : 'replaced');
+    } else if (head.length > current.head.length) {
+      current.head = head;
+    }
+
+    while (current.offset < file.size) {
+      const end = Math.min(file.size, current.offset + CHUNK_SIZE);
+      const bytes = await file.slice(current.offset, end).arrayBuffer();
+      if (following !== current) return; // Stopped while reading
+      current.offset = end;
+      const chunk = current.decoder.decode(bytes, { stream: true });
+      const response = await sendToWorker('FOLLOW_CHUNK', { chunk, format: current.format }, true);
+      if (response.type !== 'FOLLOW_UPDATE') throw new Error(response.data?.message || 'parsing failed');
+      handleFollowUpdate(response.data);
+    }
+  } catch (error) {
+    console.error('Follow error:', error);
+    if (following === current) stopFollowing(`Stopped following ${current.start.source}: ${error.message}`);
+    return;
+  } finally {
+    current.busy = false;
+  }
+  if (following === current) scheduleFollowPoll();
+}
+
+/**
+ * The followed file shrank or its first bytes changed: close the old stream (flushing its
+ * last entry) and read the new file from the start into the same source. Rows already
+ * loaded stay; line numbers of the new rows count from the top of the new file.
+ * @param {Object} current - Follow state
+ * @param {File} file - New snapshot
+ * @param {string} why - 'truncated' or 'replaced'
+ */
+async function restartFollowedFile(current, file, why) {
+  const response = await sendToWorker('FOLLOW_END', { format: current.format }, true);
+  handleFollowUpdate(response.data);
+  if (following !== current) return; // Stopped meanwhile; another file may be loading
+  sendToWorker('PARSE_START', { ...current.start, append: true, size: null, lastModified: file.lastModified });
+  current.offset = 0;
+  current.head = await readFileHead(file);
+  current.decoder = new TextDecoder(current.start.encoding);
+  current.note = `file ${why} at ${new Date().toLocaleTimeString()}`;
+}
+
+/**
+ * Show rows a followed file added: refresh columns if new fields appeared, then re-render the
+ * current page, or jump to the newest rows when auto-scroll is on
+ * @param {Object} data - FOLLOW_UPDATE payload
+ */
+function handleFollowUpdate(data) {
+  if (!data) return;
+  if (following) following.added += data.added;
+  renderFollowBar();
+  if (data.summary) {
+    applyDatasetSummary(data.summary, following ? ' · following for new lines' : '');
+    updateSortOptions();
+  }
+  if (!data.added && !data.matched) return;
+
+  totalRows = data.viewLength;
+  $("#countTag").textContent = `${fmt(data.viewLength)} lines`;
+  if ($("#followAutoScroll").checked) {
+    // Newest rows are at the end of an ascending sort and at the top of a descending one
+    page = $("#order").value === 'desc' ? 1 : Math.max(1, Math.ceil(data.viewLength / per));
+    followScrollPending = true;
+  }
+  render();
+}
+
+/**
+ * Bring the newest rows of the rendered page into view
+ */
+function scrollToNewestRows() {
+  followScrollPending = false;
+  const body = $("#tbody");
+  const target = $("#order").value === 'desc' ? body.firstElementChild : body.lastElementChild;
+  target?.scrollIntoView({ block: 'nearest' });
+}
+
+function toggleFollowPause() {
+  if (!following) return;
+  following.paused = !following.paused;
+  clearTimeout(following.timer);
+  renderFollowBar();
+  if (!following.paused) pollFollowedFile();
+}
+
+/**
+ * Stop following: the last partial line and open entry are parsed as at the end of a file
+ * @param {string} message - Optional reason shown in the info line
+ */
+async function stopFollowing(message = '') {
+  const current = following;
+  if (!current) return;
+  following = null;
+  clearTimeout(current.timer);
+  renderFollowBar();
+  const response = await sendToWorker('FOLLOW_END', { format: current.format }, true);
+  handleFollowUpdate(response.data);
+  if (message) $("#info").textContent = message;
+}
+
+function renderFollowBar() {
+  const bar = $("#followBar");
+  if (!bar) return;
+  if (!following) {
+    bar.style.display = 'none';
+    return;
+  }
+  bar.style.display = 'flex';
+  bar.classList.toggle('paused', following.paused);
+  $("#followStatus").textContent = `${following.paused ? 'Paused' : 'Following'} ${following.start.source}` +
+    ` · ${fmt(following.added)} new rows` + (following.note ? ` · ${following.note}` : '');
+  $("#followPause").textContent = following.paused ? 'Resume' : 'Pause';
+}
+
+// ---------- Folder Watching ----------
+
+const FOLDER_POLL_MS = 5000;
+
+// Folder whose matching files are loaded: { handle, glob, pattern, seen (file name -> size and
+// mtime when last checked), heads (first bytes of each loaded file), loaded, timer, busy };
+// null when not watching
+let watchedFolder = null;
+
+/**
+ * Whether the browser can open folders
+ * @returns {boolean}
+ */
+function canWatchFolders() {
+  return typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * Ask for a folder, load every file in it matching the glob as its own source and keep
+ * checking it for new files
+ */
+async function openFolder() {
+  let handle;
+  try {
+    handle = await window.showDirectoryPicker();
+  } catch (error) {
+    return; // Picker dismissed
+  }
+  if (following) stopFollowing();
+  stopWatchingFolder();
+  const glob = $("#folderGlob").value.trim() || '*.log*';
+  watchedFolder = { handle, glob, pattern: globToRegExp(glob), seen: new Map(), heads: [], loaded: 0, timer: null, busy: false };
+  renderFolderBar();
+  await loadNewFolderFiles(watchedFolder, true);
+}
+
+function stopWatchingFolder() {
+  if (!watchedFolder) return;
+  clearTimeout(watchedFolder.timer);
+  watchedFolder = null;
+  renderFolderBar();
+}
+
+function renderFolderBar() {
+  const bar = $("#folderBar");
+  if (!bar) return;
+  if (!watchedFolder) {
+    bar.style.display = 'none';
+    return;
+  }
+  bar.style.display = 'flex';
+  $("#folderStatus").textContent = `Watching ${watchedFolder.handle.name}/${watchedFolder.glob}` +
+    ` · ${fmt(watchedFolder.loaded)} file${watchedFolder.loaded === 1 ? '' : 's'} loaded`;
+}
+
+/**
+ * Whether a file was loaded already, under this name or another: after rotation app.log
+ * reappears as app.log.1 and a new app.log starts, so files are recognised by their first
+ * bytes rather than their names. A loaded file that has grown since keeps its longer head.
+ * @param {Object} folder - Watch state
+ * @param {Uint8Array} head - First bytes of the (decompressed) file
+ * @returns {string} - 'known', 'new', or 'unsure' while the file is shorter than the head
+ *   of a loaded file it starts like
+ */
+function matchFolderFile(folder, head) {
+  let result = 'new';
+  for (let k = 0; k < folder.heads.length; k++) {
+    const known = folder.heads[k];
+    const n = Math.min(known.length, head.length);
+    let same = n > 0;
+    for (let i = 0; same && i < n; i++) same = known[i] === head[i];
+    if (!same) continue;
+    if (head.length < known.length) {
+      result = 'unsure';
+      continue;
+    }
+    folder.heads[k] = head;
+    return 'known';
+  }
+  return result;
+}
+
+/**
+ * Load the folder's matching files that are not loaded yet, oldest first so rotated
+ * generations (app.log.2.gz, app.log.1, app.log) come in time order, then schedule the next check
+ * @param {Object} folder - Watch state
+ * @param {boolean} first - Whether this is the initial load (replaces the data unless appending)
+ */
+async function loadNewFolderFiles(folder, first) {
+  if (watchedFolder !== folder || folder.busy) return;
+  folder.busy = true;
+  const errors = [];
+  let complete = null;
+  let loaded = 0;
+  try {
+    const files = [];
+    for await (const entry of folder.handle.values()) {
+      if (entry.kind !== 'file' || !folder.pattern.test(entry.name) || ARCHIVE_SKIP_RE.test(entry.name)) continue;
+      const file = await entry.getFile();
+      // Unchanged files are not read again; an empty new file is picked up once it has content
+      if (file.size && folder.seen.get(file.name) !== `${file.size}:${file.lastModified}`) files.push(file);
+    }
+    files.sort((a, b) => a.lastModified - b.lastModified || a.name.localeCompare(b.name));
+
+    if (first && !files.length) {
+      alert(`No files in ${folder.handle.name} match ${folder.glob}`);
+      stopWatchingFolder();
+      return;
+    }
+    let append = !first || isAppendUpload();
+    for (const [index, file] of files.entries()) {
+      if (watchedFolder !== folder) return;
+      // A file that fails is tried again only once it changes
+      folder.seen.set(file.name, `${file.size}:${file.lastModified}`);
+      let head = null;
+      try {
+        head = await readSourceHead(file);
+        // Files too short to tell apart from a loaded one are checked again as they grow
+        if (matchFolderFile(folder, head) !== 'new') continue;
+        if (!loaded && !errors.length) {
+          $("#uploadProgress").style.display = 'block';
+          $("#uploadProgressFill").style.width = '0%';
+        }
+        $("#uploadProgressText").textContent = `Reading ${file.name} (${fmt(index + 1)} of ${fmt(files.length)})...`;
+        complete = await loadFileAsSource(file, {
+          append,
+          onStart: () => { append = true; },
+          cancelled: () => watchedFolder !== folder
+        });
+        folder.heads.push(head);
+        loaded++;
+      } catch (error) {
+        if (watchedFolder !== folder) return;
+        console.error(`Loading ${file.name} failed:`, error);
+        errors.push(`${file.name}: ${error.message}`);
+        if (error.summary) {
+          // Read error part-way: the lines before it were kept
+          complete = error.summary;
+          folder.heads.push(head);
+          loaded++;
+        }
+      }
+      $("#uploadProgressFill").style.width = Math.round(((index + 1) / files.length) * 100) + '%';
+    }
+  } catch (error) {
+    console.error('Folder read error:', error);
+    errors.push(error.message);
+  } finally {
+    folder.busy = false;
+  }
+  if (watchedFolder !== folder) return;
+
+  folder.loaded += loaded;
+  renderFolderBar();
+  if (complete) {
+    const detail = ` from ${fmt(folder.loaded)} files in ${folder.handle.name}`;
+    if (first) handleParseComplete(complete, detail);
+    else {
+      applyDatasetSummary(complete, detail);
+      updateSortOptions();
+      applyFilters();
+    }
+  }
+  $("#uploadProgress").style.display = 'none';
+  if (errors.length) alert(`Some files could not be loaded:\n${errors.join('\n')}`);
+  folder.timer = setTimeout(() => loadNewFolderFiles(folder, false), FOLDER_POLL_MS);
+}
+
+/**
+ * First bytes of a file's text (decompressed when gzip/deflate), for recognising it later
+ * @param {File} file
+ * @returns {Promise<Uint8Array>}
+ */
+async function readSourceHead(file) {
+  const compression = await detectCompression(file).catch(() => null);
+  if (compression === 'gzip' || compression === 'deflate') {
+    try {
+      return (await readDecompressedSample(file, compression, FOLLOW_HEAD_BYTES)).bytes.subarray(0, FOLLOW_HEAD_BYTES);
+    } catch (error) {
+      // Not actually compressed; fall through to the raw bytes
+    }
+  }
+  return readFileHead(file);
+}
+
+/**
+ * Stream one file into the worker as a source of its own and wait for it to be parsed. The
+ * encoding and format are sniffed without asking (unless chosen) and gzip/deflate is decompressed.
+ * @param {File} file
+ * @param {Object} options - { append, onStart (called once PARSE_START is sent), cancelled (returns
+ *   true once another load took over the worker; nothing more is sent then) }
+ * @returns {Promise<Object>} - PARSE_COMPLETE summary
+ * @throws {Error} - With error.summary set when reading failed part-way and the lines before were kept
+ */
+async function loadFileAsSource(file, { append, onStart = null, cancelled = () => false }) {
+  let compression = await detectCompression(file).catch(() => null);
+  if (compression === 'bzip2') throw new Error('bzip2 files cannot be decompressed in the browser');
+
+  let head = null;
+  let truncated = file.size > SNIFF_BYTES;
+  if (compression) {
+    try {
+      ({ bytes: head, truncated } = await readDecompressedSample(file, compression, SNIFF_BYTES));
+    } catch (error) {
+      compression = null; // Plain text that merely starts like a zlib header
+    }
+  }
+  if (!head) head = await readFileBytes(file, 0, SNIFF_BYTES);
+  const encoding = resolveEncoding(head, truncated);
+
+  let format = $("#formatSelect").value;
+  let sniffed = null;
+  if (format === 'auto') {
+    sniffed = await sniffSample(decodeSample(head, truncated, encoding), truncated, file.name).catch(() => null);
+    format = sniffed?.format || detectFileFormat(file.name);
+  }
+  const csv = getCSVOptions();
+  if (format === 'csv' && csv.delimiter === 'auto' && sniffed?.delimiter) csv.delimiter = sniffed.delimiter;
+
+  if (cancelled()) throw new Error('cancelled');
+  sendToWorker('PARSE_START', {
+    format,
+    size: null, // Progress is shown per file
+    csv,
+    multiline: Storage.getMultilineRules().filter(r => r.enabled !== false),
+    ...getYearInferenceOptions(file),
+    append,
+    source: uniqueSourceName(file.name, append),
+    encoding: encoding.encoding,
+    bomLength: encoding.bomLength
+  });
+  if (onStart) onStart();
+
+  let readError = null;
+  try {
+    const reader = openByteReader(file, compression);
+    const decoder = new TextDecoder(encoding.encoding);
+    let pending = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (cancelled()) {
+        reader.cancel().catch(() => {});
+        throw new Error('cancelled');
+      }
+      pending += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      if (pending.length >= CHUNK_SIZE || (done && pending)) {
+        sendToWorker('PARSE_CHUNK', { chunk: pending, format });
+        pending = '';
+      }
+      if (done) break;
+    }
+  } catch (error) {
+    if (cancelled()) throw error;
+    readError = error; // Keep the lines read so far
+  }
+
+  const response = await sendToWorker('PARSE_END', { format }, true);
+  if (response.type !== 'PARSE_COMPLETE') throw new Error(response.data?.message || 'parsing failed');
+  if (readError) {
+    readError.summary = response.data;
+    throw readError;
+  }
+  return response.data;
+}
+
+// ---------- Row Details ----------
+
+let currentPageRows = []; // Rows of the page on screen (from the worker)
+let selectedRowId = null; // Row shown in the detail pane
+
+/**
+ * Where a row came from as a file:line reference, e.g. "api.log:120" or "api.log:120-134".
+ * Archive rows name the member file rather than the archive.
+ * @param {Object} row
+ * @returns {string}
+ */
+function fileLineReference(row) {
+  const file = row.fields?.member || row.source || $("#fileTag").textContent;
+  if (!row.lineStart) return file;
+  const end = row.lineEnd && row.lineEnd !== row.lineStart ? `-${row.lineEnd}` : '';
+  return `${file}:${row.lineStart}${end}`;
+}
+
+/**
+ * Show one row of the current page in the detail pane
+ * @param {number} id - Row id
+ */
+function showRowDetail(id) {
+  const row = currentPageRows.find(r => r.id === id);
+  if (!row) return;
+  selectedRowId = id;
+  $("#tbody").querySelectorAll('tr').forEach(tr => tr.classList.toggle('row-selected', Number(tr.dataset.rowId) === id));
+
+  const items = [
+    ['File', row.source ? sourceBadge(row.source) : escapeHtml($("#fileTag").textContent)],
+    ['Lines', row.lineStart ? (row.lineEnd > row.lineStart ? `${fmt(row.lineStart)}–${fmt(row.lineEnd)}` : fmt(row.lineStart)) : '—'],
+    ['Bytes', row.byteStart !== undefined ? `${fmt(row.byteStart)}–${fmt(row.byteEnd)} (${fmt(row.byteEnd - row.byteStart)} bytes)` : '—'],
+    ['Timestamp', escapeHtml(formatLocalDatetime(row.ts) || '—') +
+      (row.tsOriginal ? ` <span class="muted">${escapeHtml(describeSourceOffset(row))}</span>` : '')],
+    ['Level', row.level ? `<span class="lvl-${row.level}">${escapeHtml(row.level)}</span>` +
+      (row.levelNum != null ? ` <span class="muted">levelNum ${row.levelNum}</span>` : '') : '—'],
+    ...Object.entries(row.fields || {}).map(([key, val]) =>
+      [escapeHtml(key), escapeHtml(Array.isArray(val) || typeof val === 'object' ? JSON.stringify(val) : String(val))])
+  ];
+  $("#rowDetailTitle").textContent = `Row ${row.id} · ${fileLineReference(row)}`;
+  $("#rowDetailBody").innerHTML = `<dl class="row-detail-list">${items.map(([k, v]) => `<dt>${k}</dt><dd>${v}</dd>`).join('')}</dl>
+    <pre class="row-detail-raw">${escapeHtml(row.raw || '')}</pre>`;
+  $("#rowDetail").style.display = 'block';
+}
+
+/**
+ * Close the detail pane
+ */
+function hideRowDetail() {
+  selectedRowId = null;
+  $("#rowDetail").style.display = 'none';
+  $("#tbody").querySelectorAll('tr.row-selected').forEach(tr => tr.classList.remove('row-selected'));
+}
+
+/**
+ * Copy the selected row's file:line reference to the clipboard
+ */
+async function copyRowReference() {
+  const row = currentPageRows.find(r => r.id === selectedRowId);
+  if (!row) return;
+  const ref = fileLineReference(row);
+  try {
+    await navigator.clipboard.writeText(ref);
+    const btn = $("#rowDetailCopy");
+    btn.textContent = 'Copied';
+    setTimeout(() => { btn.textContent = 'Copy file:line'; }, 1500);
+  } catch (e) {
+    // Clipboard access needs a secure context; fall back to a selectable prompt
+    prompt('Copy this reference:', ref);
+  }
+}
+
+// ---------- Timestamp Settings ----------
+
+const INFERRED_YEAR_SOURCES = {
+  anchor: 'the year set in Upload → Timestamps',
+  file: "the file's modified date",
+  now: "today's date"
+};
+
+/**
+ * Explain how the year of a yearless timestamp was chosen
+ * @param {Object} inferred - { year, source, rollover } recorded on the row by the worker
+ * @returns {string}
+ */
+function describeInferredYear(inferred) {
+  const from = INFERRED_YEAR_SOURCES[inferred.source] || inferred.source;
+  return `Year ${inferred.year} inferred from ${from}` + (inferred.rollover ? ', after a December → January rollover' : '');
+}
+
+/**
+ * Apply timestamp settings on the main thread and in the worker, then refresh the UI
+ * @param {Object} settings - { formats, timezone }
+ */
+function applyTimestampSettings(settings) {
+  TimestampFormats.configure(settings);
+  sendToWorker('SET_TIMESTAMP_SETTINGS', settings);
+
+  const tz = TimestampFormats.timezone;
+  const naive = tz === 'local' ? `as local (${userTimeZone})` : `as ${tz}`;
+  const info = $('#tzInfo');
+  if (info) info.textContent = `Timestamps are displayed in your local timezone (${userTimeZone}). Timestamps without a timezone are read ${naive}; UTC/offset timestamps are converted to your timezone.`;
+  renderTimestampFormatList();
+}
+
+/**
+ * Render the custom timestamp format list
+ */
+function renderTimestampFormatList() {
+  const { formats } = Storage.getTimestampSettings();
+  const container = $("#tsFormatList");
+  if (!container) return;
+
+  if (formats.length === 0) {
+    container.innerHTML = '<div class="empty-state">No custom formats. Built-in formats: ' +
+      escapeHtml(TimestampFormats.builtins.map(f => f.name).join(', ')) + '.</div>';
+    return;
+  }
+
+  container.innerHTML = formats.map(f => `
+    <div class="library-item" data-id="${f.id}">
+      <div class="library-item-content">
+        <div class="library-item-title">${escapeHtml(f.name || f.format)}</div>
+        <div class="library-item-pattern">${escapeHtml(f.format)}</div>
+      </div>
+      <div class="library-item-actions">
+        <button class="btn ghost delete-ts-format" data-id="${f.id}">Delete</button>
+      </div>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('.delete-ts-format').forEach(btn => {
+    btn.addEventListener('click', e => {
+      const settings = Storage.getTimestampSettings();
+      settings.formats = settings.formats.filter(f => f.id !== e.target.dataset.id);
+      Storage.saveTimestampSettings(settings);
+      applyTimestampSettings(settings);
+    });
+  });
+}
+
+/**
+ * Validate and add the custom format typed in the Upload section
+ */
+function addTimestampFormat() {
+  const format = $("#tsFormatInput").value.trim();
+  try {
+    TimestampFormats.compile(format);
+  } catch (e) {
+    alert('Invalid timestamp format: ' + e.message);
+    return;
+  }
+
+  const settings = Storage.getTimestampSettings();
+  settings.formats.push({ id: generateUUID(), name: $("#tsFormatName").value.trim() || format, format });
+  Storage.saveTimestampSettings(settings);
+  $("#tsFormatInput").value = '';
+  $("#tsFormatName").value = '';
+  $("#tsFormatTestResult").textContent = '';
+  applyTimestampSettings(settings);
+}
+
+/**
+ * Show how the format being typed parses the sample text
+ */
+function testTimestampFormat() {
+  const format = $("#tsFormatInput").value.trim();
+  const sample = $("#tsFormatSample").value;
+  const out = $("#tsFormatTestResult");
+  if (!format || !sample) {
+    out.textContent = '';
+    return;
+  }
+  try {
+    const compiled = TimestampFormats.compile(format);
+    const m = compiled.regex.exec(sample);
+    const epoch = m ? TimestampFormats.toEpoch(compiled.toParts(m)) : NaN;
+    out.textContent = isNaN(epoch) ? 'No match' : `→ ${new Date(epoch).toISOString()}`;
+  } catch (e) {
+    out.textContent = e.message;
+  }
+}
+
+// ---------- Log Levels ----------
+
+/**
+ * Configure the level model on both threads and refresh the Levels panel
+ * @param {Object} settings - { aliases: [{ id, value, level }] }
+ */
+function applyLevelSettings(settings) {
+  LogLevels.configure(settings);
+  sendToWorker('SET_LEVEL_SETTINGS', settings);
+  renderLevelAliasList();
+}
+
+/**
+ * Render the severity scale and the custom level mappings
+ */
+function renderLevelAliasList() {
+  const container = $("#levelAliasList");
+  if (!container) return;
+  $("#levelScaleInfo").textContent = 'Severity scale, least to most severe: ' +
+    LogLevels.scale.map(l => `${l.name} (${l.num})`).join(', ') +
+    '. Rows get the number as levelNum. Mappings apply to files loaded afterwards.';
+
+  const select = $("#levelAliasLevel");
+  if (!select.options.length) {
+    select.innerHTML = LogLevels.scale.map(l => `<option value="${l.name}">${l.name}</option>`).join('');
+    select.value = 'ERROR';
+  }
+
+  const { aliases } = Storage.getLevelSettings();
+  if (aliases.length === 0) {
+    container.innerHTML = '<div class="empty-state">No custom mappings. Built in: ' +
+      escapeHtml(Object.entries(LogLevels.builtinAliases).filter(([alias]) => alias.length > 1)
+        .map(([alias, level]) => `${alias} → ${level}`).join(', ')) +
+      ', single letters such as [E] or E/Tag, and pino/bunyan numbers (30 → INFO).</div>';
+    return;
+  }
+
+  container.innerHTML = aliases.map(a => `
+    <div class="library-item" data-id="${a.id}">
+      <div class="library-item-content">
+        <div class="library-item-title">${escapeHtml(a.value)} → ${escapeHtml(a.level)}</div>
+      </div>
+      <div class="library-item-actions">
+        <button class="btn ghost delete-level-alias" data-id="${a.id}">Delete</button>
+      </div>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('.delete-level-alias').forEach(btn => {
+    btn.addEventListener('click', e => {
+      const settings = Storage.getLevelSettings();
+      settings.aliases = settings.aliases.filter(a => a.id !== e.target.dataset.id);
+      Storage.saveLevelSettings(settings);
+      applyLevelSettings(settings);
+    });
+  });
+}
+
+/**
+ * Add the level mapping typed in the Upload section, replacing one for the same value
+ */
+function addLevelAlias() {
+  const value = $("#levelAliasValue").value.trim().toUpperCase();
+  const level = $("#levelAliasLevel").value;
+  if (!/^(-?\d+|[A-Z][\w-]*)$/.test(value)) {
+    alert('Enter a level word (e.g. SEVERE) or a whole number (e.g. 35).');
+    return;
+  }
+
+  const settings = Storage.getLevelSettings();
+  settings.aliases = settings.aliases.filter(a => a.value !== value);
+  settings.aliases.push({ id: generateUUID(), value, level });
+  Storage.saveLevelSettings(settings);
+  $("#levelAliasValue").value = '';
+  applyLevelSettings(settings);
+}
+
 // ---------- Theme Toggle ----------
 
 /**
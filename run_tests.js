@@ -5,6 +5,8 @@ const vm = require('vm');
 // Configuration
 const TEST_DIR = path.join(__dirname, 'tests');
 const APP_FILES = ['shared.js']; // Files to load into the test context
+// Test files that also need the main-thread script, loaded against stub DOM and localStorage
+const UI_TEST_FILES = ['test_storage.js'];
 
 // Colors for output
 const GREEN = '\x1b[32m';
@@ -12,18 +14,43 @@ const RED = '\x1b[31m';
 const RESET = '\x1b[0m';
 const BOLD = '\x1b[1m';
 
-function loadAppCode() {
+/**
+ * Minimal document and localStorage, enough for logsieve.js to load without running its UI setup
+ */
+function browserStubs() {
+    const element = { addEventListener() {}, querySelector() { return null; }, querySelectorAll() { return []; }, style: {} };
+    const items = new Map();
+    return {
+        document: {
+            readyState: 'loading', // The DOMContentLoaded setup never runs
+            addEventListener() {},
+            querySelector() { return element; },
+            querySelectorAll() { return []; }
+        },
+        localStorage: {
+            getItem: key => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: key => items.delete(key)
+        }
+    };
+}
+
+function loadAppCode(testFile) {
+    const ui = UI_TEST_FILES.includes(testFile);
     const context = vm.createContext({
         console: console,
         // Mock browser globals if needed
         window: {},
         navigator: {},
+        TextDecoder: TextDecoder,
+        TextEncoder: TextEncoder,
         global: {}, // Add global for tests that use it
         generateUUID: () => 'mock-uuid-' + Math.random().toString(36).substr(2, 9),
         fmt: (n) => n,
+        ...(ui ? browserStubs() : {})
     });
 
-    for (const file of APP_FILES) {
+    for (const file of ui ? [...APP_FILES, 'logsieve.js'] : APP_FILES) {
         const code = fs.readFileSync(path.join(__dirname, file), 'utf8');
         try {
             vm.runInContext(code, context, { filename: file });
@@ -49,7 +76,7 @@ function runTests() {
 
     for (const file of testFiles) {
         console.log(`📄 ${BOLD}${file}${RESET}`);
-        const context = loadAppCode();
+        const context = loadAppCode(file);
 
         // Add test helpers to context
         context.assert = require('assert');
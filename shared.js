@@ -55,10 +55,259 @@ function tokenize(s) {
     return s.toLowerCase().split(/[^a-z0-9_]+/).filter(Boolean);
 }
 
-// ---------- Log Parsing Helpers ----------
+/**
+ * Number of bytes a string takes when encoded as UTF-8, without encoding it
+ * @param {string} s
+ * @returns {number}
+ */
+function utf8ByteLength(s) {
+    let bytes = s.length;
+    for (let i = 0; i < s.length; i++) {
+        const code = s.charCodeAt(i);
+        if (code < 0x80) continue;
+        if (code < 0x800) bytes += 1;
+        else if ((code & 0xFC00) === 0xD800 && (s.charCodeAt(i + 1) & 0xFC00) === 0xDC00) {
+            bytes += 2; // Surrogate pair: 2 UTF-16 units, 4 bytes
+            i++;
+        } else bytes += 2;
+    }
+    return bytes;
+}
+
+/**
+ * Compile file-name globs to one RegExp. Supports * (any run of characters), ? (one
+ * character), [abc] classes and {a,b} alternatives; several globs may be separated by
+ * spaces, e.g. "*.log* {app,worker}.txt". Matching ignores case.
+ * @param {string} globs
+ * @returns {RegExp}
+ */
+function globToRegExp(globs) {
+    const patterns = String(globs || '').trim().split(/\s+/).filter(Boolean).map(glob => {
+        let out = '';
+        let braces = 0;
+        for (let i = 0; i < glob.length; i++) {
+            const ch = glob[i];
+            if (ch === '*') out += '.*';
+            else if (ch === '?') out += '.';
+            else if (ch === '[') {
+                const end = glob.indexOf(']', i + 1);
+                if (end < 0) out += '\\[';
+                else {
+                    const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                    out += `[${body}]`;
+                    i = end;
+                }
+            } else if (ch === '{') {
+                braces++;
+                out += '(?:';
+            } else if (ch === '}' && braces) {
+                braces--;
+                out += ')';
+            } else if (ch === ',' && braces) out += '|';
+            else out += ch.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+        }
+        return out + ')'.repeat(braces);
+    });
+    return new RegExp(`^(?:${patterns.join('|') || '.*'})$`, 'i');
+}
+
+// ---------- Text Encodings ----------
+
+// Byte order marks recognised at the start of a file
+const BYTE_ORDER_MARKS = [
+    { encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+    { encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+    { encoding: 'utf-16be', bytes: [0xFE, 0xFF] }
+];
+
+/**
+ * Find a byte order mark at the start of some bytes
+ * @param {Uint8Array} bytes - Start of a file
+ * @returns {Object|null} - { encoding, length } or null when there is none
+ */
+function detectBOM(bytes) {
+    for (const bom of BYTE_ORDER_MARKS) {
+        if (bom.bytes.every((b, i) => bytes[i] === b)) return { encoding: bom.encoding, length: bom.bytes.length };
+    }
+    return null;
+}
+
+/**
+ * Guess the encoding of a file from its first bytes: a byte order mark wins, then UTF-16
+ * without one (mostly-ASCII text has a zero in every other byte), then UTF-8 if the bytes
+ * are valid UTF-8, and Windows-1252 (a superset of Latin-1) otherwise.
+ * @param {Uint8Array} bytes - Start of the file
+ * @param {boolean} truncated - Whether the file continues past these bytes (a character cut off
+ *   at the end is then not held against UTF-8)
+ * @returns {Object} - { encoding (a TextDecoder label), bomLength, reason }
+ */
+function detectEncoding(bytes, truncated = false) {
+    const bom = detectBOM(bytes);
+    if (bom) return { encoding: bom.encoding, bomLength: bom.length, reason: 'byte order mark' };
+
+    const pairs = Math.min(bytes.length, 4096) >> 1;
+    if (pairs >= 8) {
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < pairs * 2; i += 2) {
+            if (bytes[i] === 0) evenZeros++;
+            if (bytes[i + 1] === 0) oddZeros++;
+        }
+        if (oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) return { encoding: 'utf-16le', bomLength: 0, reason: 'zero bytes' };
+        if (evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) return { encoding: 'utf-16be', bomLength: 0, reason: 'zero bytes' };
+    }
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: truncated });
+        return { encoding: 'utf-8', bomLength: 0, reason: 'default' };
+    } catch (e) {
+        return { encoding: 'windows-1252', bomLength: 0, reason: 'not valid UTF-8' };
+    }
+}
 
-// Common log level patterns to look for
-const LEVEL_HINTS = ["DEBUG", "INFO", "WARN", "WARNING", "ERROR", "CRITICAL", "FATAL"];
+/**
+ * Number of bytes a string takes in a file of the given encoding. Besides UTF-8 and
+ * UTF-16, only single-byte encodings are offered, so every other label counts one byte
+ * per character.
+ * @param {string} s
+ * @param {string} encoding - TextDecoder label the text was decoded with
+ * @returns {number}
+ */
+function encodedByteLength(s, encoding = 'utf-8') {
+    if (!encoding || encoding === 'utf-8') return utf8ByteLength(s);
+    if (encoding.startsWith('utf-16')) return s.length * 2;
+    return s.length;
+}
+
+// ---------- Log Levels ----------
+
+// Tokens at the start of a line (after the timestamp) searched for a level
+const LEVEL_PREFIX_TOKENS = 6;
+
+/**
+ * Level model: an ordered severity scale, aliases and numeric levels mapped onto it, and
+ * detection of the level in a line's prefix. Rows keep the normalized name in `level` and
+ * its place on the scale in `levelNum` (null for levels not on the scale).
+ */
+const LogLevels = {
+    // Severity scale, least severe first. Numbers follow pino/bunyan so theirs map directly.
+    scale: [
+        { name: 'TRACE', num: 10 },
+        { name: 'DEBUG', num: 20 },
+        { name: 'INFO', num: 30 },
+        { name: 'NOTICE', num: 35 },
+        { name: 'WARNING', num: 40 },
+        { name: 'ERROR', num: 50 },
+        { name: 'CRITICAL', num: 55 },
+        { name: 'FATAL', num: 60 }
+    ],
+
+    // Other spellings (Java util.logging, syslog, Go, single letters of glog/logcat)
+    builtinAliases: {
+        WARN: 'WARNING', ERR: 'ERROR', CRIT: 'CRITICAL', SEVERE: 'ERROR', ALERT: 'CRITICAL',
+        EMERG: 'FATAL', EMERGENCY: 'FATAL', PANIC: 'FATAL', DBG: 'DEBUG', VERBOSE: 'TRACE',
+        FINE: 'DEBUG', FINER: 'TRACE', FINEST: 'TRACE', CONFIG: 'DEBUG',
+        T: 'TRACE', V: 'TRACE', D: 'DEBUG', I: 'INFO', N: 'NOTICE', W: 'WARNING', E: 'ERROR', C: 'CRITICAL', F: 'FATAL', A: 'FATAL'
+    },
+
+    // Numeric levels of pino and bunyan
+    builtinNumbers: { 10: 'TRACE', 20: 'DEBUG', 30: 'INFO', 40: 'WARNING', 50: 'ERROR', 60: 'FATAL' },
+
+    aliases: new Map(),
+    numbers: new Map(),
+    nums: new Map(),
+
+    /**
+     * Apply user settings: extra aliases and numeric levels, which override the built-in ones
+     * @param {Object} settings - { aliases: [{ id, value, level }] }; a numeric value maps a number
+     */
+    configure(settings = {}) {
+        this.nums = new Map(this.scale.map(l => [l.name, l.num]));
+        this.aliases = new Map(Object.entries(this.builtinAliases));
+        this.numbers = new Map(Object.entries(this.builtinNumbers).map(([n, level]) => [Number(n), level]));
+        for (const { value, level } of settings.aliases || []) {
+            const key = String(value ?? '').trim().toUpperCase();
+            if (!key || !this.nums.has(level)) continue;
+            if (/^-?\d+$/.test(key)) this.numbers.set(Number(key), level);
+            else this.aliases.set(key, level);
+        }
+    },
+
+    /**
+     * Normalize a level value from a level field or column (name, alias or number)
+     * @param {string|number} value
+     * @returns {string} - Scale name, the upper-cased value when unknown, or '' when empty
+     */
+    normalize(value) {
+        if (value === undefined || value === null) return '';
+        const text = String(value).trim();
+        if (!text) return '';
+        if (/^-?\d+$/.test(text)) return this.numbers.get(Number(text)) || text;
+        const up = text.toUpperCase();
+        return this.aliases.get(up) || up;
+    },
+
+    /**
+     * Place of a level on the severity scale
+     * @param {string} level - Normalized level
+     * @returns {number|null}
+     */
+    rank(level) {
+        return this.nums.get(level) ?? null;
+    },
+
+    /**
+     * Whether a word names a level (a scale name or alias of two letters or more)
+     * @param {string} word
+     * @returns {boolean}
+     */
+    isLevelName(word) {
+        const up = String(word).toUpperCase();
+        return up.length > 1 && (this.nums.has(up) || this.aliases.has(up));
+    },
+
+    /**
+     * Find the level in the prefix of a line: one of its first LEVEL_PREFIX_TOKENS tokens
+     * that names a level and is the first token, all capitals, or set off by brackets, a
+     * colon or a level= key (so "Fetched INFORMATION about errors" has none). Single letters
+     * count only when set off ([E]) or as the first token in a logcat (E/Tag: or E/Tag( 123):)
+     * or glog (E1015 10:30:00.123) prefix, so the I/O in "kernel: I/O error" is not a level.
+     * @param {string} line - Line, ideally with its timestamp removed
+     * @returns {string} - Normalized level, or '' when none is found
+     */
+    detect(line) {
+        const tokens = String(line).trim().split(/\s+/, LEVEL_PREFIX_TOKENS);
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            let m = token.match(/^(?:level|lvl|severity|loglevel)=["']?([\w-]+)/i);
+            if (m) return this.normalize(m[1]);
+            m = i === 0 && (token.match(/^([IWEF])\d{4}$/) || token.match(/^([VDIWEFA])\/[\w.$-]+[(:]/));
+            if (m) return this.normalize(m[1]);
+
+            const word = token.replace(/^[[(<{]+/, '').replace(/[\])>}:,;|]+$/, '');
+            if (!/^[A-Za-z]+$/.test(word)) continue;
+            const setOff = word !== token;
+            const up = word.toUpperCase();
+            if (word.length === 1 ? setOff && this.aliases.has(up) : this.isLevelName(word) && (setOff || i === 0 || word === up)) {
+                return this.normalize(word);
+            }
+        }
+        return '';
+    },
+
+    /**
+     * Set a row's level and levelNum from a raw level value
+     * @param {Object} row
+     * @param {string|number} value - Level as found in the log
+     * @returns {Object} - The same row
+     */
+    apply(row, value) {
+        row.level = this.normalize(value);
+        row.levelNum = this.rank(row.level);
+        return row;
+    }
+};
+LogLevels.configure();
 
 /**
  * Attempt to guess log level from line content
@@ -66,67 +315,411 @@ const LEVEL_HINTS = ["DEBUG", "INFO", "WARN", "WARNING", "ERROR", "CRITICAL", "F
  * @returns {string} - Detected log level or empty string
  */
 function guessLevel(line) {
-    const up = line.toUpperCase();
-    for (const lv of LEVEL_HINTS) {
-        if (up.includes(lv)) return lv === "WARN" ? "WARNING" : lv;
+    return LogLevels.detect(line);
+}
+
+// ---------- Timestamp Formats ----------
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Month index (0-11) for an English month name or abbreviation
+ * @param {string} name - e.g. "Oct" or "October"
+ * @returns {number} - Month index, or -1 if unknown
+ */
+function monthFromName(name) {
+    return MONTH_NAMES.indexOf(String(name).slice(0, 3).toLowerCase());
+}
+
+/**
+ * Parse a UTC offset ("Z", "+05:30", "-0700", "UTC") into milliseconds east of UTC
+ * @param {string} str - Offset text
+ * @returns {number|null} - Offset in ms, or null if str is not an offset
+ */
+function parseUtcOffset(str) {
+    if (!str) return null;
+    if (/^(Z|UTC|GMT)$/i.test(str)) return 0;
+    const m = String(str).match(/^(?:UTC|GMT)?([+-])(\d{2}):?(\d{2})?$/i);
+    if (!m) return null;
+    const ms = (Number(m[2]) * 60 + Number(m[3] || 0)) * 60000;
+    return m[1] === '-' ? -ms : ms;
+}
+
+// Cached Intl formatters per IANA zone
+const zoneFormatters = new Map();
+
+/**
+ * Offset of an IANA timezone from UTC at a given instant
+ * @param {number} epoch - Instant in ms
+ * @param {string} tz - IANA zone name, e.g. "Europe/Berlin"
+ * @returns {number} - Offset in ms (positive east of UTC)
+ */
+function zoneOffsetMs(epoch, tz) {
+    if (!zoneFormatters.has(tz)) {
+        zoneFormatters.set(tz, new Intl.DateTimeFormat('en-US', {
+            timeZone: tz, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }));
     }
-    return "";
+    const parts = {};
+    for (const p of zoneFormatters.get(tz).formatToParts(new Date(epoch))) parts[p.type] = p.value;
+    const asUTC = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+        Number(parts.hour) % 24, Number(parts.minute), Number(parts.second));
+    return asUTC - Math.floor(epoch / 1000) * 1000;
 }
 
 /**
- * Extract timestamp from log line using ISO-ish pattern
- * @param {string} line - Log line text
- * @returns {string} - ISO timestamp or empty string
+ * Convert wall-clock components to epoch ms in a timezone
+ * @param {Object} p - { year, month (0-11), day, hour, minute, second, ms }
+ * @param {string} tz - 'local', 'UTC', a fixed offset like '+05:30', or an IANA zone
+ * @returns {number} - Epoch ms (NaN if the components are invalid)
  */
-function tryTs(line) {
-    // First try ISO-ish yyyy-mm-dd[ T]hh:mm:ss(.sss)?
-    const m = line.match(/(\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?)/);
-    if (m) {
-        const raw = m[1];
-        // Normalize fractional seconds separator and replace space with T for readability
-        const iso = raw.replace(" ", "T").replace(",", ".");
-        // Create a Date using numeric components to ensure it's treated as a local timestamp
-        const parts = iso.match(/(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?/);
-        let d;
-        if (parts) {
-            const [, y, mo, da, hh, mm, ss, frac] = parts;
-            const ms = frac ? Math.floor(Number('0.' + frac) * 1000) : 0;
-            d = new Date(Number(y), Number(mo) - 1, Number(da), Number(hh), Number(mm), Number(ss), ms);
-        } else {
-            d = new Date(iso);
+function wallTimeToEpoch(p, tz) {
+    const args = [p.year, p.month, p.day, p.hour || 0, p.minute || 0, p.second || 0, p.ms || 0];
+    if (!tz || tz === 'local') return new Date(...args).getTime();
+    const utc = Date.UTC(...args);
+    const fixed = parseUtcOffset(tz);
+    if (fixed !== null) return utc - fixed;
+    // IANA zone: correct a first guess with the zone's offset at that instant (twice for DST edges)
+    let t = utc - zoneOffsetMs(utc, tz);
+    t = utc - zoneOffsetMs(t, tz);
+    return t;
+}
+
+/**
+ * Fraction-of-second digits to milliseconds
+ * @param {string} frac - Digits after the decimal separator
+ * @returns {number}
+ */
+function fractionToMs(frac) {
+    return frac ? Math.floor(Number('0.' + frac) * 1000) : 0;
+}
+
+// strptime-style directives accepted in custom timestamp formats
+const STRPTIME_DIRECTIVES = {
+    Y: ['(\\d{4})', 'year'],
+    y: ['(\\d{2})', 'year2'],
+    m: ['(\\d{1,2})', 'month'],
+    d: ['(\\d{1,2})', 'day'],
+    e: ['\\s?(\\d{1,2})', 'day'],
+    H: ['(\\d{1,2})', 'hour'],
+    I: ['(\\d{1,2})', 'hour12'],
+    p: ['([AaPp][Mm])', 'ampm'],
+    M: ['(\\d{2})', 'minute'],
+    S: ['(\\d{2})', 'second'],
+    f: ['(\\d{1,9})', 'fraction'],
+    b: ['([A-Za-z]{3})', 'monthName'],
+    B: ['([A-Za-z]{3,9})', 'monthName'],
+    z: ['(Z|[+-]\\d{2}:?\\d{2})', 'offset'],
+    s: ['(\\d{9,10})', 'epoch']
+};
+
+// What may precede a stamp at the start of a line
+const STAMP_LEAD = /\s*\[?/y;
+// Pre-checks for TimestampFormats.find; keep them in step with the built-in formats
+const BUILTIN_STAMP_START = /\d|[A-Z][a-z]{2}\s/y;
+const BUILTIN_STAMP_INLINE = /\d[-/.][\dA-Za-z]/;
+
+/**
+ * Timestamp format registry used by tryTs and parseTimestampToISO.
+ * Custom (user-defined, strptime-style) formats are tried before the built-ins.
+ * Each format turns a regex match into wall-clock components; stamps without an
+ * offset are interpreted in the configured default timezone.
+ */
+const TimestampFormats = {
+    /**
+     * Built-in formats, tried in order. Every format may start a line (after optional
+     * whitespace or "["); `anywhere` formats are also found further in, with `midLine`
+     * when given (a stricter pattern, so dates in messages and version numbers are not
+     * taken for the event's time).
+     */
+    builtins: [
+        {
+            id: 'iso8601', name: 'ISO 8601', example: '2025-11-13T10:30:00.123Z', anywhere: true,
+            regex: /(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(?:[.,](\d+))?(?:\s?(Z(?![A-Za-z])|[+-]\d{2}:?\d{2}(?!\d)))?/,
+            toParts: m => ({ year: +m[1], month: m[2] - 1, day: +m[3], hour: +m[4], minute: +m[5], second: +m[6], ms: fractionToMs(m[7]), offset: m[8] })
+        },
+        {
+            id: 'apache', name: 'Apache/CLF', example: '10/Oct/2000:13:55:36 -0700', anywhere: true,
+            regex: /(\d{2})\/([A-Za-z]{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2})(?:\s([+-]\d{4}))?/,
+            toParts: m => ({ year: +m[3], month: monthFromName(m[2]), day: +m[1], hour: +m[4], minute: +m[5], second: +m[6], offset: m[7] })
+        },
+        {
+            id: 'syslog', name: 'Syslog (MMM DD HH:MM:SS)', example: 'Oct 28 11:11:15', anywhere: false,
+            regex: /([A-Z][a-z]{2})\s+(\d{1,2})\s+(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d+))?/,
+            toParts: m => ({ month: monthFromName(m[1]), day: +m[2], hour: +m[3], minute: +m[4], second: +m[5], ms: fractionToMs(m[6]) })
+        },
+        {
+            id: 'windows', name: 'Windows (M/d/yyyy h:mm:ss tt)', example: '11/13/2025 2:30:00 PM', anywhere: true,
+            regex: /(\d{1,2})\/(\d{1,2})\/(\d{4}),? (\d{1,2}):(\d{2}):(\d{2}) ?([AaPp][Mm])/,
+            midLine: /\b(\d{1,2})\/(\d{1,2})\/(\d{4}),? (\d{1,2}):(\d{2}):(\d{2}) ?([AaPp][Mm])\b/,
+            toParts: m => ({ year: +m[3], month: m[1] - 1, day: +m[2], hour: (m[4] % 12) + (/p/i.test(m[7]) ? 12 : 0), minute: +m[5], second: +m[6] })
+        },
+        {
+            id: 'dmy', name: 'dd/MM/yyyy HH:mm:ss', example: '13/11/2025 14:30:00', anywhere: true,
+            regex: /(\d{1,2})([/.])(\d{1,2})\2(\d{4})(?:[ T,]+(\d{2}):(\d{2})(?::(\d{2}))?(?:[.,](\d+))?)?/,
+            // Further into a line only with the time, so "build 12.03.2024" is not a stamp
+            midLine: /\b(\d{1,2})([/.])(\d{1,2})\2(\d{4})(?:[ T,]+(\d{2}):(\d{2})(?::(\d{2}))(?:[.,](\d+))?)(?![\d.])/,
+            toParts: m => {
+                // Day first, unless that cannot be (e.g. 11/13/2025 is month first)
+                let [day, month] = [+m[1], +m[3]];
+                if (month > 12 && day <= 12) [day, month] = [month, day];
+                return { year: +m[4], month: month - 1, day, hour: +(m[5] || 0), minute: +(m[6] || 0), second: +(m[7] || 0), ms: fractionToMs(m[8]) };
+            }
+        },
+        {
+            id: 'epoch-ms', name: 'Epoch milliseconds', example: '1763029800123', anywhere: false,
+            regex: /(1\d{12})(?![\d.])/,
+            toParts: m => ({ epoch: Number(m[1]) })
+        },
+        {
+            id: 'epoch-s', name: 'Epoch seconds', example: '1763029800.123', anywhere: false,
+            regex: /(1\d{9})(?:\.(\d{1,6}))?(?![\d.])/,
+            toParts: m => ({ epoch: Number(m[1]) * 1000 + fractionToMs(m[2]) })
+        },
+        {
+            id: 'time', name: 'Time only (HH:mm:ss.SSS)', example: '10:30:00.123', anywhere: false,
+            regex: /(\d{2}):(\d{2}):(\d{2})(?:[.,](\d{1,6}))?(?![\d:])/,
+            toParts: m => ({ hour: +m[1], minute: +m[2], second: +m[3], ms: fractionToMs(m[4]) })
         }
-        return isNaN(d) ? "" : d.toISOString();
-    }
+    ],
 
-    // Try "MMM DD HH:MM:SS" format (e.g., Oct 28 11:11:15)
-    const monthMap = {
-        'Jan': 0, 'Feb': 1, 'Mar': 2, 'Apr': 3, 'May': 4, 'Jun': 5,
-        'Jul': 6, 'Aug': 7, 'Sep': 8, 'Oct': 9, 'Nov': 10, 'Dec': 11
-    };
-    const monthDayMatch = line.match(/^([A-Za-z]{3})\s+(\d{1,2})\s+(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d+))?/);
-    if (monthDayMatch) {
-        const [, monthStr, day, hour, minute, second, frac] = monthDayMatch;
-        const month = monthMap[monthStr];
-        if (month !== undefined) {
+    // Compiled user formats (see configure)
+    custom: [],
+
+    // Custom formats then built-ins, in the order find tries them (rebuilt by configure)
+    formats: [],
+
+    // Timezone for stamps without an offset: 'local', 'UTC', '+05:30' or an IANA zone
+    timezone: 'local',
+
+    // Year inference state while a file is being parsed (see beginYearInference)
+    yearContext: null,
+
+    // { year, source, rollover } for the last yearless stamp, until the caller clears it
+    lastInferredYear: null,
+
+    /**
+     * Apply user settings (custom formats and default timezone)
+     * @param {Object} settings - { formats: [{ id, name, format }], timezone }
+     */
+    configure(settings = {}) {
+        this.custom = (settings.formats || []).map(f => {
+            try {
+                return { ...this.compile(f.format), id: f.id, name: f.name || f.format, anywhere: true, isCustom: true };
+            } catch (e) {
+                console.warn('Skipping invalid timestamp format:', f.format, e.message);
+                return null;
+            }
+        }).filter(Boolean);
+        this.formats = [...this.custom, ...this.builtins];
+        for (const f of this.formats) {
+            f.atStart = new RegExp(f.regex.source, 'y');
+            f.inLine = f.anywhere ? (f.midLine || f.regex) : null;
+        }
+
+        let tz = settings.timezone || 'local';
+        if (tz !== 'local' && parseUtcOffset(tz) === null) {
+            try {
+                zoneOffsetMs(Date.now(), tz);
+            } catch (e) {
+                console.warn('Unknown timezone, using local time:', tz);
+                tz = 'local';
+            }
+        }
+        this.timezone = tz;
+    },
+
+    /**
+     * Compile a strptime-style format (%Y-%m-%d %H:%M:%S, %d/%b/%Y:%T %z, ...)
+     * @param {string} format - Format string
+     * @returns {Object} - { regex, toParts }
+     */
+    compile(format) {
+        if (!format || !format.includes('%')) throw new Error('Format needs at least one % directive');
+        const fields = [];
+        let source = '';
+        for (let i = 0; i < format.length; i++) {
+            const ch = format[i];
+            if (ch !== '%') {
+                source += /\s/.test(ch) ? '\\s+' : ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+                continue;
+            }
+            const d = format[++i];
+            if (d === '%') {
+                source += '%';
+            } else if (d === 'T') {
+                source += '(\\d{1,2}):(\\d{2}):(\\d{2})';
+                fields.push('hour', 'minute', 'second');
+            } else if (STRPTIME_DIRECTIVES[d]) {
+                source += STRPTIME_DIRECTIVES[d][0];
+                fields.push(STRPTIME_DIRECTIVES[d][1]);
+            } else {
+                throw new Error(`Unsupported directive %${d}`);
+            }
+        }
+        const regex = new RegExp(source);
+
+        return {
+            regex,
+            toParts: m => {
+                const v = {};
+                fields.forEach((f, idx) => { v[f] = m[idx + 1]; });
+                if (v.epoch) return { epoch: Number(v.epoch) * 1000 + fractionToMs(v.fraction) };
+                let hour = v.hour !== undefined ? +v.hour : (v.hour12 !== undefined ? (v.hour12 % 12) : undefined);
+                if (v.hour12 !== undefined && v.ampm && /p/i.test(v.ampm)) hour += 12;
+                return {
+                    year: v.year !== undefined ? +v.year : (v.year2 !== undefined ? 2000 + Number(v.year2) - (v.year2 > 68 ? 100 : 0) : undefined),
+                    month: v.month !== undefined ? v.month - 1 : (v.monthName !== undefined ? monthFromName(v.monthName) : undefined),
+                    day: v.day !== undefined ? +v.day : undefined,
+                    hour, minute: +(v.minute || 0), second: +(v.second || 0),
+                    ms: fractionToMs(v.fraction),
+                    offset: v.offset
+                };
+            }
+        };
+    },
+
+    /**
+     * Find the earliest recognized timestamp in text; a stamp at the start wins
+     * outright, otherwise earlier formats win ties
+     * @param {string} text - Line or value to search
+     * @returns {Object|null} - { epoch, index, length, format } or null
+     */
+    find(text) {
+        if (!text) return null;
+        const str = String(text);
+        STAMP_LEAD.lastIndex = 0;
+        STAMP_LEAD.test(str);
+        const lead = STAMP_LEAD.lastIndex;
+        // Most lines rule out every built-in at once: they all start with a digit or a month
+        // name, and those found mid-line contain a digit next to a date separator
+        BUILTIN_STAMP_START.lastIndex = lead;
+        const builtinAtStart = BUILTIN_STAMP_START.test(str);
+        const builtinInLine = BUILTIN_STAMP_INLINE.test(str);
+        if (!builtinAtStart && !builtinInLine && !this.custom.length) return null;
+
+        for (const f of this.formats) {
+            if (!f.isCustom && !builtinAtStart) continue;
+            f.atStart.lastIndex = lead;
+            const match = f.atStart.exec(str);
+            if (!match) continue;
+            const epoch = this.toEpoch(f.toParts(match));
+            if (!isNaN(epoch)) return { epoch, index: lead, length: match[0].length, format: f.id };
+        }
+
+        let best = null;
+        for (const f of this.formats) {
+            if (!f.inLine || (!f.isCustom && !builtinInLine)) continue;
+            const match = f.inLine.exec(str);
+            if (!match || (best && match.index >= best.index)) continue;
+            const epoch = this.toEpoch(f.toParts(match));
+            if (isNaN(epoch)) continue;
+            best = { epoch, index: match.index, length: match[0].length, format: f.id };
+        }
+        return best;
+    },
+
+    /**
+     * Turn parsed components into epoch ms, filling in a missing date or year
+     * @param {Object} p - Components from a format's toParts
+     * @returns {number} - Epoch ms or NaN
+     */
+    toEpoch(p) {
+        if (p.epoch !== undefined) return p.epoch;
+        if (p.month === undefined && p.day === undefined && p.year === undefined) {
+            // Time-only stamp: assume today
+            const now = new Date();
+            Object.assign(p, { year: now.getFullYear(), month: now.getMonth(), day: now.getDate() });
+        }
+        if (p.month < 0 || p.month > 11 || !(p.day >= 1 && p.day <= 31) || p.hour > 23 || p.minute > 59 || p.second > 60) return NaN;
+        if (p.year === undefined) p.year = this.inferYear(p.month);
+
+        const offset = parseUtcOffset(p.offset);
+        if (offset !== null) {
+            return Date.UTC(p.year, p.month, p.day, p.hour || 0, p.minute || 0, p.second || 0, p.ms || 0) - offset;
+        }
+        return wallTimeToEpoch(p, this.timezone);
+    },
+
+    /**
+     * Start inferring years for a stream of yearless stamps (e.g. syslog "Oct 28 11:11:15").
+     * The first stamp's year comes from the anchor year if given, otherwise from the reference
+     * date (the file's modified time, else now) taken as the end of the log: a month later than
+     * the reference month belongs to the previous year. After that the year only moves forward,
+     * by one whenever the month drops by six or more (December -> January rollover).
+     * @param {Object} options - { anchorYear, referenceDate (epoch ms) }
+     */
+    beginYearInference(options = {}) {
+        const anchorYear = parseInt(options.anchorYear, 10);
+        this.yearContext = {
+            anchorYear: anchorYear > 0 ? anchorYear : null,
+            referenceDate: options.referenceDate || null,
+            year: null,
+            lastMonth: null,
+            rollover: false
+        };
+        this.lastInferredYear = null;
+    },
+
+    /**
+     * Stop stream year inference; yearless stamps go back to being resolved against today
+     */
+    endYearInference() {
+        this.yearContext = null;
+    },
+
+    /**
+     * Year for a yearless stamp. Outside a stream this is the current year, or last year
+     * if the month is still to come; inside one see beginYearInference.
+     * @param {number} month - Month index (0-11)
+     * @returns {number}
+     */
+    inferYear(month) {
+        const ctx = this.yearContext;
+        if (!ctx) {
             const now = new Date();
-            const currentYear = now.getFullYear();
-            const currentMonth = now.getMonth();
-            let year = currentYear;
-            if (month > currentMonth) {
-                year = currentYear - 1;
+            const year = month > now.getMonth() ? now.getFullYear() - 1 : now.getFullYear();
+            this.lastInferredYear = { year, source: 'now', rollover: false };
+            return year;
+        }
+
+        if (ctx.year === null) {
+            if (ctx.anchorYear) {
+                ctx.year = ctx.anchorYear;
+                ctx.source = 'anchor';
+            } else {
+                const ref = new Date(ctx.referenceDate || Date.now());
+                ctx.year = month > ref.getMonth() ? ref.getFullYear() - 1 : ref.getFullYear();
+                ctx.source = ctx.referenceDate ? 'file' : 'now';
             }
-            const ms = frac ? Math.floor(Number('0.' + frac) * 1000) : 0;
-            const d = new Date(year, month, Number(day), Number(hour), Number(minute), Number(second), ms);
-            return isNaN(d) ? "" : d.toISOString();
+        } else if (ctx.lastMonth - month >= 6) {
+            ctx.year++;
+            ctx.rollover = true;
         }
+        ctx.lastMonth = month;
+
+        this.lastInferredYear = { year: ctx.year, source: ctx.source, rollover: ctx.rollover };
+        return ctx.year;
     }
+};
+TimestampFormats.configure();
 
-    return "";
+/**
+ * Extract the first recognized timestamp from a log line (see TimestampFormats)
+ * @param {string} line - Log line text
+ * @returns {string} - ISO timestamp or empty string
+ */
+function tryTs(line) {
+    const found = TimestampFormats.find(line);
+    return found ? new Date(found.epoch).toISOString() : "";
 }
 
 /**
  * Parse various time string formats and return ISO (UTC) string or empty string.
- * For naive timestamps (no timezone) this treats them as local timestamps.
+ * Uses the TimestampFormats registry; stamps without a timezone are interpreted in
+ * its default timezone (local unless configured otherwise).
  * @param {string} s
  * @returns {string}
  */
@@ -134,45 +727,16 @@ function parseTimestampToISO(s) {
     if (!s) return '';
     const str = String(s).trim();
 
-    // If string appears to include an explicit timezone offset or Z, let Date handle it
-    if (/[zZ]$/.test(str) || /[+-]\d{2}:?\d{2}$/.test(str) || /[+-]\d{2}\d{2}$/.test(str)) {
+    // Fast path for values that are already ISO strings in UTC (e.g. row.ts)
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z$/.test(str)) {
         const d = new Date(str);
         return isNaN(d) ? '' : d.toISOString();
     }
 
-    // ISO-ish or common naive formats: yyyy-mm-dd HH:MM:SS(.sss)
-    const parts = str.match(/(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?/);
-    if (parts) {
-        const [, y, mo, da, hh, mm, ss, frac] = parts;
-        const ms = frac ? Math.floor(Number('0.' + frac) * 1000) : 0;
-        const d = new Date(Number(y), Number(mo) - 1, Number(da), Number(hh), Number(mm), Number(ss), ms);
-        return isNaN(d) ? '' : d.toISOString();
-    }
-
-    // Handle "MMM DD HH:MM:SS" format (e.g., Oct 28 11:11:15)
-    const monthMap = {
-        'Jan': 0, 'Feb': 1, 'Mar': 2, 'Apr': 3, 'May': 4, 'Jun': 5,
-        'Jul': 6, 'Aug': 7, 'Sep': 8, 'Oct': 9, 'Nov': 10, 'Dec': 11
-    };
-    const monthDayParts = str.match(/^([A-Za-z]{3})\s+(\d{1,2})\s+(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d+))?/);
-    if (monthDayParts) {
-        const [, monthStr, day, hour, minute, second, frac] = monthDayParts;
-        const month = monthMap[monthStr];
-        if (month !== undefined) {
-            const now = new Date();
-            const currentYear = now.getFullYear();
-            const currentMonth = now.getMonth();
-            let year = currentYear;
-            if (month > currentMonth) {
-                year = currentYear - 1;
-            }
-            const ms = frac ? Math.floor(Number('0.' + frac) * 1000) : 0;
-            const d = new Date(year, month, Number(day), Number(hour), Number(minute), Number(second), ms);
-            return isNaN(d) ? '' : d.toISOString();
-        }
-    }
+    const found = TimestampFormats.find(str);
+    if (found) return new Date(found.epoch).toISOString();
 
-    // Fallback to Date
+    // Fallback to Date (date-only values such as 2025-11-13)
     const d = new Date(str);
     return isNaN(d) ? '' : d.toISOString();
 }
@@ -189,21 +753,135 @@ function formatLocalDatetime(isoOrRaw) {
     return d.toLocaleString(undefined, opts).replace(',', '');
 }
 
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Parse a signed duration such as "+2.5s", "-1m30s", "250ms" or "1h"; a bare number is seconds
+ * @param {string} text
+ * @returns {number|null} - Milliseconds, or null if the text is not a duration
+ */
+function parseDuration(text) {
+    const str = String(text ?? '').trim().replace(/\s+/g, '');
+    const m = str.match(/^([+-]?)((?:\d+(?:\.\d+)?(?:ms|s|m|h|d))+|\d+(?:\.\d+)?)$/i);
+    if (!m) return null;
+    const sign = m[1] === '-' ? -1 : 1;
+    if (/^[\d.]+$/.test(m[2])) return sign * Math.round(parseFloat(m[2]) * 1000);
+    let ms = 0;
+    for (const [, value, unit] of m[2].matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h|d)/gi)) {
+        ms += parseFloat(value) * DURATION_UNITS[unit.toLowerCase()];
+    }
+    return sign * Math.round(ms);
+}
+
+/**
+ * Format milliseconds as a signed duration that parseDuration reads back, e.g. "+1m30s", "-250ms"
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    if (!ms) return '0s';
+    let rest = Math.abs(ms);
+    let out = '';
+    for (const unit of ['d', 'h', 'm', 's']) {
+        const size = DURATION_UNITS[unit];
+        if (rest >= size) {
+            out += Math.floor(rest / size) + unit;
+            rest %= size;
+        }
+    }
+    if (rest) out += rest + 'ms';
+    return (ms < 0 ? '-' : '+') + out;
+}
+
+/**
+ * Shift an ISO (UTC) timestamp by a number of milliseconds
+ * @param {string} iso - row.ts
+ * @param {number} ms - Offset; may be negative
+ * @returns {string} - Shifted ISO string ('' stays '')
+ */
+function shiftTimestamp(iso, ms) {
+    if (!iso || !ms) return iso;
+    const at = Date.parse(iso);
+    return isNaN(at) ? iso : new Date(at + ms).toISOString();
+}
+
+/**
+ * Reference points for relative times in queries: `now`, and `@first` / `@last`, the first
+ * and last event of the dataset. The worker captures them when a filter is applied, so a
+ * filter such as ts>now-10m keeps its window until it is applied again.
+ */
+const TimeAnchors = {
+    now: null,
+    first: null,
+    last: null,
+
+    /**
+     * Fix `now` and read the dataset's first and last event times
+     * @param {Array} rows - Every row of the dataset
+     */
+    capture(rows) {
+        let first = '';
+        let last = '';
+        for (const r of rows) {
+            if (!r.ts) continue;
+            if (!first || r.ts < first) first = r.ts;
+            if (r.ts > last) last = r.ts;
+        }
+        this.now = Date.now();
+        this.first = first ? Date.parse(first) : null;
+        this.last = last ? Date.parse(last) : null;
+    },
+
+    /**
+     * Resolve a timestamp or relative time such as "now-15m", "@first+5m" or "@last"
+     * @param {string} text
+     * @returns {number} - Epoch milliseconds; NaN if the text is not a time, or names an
+     *   anchor the dataset has no value for
+     */
+    resolve(text) {
+        const str = String(text ?? '').trim().replace(/^"|"$/g, '');
+        const m = str.match(/^(now|@first|@last)\s*(?:([+-].*))?$/i);
+        if (!m) return rowTime(str);
+        const anchor = m[1].toLowerCase().replace('@', '');
+        const base = anchor === 'now' ? (this.now ?? Date.now()) : this[anchor];
+        const offset = m[2] ? parseDuration(m[2]) : 0;
+        if (base === null || offset === null) return NaN;
+        return base + offset;
+    }
+};
+
 /**
  * Remove timestamp prefix from log line
  * @param {string} line - Log line text
  * @returns {string} - Line without timestamp prefix
  */
 function stripPrefix(line) {
-    // First try to remove ISO-style timestamps
-    let result = line.replace(/^\s*\[?\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?\]?\s*/, "");
+    return removeLeadingStamp(line, TimestampFormats.find(line));
+}
 
-    // If no ISO timestamp was removed, try to remove "MMM DD HH:MM:SS" format
-    if (result === line) {
-        result = line.replace(/^\s*\[?[A-Za-z]{3}\s+\d{1,2}\s+\d{1,2}:\d{2}:\d{2}(?:[.,]\d+)?\]?\s*/, "");
-    }
+/**
+ * Line without the timestamp found in it, if that stamp starts the line
+ * @param {string} line - Log line text
+ * @param {Object|null} found - Result of TimestampFormats.find(line)
+ * @returns {string}
+ */
+function removeLeadingStamp(line, found) {
+    if (!found || found.index !== line.match(/^\s*\[?/)[0].length) return line;
+    return line.slice(found.index + found.length).replace(/^\]?\s*/, "");
+}
 
-    return result;
+/**
+ * Timestamp and message of a log line from a single timestamp search
+ * (the same as tryTs and stripPrefix together)
+ * @param {string} line - Log line text
+ * @returns {{ts: string, message: string}} - ISO timestamp or ''; line without a leading stamp
+ */
+function splitTimestamp(line) {
+    const found = TimestampFormats.find(line);
+    return {
+        ts: found ? new Date(found.epoch).toISOString() : '',
+        message: removeLeadingStamp(line, found)
+    };
 }
 
 /**
@@ -286,6 +964,459 @@ function isContinuationLine(line) {
     return false;
 }
 
+/**
+ * Compile user-defined multi-line rules. Each rule may define:
+ * - start: regex; a matching line always begins a new event and, while any
+ *   start rule is active, every other line continues the current event
+ * - continue: regex; a matching line is appended to the current event
+ * - maxLines / maxBytes: cap on the size of one event (0 = unlimited);
+ *   bytes are counted on the decoded text
+ * Disabled rules and rules with invalid patterns are skipped.
+ * @param {Array<Object>} rules - Rules as stored in the library
+ * @returns {Object} - { start: RegExp[], continue: RegExp[], maxLines, maxBytes }
+ */
+function compileMultilineRules(rules) {
+    const compiled = { start: [], continue: [], maxLines: 0, maxBytes: 0 };
+    const tighter = (cur, v) => (v > 0 && (cur === 0 || v < cur) ? v : cur);
+
+    for (const rule of rules || []) {
+        if (!rule || rule.enabled === false) continue;
+        // Compile both patterns before keeping either, so a bad one drops the whole rule
+        let start, cont;
+        try {
+            start = rule.start ? new RegExp(rule.start) : null;
+            cont = rule.continue ? new RegExp(rule.continue) : null;
+        } catch (e) {
+            console.warn('Skipping multi-line rule with invalid pattern:', rule.name, e.message);
+            continue;
+        }
+        if (start) compiled.start.push(start);
+        if (cont) compiled.continue.push(cont);
+        compiled.maxLines = tighter(compiled.maxLines, Number(rule.maxLines) || 0);
+        compiled.maxBytes = tighter(compiled.maxBytes, Number(rule.maxBytes) || 0);
+    }
+    return compiled;
+}
+
+/**
+ * Decide whether a line continues the current event, using multi-line rules
+ * first and the built-in isContinuationLine heuristics as a fallback.
+ * @param {string} line - Line being read
+ * @param {Object} event - { lines, bytes } of the current event so far
+ * @param {Object|null} rules - Result of compileMultilineRules (null = built-ins only)
+ * @param {number} [lineBytes] - Bytes the line takes in the file; counted as UTF-8 when omitted
+ * @returns {boolean} - True if the line belongs to the current event
+ */
+function continuesEvent(line, event, rules, lineBytes) {
+    if (!rules) return isContinuationLine(line);
+    if (rules.maxLines && event.lines >= rules.maxLines) return false;
+    if (rules.maxBytes && event.bytes + 1 + (lineBytes ?? utf8ByteLength(line)) > rules.maxBytes) return false;
+    if (rules.start.some(re => re.test(line))) return false;
+    if (rules.continue.some(re => re.test(line))) return true;
+    if (rules.start.length > 0) return true;
+    return isContinuationLine(line);
+}
+
+/**
+ * Group text into events the way parseLogChunk would (used to preview multi-line rules)
+ * @param {string} text - Sample log text
+ * @param {Object|null} rules - Result of compileMultilineRules
+ * @returns {Array<Array<string>>} - Events, each a list of lines
+ */
+function groupLinesIntoEvents(text, rules) {
+    const events = [];
+    let current = null;
+    let bytes = 0;
+    for (const line of String(text || '').split(/\r?\n/)) {
+        if (!line.trim()) continue;
+        const lineBytes = utf8ByteLength(line);
+        if (current && continuesEvent(line, { lines: current.length, bytes }, rules, lineBytes)) {
+            current.push(line);
+            bytes += 1 + lineBytes;
+        } else {
+            current = [line];
+            bytes = lineBytes;
+            events.push(current);
+        }
+    }
+    return events;
+}
+
+/**
+ * Find a JSON object embedded in (usually trailing) log text.
+ * Candidates start at a '{' followed by a quote or '}' so templated text like
+ * "{user}" is ignored. The first candidate that parses wins.
+ * @param {string} text - Log message text
+ * @returns {Object|null} - { value, start, end } on success, { error } if a JSON-looking
+ *   object failed to parse, or null if there is none
+ */
+function findEmbeddedJSON(text) {
+    if (!text || text.indexOf('{') < 0) return null;
+
+    let error = null;
+    let from = 0;
+    while (from < text.length) {
+        const start = text.indexOf('{', from);
+        if (start < 0) break;
+        from = start + 1;
+        if (!/^\{\s*["}]/.test(text.slice(start, start + 64))) continue;
+
+        // Find the matching brace, ignoring braces inside strings
+        let depth = 0;
+        let inString = false;
+        let end = -1;
+        for (let i = start; i < text.length; i++) {
+            const ch = text[i];
+            if (inString) {
+                if (ch === '\\') i++;
+                else if (ch === '"') inString = false;
+            } else if (ch === '"') {
+                inString = true;
+            } else if (ch === '{') {
+                depth++;
+            } else if (ch === '}' && --depth === 0) {
+                end = i + 1;
+                break;
+            }
+        }
+
+        if (end < 0) {
+            if (!error) error = 'Unterminated JSON object';
+            continue;
+        }
+        try {
+            return { value: JSON.parse(text.slice(start, end)), start, end };
+        } catch (e) {
+            if (!error) error = e.message;
+        }
+    }
+
+    return error ? { error } : null;
+}
+
+/**
+ * Flatten nested objects into dotted keys ({http:{status:200}} -> {'http.status': 200}).
+ * Arrays and primitive values are kept as they are; empty objects are dropped.
+ * @param {Object} obj - Object to flatten
+ * @param {string} prefix - Key prefix for nested calls
+ * @param {Object} out - Accumulator
+ * @returns {Object} - Flat key/value map
+ */
+function flattenObject(obj, prefix = '', out = {}) {
+    for (const [key, value] of Object.entries(obj)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            flattenObject(value, path, out);
+        } else {
+            out[path] = value;
+        }
+    }
+    return out;
+}
+
+// logfmt pair: key=value, key="quoted \"value\"" or bare key=
+const LOGFMT_PAIR_PATTERN = /(?:^|\s)([\w.\-\/@]+)=(?:"((?:[^"\\]|\\.)*)"|(\S*))/g;
+
+/**
+ * Parse logfmt key=value pairs from a line. Quoted values may contain spaces
+ * and escaped quotes; text between pairs is ignored.
+ * @param {string} text - Log line text
+ * @returns {Object} - Map of key to string value (later keys win)
+ */
+function parseLogfmt(text) {
+    const pairs = {};
+    const re = new RegExp(LOGFMT_PAIR_PATTERN.source, 'g');
+    let m;
+    while ((m = re.exec(text)) !== null) {
+        pairs[m[1]] = m[2] !== undefined
+            ? m[2].replace(/\\(.)/g, (_, c) => (c === 'n' ? '\n' : c === 't' ? '\t' : c))
+            : m[3];
+    }
+    return pairs;
+}
+
+/**
+ * Split logfmt pairs into the standard row properties and extra fields.
+ * time/ts/timestamp, level/lvl/severity and msg/message keys set ts, level and message.
+ * @param {Object} pairs - Result of parseLogfmt
+ * @returns {Object} - { ts, level, message, fields }
+ */
+function logfmtToRowParts(pairs) {
+    const parts = { ts: '', level: '', message: '', fields: {} };
+    for (const [key, value] of Object.entries(pairs)) {
+        const k = key.toLowerCase();
+        if ((k === 'time' || k === 'ts' || k === 'timestamp') && !parts.ts) {
+            parts.ts = parseTimestampToISO(value);
+            if (parts.ts) continue;
+        } else if ((k === 'level' || k === 'lvl' || k === 'severity') && !parts.level && value) {
+            parts.level = LogLevels.normalize(value);
+            continue;
+        } else if ((k === 'msg' || k === 'message') && !parts.message) {
+            parts.message = value;
+            continue;
+        }
+        parts.fields[key] = value;
+    }
+    return parts;
+}
+
+// ---------- Archives ----------
+
+/**
+ * Read a little-endian unsigned integer
+ * @param {Uint8Array} b - Bytes
+ * @param {number} at - Offset
+ * @param {number} size - 2, 4 or 8 bytes (8-byte values must stay below 2^53)
+ * @returns {number}
+ */
+function readUint(b, at, size) {
+    let n = 0;
+    for (let i = size - 1; i >= 0; i--) n = n * 256 + b[at + i];
+    return n;
+}
+
+/**
+ * Find the zip end-of-central-directory record in the tail of an archive
+ * @param {Uint8Array} tail - Last bytes of the file (up to 22 + 65535)
+ * @returns {Object|null} - { count, cdOffset, cdSize }, { zip64EndOffset } when the real values
+ *   live in a zip64 record at that file offset, or null if this is not a zip file
+ */
+function readZipEndRecord(tail) {
+    for (let i = tail.length - 22; i >= 0; i--) {
+        if (readUint(tail, i, 4) !== 0x06054b50) continue;
+        const end = { count: readUint(tail, i + 10, 2), cdSize: readUint(tail, i + 12, 4), cdOffset: readUint(tail, i + 16, 4) };
+        if ((end.cdOffset === 0xffffffff || end.count === 0xffff) && i >= 20 && readUint(tail, i - 20, 4) === 0x07064b50) {
+            return { zip64EndOffset: readUint(tail, i - 12, 8) };
+        }
+        return end;
+    }
+    return null;
+}
+
+/**
+ * Read a zip64 end-of-central-directory record
+ * @param {Uint8Array} b - At least 56 bytes starting at the record
+ * @returns {Object} - { count, cdOffset, cdSize }
+ */
+function readZip64EndRecord(b) {
+    if (readUint(b, 0, 4) !== 0x06064b50) throw new Error('Corrupt zip64 end record');
+    return { count: readUint(b, 32, 8), cdSize: readUint(b, 40, 8), cdOffset: readUint(b, 48, 8) };
+}
+
+/**
+ * List the entries of a zip central directory
+ * @param {Uint8Array} cd - The central directory bytes
+ * @returns {Array<Object>} - { path, size, compressedSize, method, offset, directory, encrypted }
+ */
+function parseZipCentralDirectory(cd) {
+    const entries = [];
+    let at = 0;
+    while (at + 46 <= cd.length && readUint(cd, at, 4) === 0x02014b50) {
+        const flags = readUint(cd, at + 8, 2);
+        const nameLength = readUint(cd, at + 28, 2);
+        const extraLength = readUint(cd, at + 30, 2);
+        const commentLength = readUint(cd, at + 32, 2);
+        const nameBytes = cd.subarray(at + 46, at + 46 + nameLength);
+        const entry = {
+            // Bit 11 marks UTF-8 names; older tools write their code page, closest to latin1
+            path: new TextDecoder(flags & 0x800 ? 'utf-8' : 'latin1').decode(nameBytes),
+            method: readUint(cd, at + 10, 2),
+            compressedSize: readUint(cd, at + 20, 4),
+            size: readUint(cd, at + 24, 4),
+            offset: readUint(cd, at + 42, 4),
+            encrypted: Boolean(flags & 1)
+        };
+        entry.directory = entry.path.endsWith('/');
+
+        // Sizes and offset that do not fit 32 bits are in the zip64 extra field, in this order
+        let extra = at + 46 + nameLength;
+        const extraEnd = extra + extraLength;
+        while (extra + 4 <= extraEnd) {
+            const id = readUint(cd, extra, 2);
+            const length = readUint(cd, extra + 2, 2);
+            if (id === 0x0001) {
+                let field = extra + 4;
+                for (const key of ['size', 'compressedSize', 'offset']) {
+                    if (entry[key] === 0xffffffff) {
+                        entry[key] = readUint(cd, field, 8);
+                        field += 8;
+                    }
+                }
+            }
+            extra += 4 + length;
+        }
+
+        entries.push(entry);
+        at = extraEnd + commentLength;
+    }
+    return entries;
+}
+
+/**
+ * Offset of the data within a zip member, from its local file header
+ * @param {Uint8Array} header - The first 30 bytes of the local header
+ * @returns {number} - Bytes from the start of the local header to the data
+ */
+function zipLocalDataOffset(header) {
+    if (readUint(header, 0, 4) !== 0x04034b50) throw new Error('Corrupt zip member header');
+    return 30 + readUint(header, 26, 2) + readUint(header, 28, 2);
+}
+
+/**
+ * Read a NUL-terminated ASCII/UTF-8 field of a tar header
+ * @param {Uint8Array} block - 512-byte header
+ * @param {number} at - Field offset
+ * @param {number} length - Field length
+ * @returns {string}
+ */
+function readTarString(block, at, length) {
+    const field = block.subarray(at, at + length);
+    const end = field.indexOf(0);
+    return new TextDecoder().decode(end >= 0 ? field.subarray(0, end) : field);
+}
+
+/**
+ * Read a numeric tar header field (octal text, or base-256 for large values)
+ * @param {Uint8Array} block - 512-byte header
+ * @param {number} at - Field offset
+ * @param {number} length - Field length
+ * @returns {number}
+ */
+function readTarNumber(block, at, length) {
+    if (block[at] & 0x80) {
+        let n = block[at] & 0x7f;
+        for (let i = 1; i < length; i++) n = n * 256 + block[at + i];
+        return n;
+    }
+    return parseInt(readTarString(block, at, length).trim() || '0', 8);
+}
+
+/**
+ * Check whether a 512-byte block is a tar header by verifying its checksum
+ * @param {Uint8Array} block - Candidate header
+ * @returns {boolean}
+ */
+function isTarHeader(block) {
+    if (block.length < 512) return false;
+    let sum = 0;
+    for (let i = 0; i < 512; i++) sum += (i >= 148 && i < 156) ? 32 : block[i];
+    return sum !== 8 * 32 && sum === readTarNumber(block, 148, 8);
+}
+
+/**
+ * Create an incremental tar reader. Bytes can be pushed in chunks of any size; each push
+ * returns the events found in it: { type: 'entry', entry: { path, size, mtime } } for a regular
+ * file, then { type: 'data', bytes } for its content and { type: 'end' }. Directories, links
+ * and other entries are skipped; GNU long names and pax paths are applied.
+ * @returns {Object} - { push(bytes) => Array<Object>, done }
+ */
+function createTarReader() {
+    const header = new Uint8Array(512);
+    let headerLength = 0;
+    let remaining = 0;      // Content bytes left in the current entry
+    let padding = 0;        // Zero bytes up to the next 512-byte boundary
+    let current = null;     // Regular file being streamed, or null when skipping/collecting
+    let meta = null;        // { type, parts } while collecting a GNU long name or pax header
+    let nextPath = null;    // Path override for the next entry
+
+    const reader = { done: false };
+
+    function finishMeta() {
+        const text = new TextDecoder().decode(concatBytes(meta.parts));
+        if (meta.type === 'L') {
+            nextPath = text.replace(/\0+$/, '');
+        } else {
+            // pax records: "<length> <key>=<value>\n"
+            const match = text.match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+            if (match) nextPath = match[1];
+        }
+        meta = null;
+    }
+
+    function readHeader(events) {
+        if (header.every(b => b === 0)) {
+            reader.done = true;
+            return;
+        }
+        if (!isTarHeader(header)) throw new Error('Corrupt tar header');
+
+        const size = readTarNumber(header, 124, 12);
+        const type = String.fromCharCode(header[156] || 48);
+        remaining = size;
+        padding = (512 - size % 512) % 512;
+
+        if (type === '0' || type === '7') {
+            let path = readTarString(header, 0, 100);
+            const prefix = readTarString(header, 345, 155);
+            if (readTarString(header, 257, 6) === 'ustar' && prefix) path = prefix + '/' + path;
+            current = { path: nextPath || path, size, mtime: readTarNumber(header, 136, 12) * 1000 };
+            nextPath = null;
+            events.push({ type: 'entry', entry: current });
+            if (size === 0) {
+                events.push({ type: 'end' });
+                current = null;
+            }
+        } else if (type === 'L' || type === 'x') {
+            meta = { type, parts: [] };
+            if (size === 0) finishMeta();
+        } else if (type !== 'g') {
+            // Directory, link or device: its pending long name is used up
+            nextPath = null;
+        }
+    }
+
+    reader.push = function (bytes) {
+        const events = [];
+        let i = 0;
+        while (i < bytes.length && !reader.done) {
+            if (remaining > 0) {
+                const n = Math.min(remaining, bytes.length - i);
+                const part = bytes.subarray(i, i + n);
+                if (current) events.push({ type: 'data', bytes: part });
+                else if (meta) meta.parts.push(part.slice());
+                remaining -= n;
+                i += n;
+                if (remaining === 0) {
+                    if (current) events.push({ type: 'end' });
+                    else if (meta) finishMeta();
+                    current = null;
+                }
+            } else if (padding > 0) {
+                const n = Math.min(padding, bytes.length - i);
+                padding -= n;
+                i += n;
+            } else {
+                const n = Math.min(512 - headerLength, bytes.length - i);
+                header.set(bytes.subarray(i, i + n), headerLength);
+                headerLength += n;
+                i += n;
+                if (headerLength === 512) {
+                    headerLength = 0;
+                    readHeader(events);
+                }
+            }
+        }
+        return events;
+    };
+
+    return reader;
+}
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array>} parts - Arrays to join
+ * @returns {Uint8Array}
+ */
+function concatBytes(parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let at = 0;
+    for (const p of parts) {
+        out.set(p, at);
+        at += p.length;
+    }
+    return out;
+}
+
 // ---------- Field Registry & Operators ----------
 
 const OPERATORS = {
@@ -297,7 +1428,7 @@ const OPERATORS = {
         { value: 'startsWith', label: 'starts with', fn: (a, b) => String(a).toLowerCase().startsWith(String(b).toLowerCase()) },
         { value: 'endsWith', label: 'ends with', fn: (a, b) => String(a).toLowerCase().endsWith(String(b).toLowerCase()) },
         { value: 'matches', label: 'matches regex', fn: (a, b) => new RegExp(b, 'i').test(a) },
-        { value: 'in', label: 'is one of', fn: (a, b) => Array.isArray(b) && b.map(v => String(v).toLowerCase()).includes(String(a).toLowerCase()) },
+        { value: 'in', label: 'is one of', fn: (a, b) => splitArgs(b).map(v => v.toLowerCase()).includes(String(a).toLowerCase()) },
         { value: 'empty', label: 'is empty', fn: (a) => !a || (Array.isArray(a) && a.length === 0) },
         { value: 'notEmpty', label: 'is not empty', fn: (a) => !!a && (!Array.isArray(a) || a.length > 0) }
     ],
@@ -309,47 +1440,32 @@ const OPERATORS = {
         { value: 'lessThan', label: '<', fn: (a, b) => parseFloat(a) < parseFloat(b) },
         { value: 'lessOrEqual', label: '≤', fn: (a, b) => parseFloat(a) <= parseFloat(b) }
     ],
+    // Comparison values may be timestamps or relative times (now-15m, @first+5m); see TimeAnchors
     date: [
+        { value: 'before', label: 'before', fn: (a, b) => compareTimes(a, b) < 0 },
+        { value: 'after', label: 'after', fn: (a, b) => compareTimes(a, b) > 0 },
+        { value: 'atOrBefore', label: 'at or before', fn: (a, b) => compareTimes(a, b) <= 0 },
+        { value: 'atOrAfter', label: 'at or after', fn: (a, b) => compareTimes(a, b) >= 0 },
         {
-            value: 'before', label: 'before', fn: (a, b) => {
-                const aa = parseTimestampToISO(a) || a;
-                const bb = parseTimestampToISO(b) || b;
-                const da = new Date(aa);
-                const db = new Date(bb);
-                if (isNaN(da) || isNaN(db)) return false;
-                return da < db;
-            }
-        },
-        {
-            value: 'after', label: 'after', fn: (a, b) => {
-                const aa = parseTimestampToISO(a) || a;
-                const bb = parseTimestampToISO(b) || b;
-                const da = new Date(aa);
-                const db = new Date(bb);
-                if (isNaN(da) || isNaN(db)) return false;
-                return da > db;
+            value: 'between', label: 'between', fn: (a, b) => {
+                const [from, to] = splitArgs(b);
+                if (from === undefined || to === undefined) return false;
+                return compareTimes(a, from) >= 0 && compareTimes(a, to) <= 0;
             }
         },
         {
-            value: 'between', label: 'between', fn: (a, b) => {
-                const aa = parseTimestampToISO(a) || a;
-                const date = new Date(aa);
-                const parts = (b || '').split(',');
-                if (parts.length < 2) return false;
-                const start = new Date(parseTimestampToISO(parts[0]) || parts[0]);
-                const end = new Date(parseTimestampToISO(parts[1]) || parts[1]);
-                if (isNaN(date) || isNaN(start) || isNaN(end)) return false;
-                return date >= start && date <= end;
+            value: 'around', label: 'within', fn: (a, b) => {
+                const [center, window] = splitArgs(b);
+                const ms = Math.abs(parseDuration(window) ?? NaN);
+                return Math.abs(compareTimes(a, center)) <= ms;
             }
         },
         {
             value: 'equals', label: 'on', fn: (a, b) => {
-                const aa = parseTimestampToISO(a) || a;
-                const bb = parseTimestampToISO(b) || b;
-                const da = new Date(aa);
-                const db = new Date(bb);
-                if (isNaN(da) || isNaN(db)) return false;
-                return da.toISOString().split('T')[0] === db.toISOString().split('T')[0];
+                const ta = rowTime(a);
+                const tb = TimeAnchors.resolve(b);
+                if (isNaN(ta) || isNaN(tb)) return false;
+                return new Date(ta).toISOString().split('T')[0] === new Date(tb).toISOString().split('T')[0];
             }
         }
     ],
@@ -369,9 +1485,97 @@ const OPERATORS = {
         },
         { value: 'empty', label: 'is empty', fn: (arr) => !arr || arr.length === 0 },
         { value: 'notEmpty', label: 'is not empty', fn: (arr) => !!arr && arr.length > 0 }
+    ],
+    // Operators on `level` that follow the severity scale; values may be names, aliases or
+    // numbers (WARN, E, 40). Other operators (contains, matches) treat the level as text.
+    level: [
+        { value: 'equals', label: 'equals', fn: (a, b) => LogLevels.normalize(a) === LogLevels.normalize(b) },
+        { value: 'notEquals', label: 'does not equal', fn: (a, b) => LogLevels.normalize(a) !== LogLevels.normalize(b) },
+        { value: 'atLeast', label: 'at least', fn: (a, b) => compareLevels(a, b) >= 0 },
+        { value: 'atMost', label: 'at most', fn: (a, b) => compareLevels(a, b) <= 0 },
+        { value: 'above', label: 'more severe than', fn: (a, b) => compareLevels(a, b) > 0 },
+        { value: 'below', label: 'less severe than', fn: (a, b) => compareLevels(a, b) < 0 },
+        {
+            value: 'in', label: 'is one of', fn: (a, b) => {
+                const values = Array.isArray(b) ? b : String(b).split(',');
+                return values.some(v => LogLevels.normalize(v) === LogLevels.normalize(a));
+            }
+        }
     ]
 };
 
+/**
+ * Epoch milliseconds of a row's timestamp value
+ * @param {string} value - row.ts or a date field
+ * @returns {number} - NaN if it is not a timestamp
+ */
+function rowTime(value) {
+    return Date.parse(parseTimestampToISO(value) || value);
+}
+
+/**
+ * Compare a row's timestamp with a timestamp or relative time
+ * @param {string} a - Row value
+ * @param {string} b - Comparison value, resolved with TimeAnchors
+ * @returns {number} - Milliseconds a lies after b; NaN when either is not a time
+ */
+function compareTimes(a, b) {
+    return rowTime(a) - TimeAnchors.resolve(b);
+}
+
+/**
+ * Quote text for a query, escaping the quotes and backslashes in it as \" and \\
+ * @param {string} text
+ * @returns {string}
+ */
+function quoteQueryText(text) {
+    return `"${String(text).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Remove the quotes around query text written by quoteQueryText; unquoted text is returned as is
+ * @param {string} text
+ * @returns {string}
+ */
+function unquoteQueryText(text) {
+    if (text.length < 2 || !text.startsWith('"') || !text.endsWith('"')) return text;
+    return text.slice(1, -1).replace(/\\(["\\])/g, '$1');
+}
+
+/**
+ * Split the arguments of a range operator: an array as given, or text separated by commas
+ * outside double quotes (`"Nov 13, 2025", 30s`); quotes are removed
+ * @param {Array|string} value
+ * @returns {Array<string>}
+ */
+function splitArgs(value) {
+    if (Array.isArray(value)) return value.map(v => String(v).trim());
+    return (String(value ?? '').match(/"(?:[^"\\]|\\.)*"|[^,]+/g) || []).map(v => unquoteQueryText(v.trim()));
+}
+
+/**
+ * Quote a range argument that contains a comma, space, parenthesis or quote, so splitArgs
+ * reads it back whole
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteArg(value) {
+    return /[\s,()"]/.test(value) ? quoteQueryText(value) : value;
+}
+
+/**
+ * Compare two levels on the severity scale
+ * @param {string} a - Level of a row
+ * @param {string|number} b - Level to compare with (name, alias or number)
+ * @returns {number} - Negative, zero or positive as a is less, as or more severe than b;
+ *   NaN when either is not on the scale, so every comparison fails
+ */
+function compareLevels(a, b) {
+    const ra = LogLevels.rank(LogLevels.normalize(a));
+    const rb = LogLevels.rank(LogLevels.normalize(b));
+    return ra === null || rb === null ? NaN : ra - rb;
+}
+
 const FieldRegistry = {
     fields: new Map(),
     register(fieldName, samples = []) {
@@ -403,6 +1607,7 @@ const FieldRegistry = {
     updateFromDataset(rows) {
         this.fields.clear();
         this.register('level', rows.map(r => r.level).filter(Boolean));
+        this.register('levelNum', rows.map(r => r.levelNum).filter(n => n !== null && n !== undefined));
         this.register('ts', rows.map(r => r.ts).filter(Boolean));
         this.register('message', rows.map(r => r.message).filter(Boolean));
         const fNames = new Set();
@@ -432,9 +1637,54 @@ const FieldRegistry = {
     }
 };
 
+// Row properties that queries read from the row itself rather than from row.fields
+const ROW_ATTRIBUTES = ['level', 'levelNum', 'ts', 'message', 'raw', 'id', 'source'];
+
+/**
+ * Value a query field reads from a row: a row attribute, or else a parsed field. A parsed
+ * source field (logfmt source=kafka) wins over the row's source file.
+ * @param {Object} row - Log row
+ * @param {string} field - Field name
+ * @returns {*}
+ */
+function rowFieldValue(row, field) {
+    if (field === 'source' && row.fields?.source !== undefined) return row.fields.source;
+    if (ROW_ATTRIBUTES.includes(field)) return row[field];
+    return row.fields?.[field];
+}
+
+/**
+ * Evaluate a rule on `line`, the physical lines a row was parsed from (lineStart..lineEnd),
+ * for rows without a parsed line field of their own (zap or logfmt line=42).
+ * line:1200 and line=1200 match the row that covers line 1200; comparisons match rows lying
+ * wholly on one side (line>1200 means the row starts after line 1200).
+ * @param {Object} row - Log row
+ * @param {Object} rule - { operator, value }
+ * @returns {boolean}
+ */
+function evaluateLineRule(row, rule) {
+    const start = row.lineStart;
+    const end = row.lineEnd || start;
+    if (rule.operator === 'empty') return !start;
+    if (rule.operator === 'notEmpty') return Boolean(start);
+    const n = parseInt(rule.value, 10);
+    if (!start || isNaN(n)) return false;
+    switch (rule.operator) {
+        case 'equals':
+        case 'contains': return start <= n && n <= end;
+        case 'notEquals': return n < start || n > end;
+        case 'greaterThan': return start > n;
+        case 'greaterOrEqual': return start >= n;
+        case 'lessThan': return end < n;
+        case 'lessOrEqual': return end <= n;
+        default: return false;
+    }
+}
+
 function getOperatorsForField(fieldName, fieldValue) {
-    if (fieldName === 'level') return OPERATORS.text.filter(op => ['equals', 'notEquals'].includes(op.value));
+    if (fieldName === 'level') return OPERATORS.level;
     if (fieldName === 'ts' || fieldName === 'timestamp') return OPERATORS.date;
+    if (fieldName === 'line') return OPERATORS.numeric;
     if (Array.isArray(fieldValue)) return OPERATORS.array;
     if (!isNaN(parseFloat(fieldValue)) && isFinite(fieldValue)) return OPERATORS.numeric;
     return OPERATORS.text;
@@ -445,9 +1695,8 @@ function getOperatorsForField(fieldName, fieldValue) {
  */
 function evaluateRule(row, rule) {
     if (!rule || rule.enabled === false) return true;
-    let fieldValue;
-    if (['level', 'ts', 'message', 'raw', 'id'].includes(rule.field)) fieldValue = row[rule.field];
-    else fieldValue = row.fields?.[rule.field];
+    if (rule.field === 'line' && row.fields?.line === undefined) return evaluateLineRule(row, rule);
+    const fieldValue = rowFieldValue(row, rule.field);
     // Treat empty-string or empty-array as empty for the "empty" operator
     const isEmpty = fieldValue === undefined || fieldValue === null || (typeof fieldValue === 'string' && fieldValue.trim() === '') || (Array.isArray(fieldValue) && fieldValue.length === 0);
     if (isEmpty) {
@@ -466,7 +1715,10 @@ function evaluateRule(row, rule) {
     }
 
     const fieldMeta = FieldRegistry.get(rule.field);
-    const fieldType = fieldMeta?.type || (Array.isArray(fieldValue) ? 'array' : 'text');
+    let fieldType = fieldMeta?.type || (Array.isArray(fieldValue) ? 'array' : 'text');
+    // Built-in fields keep their own operators even when the registry guesses another type
+    const builtinType = { level: 'level', ts: 'date', timestamp: 'date', line: 'numeric' }[rule.field];
+    if (builtinType && OPERATORS[builtinType].some(op => op.value === rule.operator)) fieldType = builtinType;
     const operators = OPERATORS[fieldType] || OPERATORS.text;
     const operator = operators.find(op => op.value === rule.operator);
     if (!operator) { console.warn('Unknown operator', rule.operator); return true; }
@@ -512,17 +1764,7 @@ function applyFilterConfig(rows, filterConfig, progressCallback = null) {
         if (progressCallback) progressCallback(30, 'Applying filter rules...');
         filteredRows = filteredRows.filter(row => evaluateRules(row, filterConfig.rules));
     }
-    if (filterConfig.groups && filterConfig.groups.length > 0) {
-        if (progressCallback) progressCallback(50, 'Applying filter groups...');
-        filterConfig.groups.forEach(group => {
-            const groupMatches = filteredRows.filter(row => evaluateRules(row, group.rules));
-            if (group.logic === 'OR') {
-                filteredRows = [...new Set([...filteredRows, ...groupMatches])];
-            } else if (group.logic === 'AND') {
-                filteredRows = filteredRows.filter(row => groupMatches.includes(row));
-            }
-        });
-    }
+    // Nested builder groups are compiled to a v3 AST (builderToAST) rather than applied here
     return filteredRows;
 }
 
@@ -587,8 +1829,7 @@ function runSingleExtractor(pattern, scope, mergeStrategy = 'last-wins') {
             if (iso) r.ts = iso;
         }
         if (groupValues.level && groupValues.level.length > 0) {
-            r.level = String(groupValues.level[0]).toUpperCase();
-            if (r.level === 'WARN') r.level = 'WARNING';
+            LogLevels.apply(r, groupValues.level[0]);
         }
         if (groupValues.message && groupValues.message.length > 0) {
             r.message = groupValues.message[0];
@@ -598,9 +1839,48 @@ function runSingleExtractor(pattern, scope, mergeStrategy = 'last-wins') {
     return hits;
 }
 
+/**
+ * Built-in extractor that turns logfmt key=value pairs into one field per key
+ * @param {Array} scope - Array of log rows to process
+ * @param {string} mergeStrategy - How to merge fields: 'last-wins', 'first-wins', 'merge'
+ * @returns {number} - Number of rows with pairs
+ */
+function runLogfmtExtractor(scope, mergeStrategy = 'last-wins') {
+    let hits = 0;
+
+    for (const r of scope) {
+        const parts = logfmtToRowParts(parseLogfmt(r.raw));
+        const keys = Object.keys(parts.fields);
+        if (keys.length === 0 && !parts.ts && !parts.level && !parts.message) continue;
+
+        if (!r.fields) r.fields = {};
+        if (mergeStrategy === 'first-wins') {
+            for (const key of keys) {
+                if (!(key in r.fields)) r.fields[key] = parts.fields[key];
+            }
+        } else {
+            r.fields = Object.assign({}, r.fields, parts.fields);
+        }
+
+        hits++;
+
+        for (const key of keys) {
+            if (typeof fieldNames !== 'undefined') {
+                try { fieldNames.add(key); } catch (e) { /* ignore if fieldNames not set yet */ }
+            }
+        }
+
+        if (parts.ts) r.ts = parts.ts;
+        if (parts.level) LogLevels.apply(r, parts.level);
+        if (parts.message) r.message = parts.message;
+    }
+
+    return hits;
+}
+
 /**
  * Run multiple extractors on log data
- * @param {Array<Object>} extractors - Array of extractor objects
+ * @param {Array<Object>} extractors - Array of extractor objects (type 'logfmt' or regex pattern)
  * @param {Array} scope - Array of log rows to process
  * @param {string|function|null} mergeStrategy - Merge strategy string or progressCallback if function passed
  * @param {function|null} progressCallback - Optional progress callback (percent, message)
@@ -630,8 +1910,10 @@ function runMultipleExtractors(extractors, scope, mergeStrategy = 'last-wins', p
             continue;
         }
 
-        console.log('Running extractor:', extractor.name, 'Pattern:', extractor.pattern);
-        const hits = runSingleExtractor(extractor.pattern, scope, mergeStrategy);
+        console.log('Running extractor:', extractor.name, 'Pattern:', extractor.type === 'logfmt' ? '(logfmt)' : extractor.pattern);
+        const hits = extractor.type === 'logfmt'
+            ? runLogfmtExtractor(scope, mergeStrategy)
+            : runSingleExtractor(extractor.pattern, scope, mergeStrategy);
         console.log('Extractor', extractor.name, 'matched', hits, 'rows');
         results.byExtractor[extractor.id] = hits;
         results.total += hits;
@@ -666,10 +1948,12 @@ class QueryParser {
 
     tokenize() {
         const patterns = [
-            { type: 'IN_OP', regex: /(\w+):IN\(([^)]+)\)/iy },
-            { type: 'FIELD_OP', regex: /(\w+)(:|)(>=|<=|!=|>|<|=)("[^"]*"|[^\s)]+)/y },
-            { type: 'FIELD', regex: /(\w+):("[^"]*"|[^\s)]+)/y },
-            { type: 'STRING', regex: /"([^"]*)"/y },
+            // Field names other than word.word are quoted ("user-agent":curl); in quotes \" and \\ stand for " and \
+            { type: 'IN_OP', regex: /(\w+(?:\.\w+)*|"(?:[^"\\]|\\.)*"):IN\(((?:"(?:[^"\\]|\\.)*"|[^")])+)\)/iy },
+            { type: 'RANGE_OP', regex: /(\w+(?:\.\w+)*|"(?:[^"\\]|\\.)*"):(between|around)\(((?:"(?:[^"\\]|\\.)*"|[^")])*)\)/iy },
+            { type: 'FIELD_OP', regex: /(\w+(?:\.\w+)*|"(?:[^"\\]|\\.)*")(:|)(>=|<=|!=|>|<|=)("(?:[^"\\]|\\.)*"|[^\s)]+)/y },
+            { type: 'FIELD', regex: /(\w+(?:\.\w+)*|"(?:[^"\\]|\\.)*"):("(?:[^"\\]|\\.)*"|[^\s)]+)/y },
+            { type: 'STRING', regex: /"(?:[^"\\]|\\.)*"/y },
             { type: 'AND', regex: /\bAND\b/iy },
             { type: 'OR', regex: /\bOR\b/iy },
             { type: 'NOT', regex: /\bNOT\b/iy },
@@ -691,18 +1975,24 @@ class QueryParser {
                     const token = { type: p.type, raw: m[0] };
                     if (p.type === 'IN_OP') {
                         token.type = 'FIELD_OP';
-                        token.field = m[1];
+                        token.field = unquoteQueryText(m[1]);
                         token.operator = 'in';
                         // Parse values: split by comma, trim, remove quotes
-                        token.value = m[2].split(',').map(v => v.trim().replace(/^"|"$/g, ''));
+                        token.value = splitArgs(m[2]);
+                    } else if (p.type === 'RANGE_OP') {
+                        // ts:between(now-1h, now), ts:around("2025-11-13T10:30:10Z", 30s)
+                        token.type = 'FIELD_OP';
+                        token.field = unquoteQueryText(m[1]);
+                        token.operator = m[2].toLowerCase();
+                        token.value = splitArgs(m[3]);
                     } else if (p.type === 'FIELD_OP') {
-                        token.field = m[1];
+                        token.field = unquoteQueryText(m[1]);
                         // m[2] is colon or empty, m[3] is operator, m[4] is value
-                        token.operator = this._mapOperator(m[3]);
-                        token.value = m[4].replace(/^"|"$/g, '');
+                        token.operator = this._mapOperator(m[3], token.field);
+                        token.value = unquoteQueryText(m[4]);
                     } else if (p.type === 'FIELD') {
-                        const field = m[1];
-                        const value = m[2].replace(/^"|"$/g, '');
+                        const field = unquoteQueryText(m[1]);
+                        const value = unquoteQueryText(m[2]);
 
                         if (field === 'has') {
                             token.type = 'FIELD_OP'; // Treat as a rule
@@ -722,7 +2012,7 @@ class QueryParser {
                     } else if (p.type === 'WORD') {
                         token.value = m[0];
                     } else if (p.type === 'STRING') {
-                        token.value = m[1];
+                        token.value = unquoteQueryText(m[0]);
                     }
 
                     this.tokens.push(token);
@@ -735,34 +2025,62 @@ class QueryParser {
         return this.tokens;
     }
 
-    _mapOperator(op) {
-        const map = { '=': 'equals', '!=': 'notEquals', '>': 'greaterThan', '>=': 'greaterOrEqual', '<': 'lessThan', '<=': 'lessOrEqual' };
+    _mapOperator(op, field) {
+        // level>=WARNING compares positions on the severity scale, ts>now-15m compares times
+        const maps = {
+            level: { '=': 'equals', '!=': 'notEquals', '>': 'above', '>=': 'atLeast', '<': 'below', '<=': 'atMost' },
+            ts: { '=': 'equals', '!=': 'notEquals', '>': 'after', '>=': 'atOrAfter', '<': 'before', '<=': 'atOrBefore' }
+        };
+        const map = maps[field] || { '=': 'equals', '!=': 'notEquals', '>': 'greaterThan', '>=': 'greaterOrEqual', '<': 'lessThan', '<=': 'lessOrEqual' };
         return map[op] || 'equals';
     }
 
+    // A backslash keeps *, a leading ^ or / and a trailing $ as plain text: msg:\/tmp\*
     _processValue(token) {
         // Regex literal: /pattern/
         if (token.value.startsWith('/') && token.value.endsWith('/') && token.value.length > 2) {
             token.operator = 'matches';
             token.value = token.value.slice(1, -1);
+            token.syntax = 'regex';
             return;
         }
 
-        if (token.value.includes('*')) {
+        const parts = token.value.split(/(?<!\\)\*/);
+        if (parts.length > 1) {
             token.operator = 'matches';
-            // Escape regex chars except *
-            let escaped = token.value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
-            // Replace * with .*
-            escaped = escaped.replace(/\*/g, '.*');
-            token.value = `^${escaped}$`;
+            // Escape regex chars in the text between wildcards, then join them with .*
+            const escaped = parts.map(part => part.replace(/\\\*/g, '*').replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            token.value = `^${escaped.join('.*')}$`;
+            token.syntax = 'wildcard';
         } else {
             token.operator = 'contains';
             // Legacy prefix support
             if (token.value.startsWith('^')) { token.operator = 'startsWith'; token.value = token.value.slice(1); }
-            if (token.value.endsWith('$')) { token.operator = 'endsWith'; token.value = token.value.slice(0, -1); }
+            if (token.value.endsWith('$') && !token.value.endsWith('\\$')) { token.operator = 'endsWith'; token.value = token.value.slice(0, -1); }
+            token.value = QueryParser.unescapeLiteral(token.value);
+            if (token.operator !== 'contains') token.syntax = token.operator;
         }
     }
 
+    /**
+     * Escape what _processValue reads as syntax (*, a leading ^ or /, a trailing $) so a
+     * value is searched for as written
+     * @param {string} value
+     * @returns {string}
+     */
+    static escapeLiteral(value) {
+        return value.replace(/\*/g, '\\*').replace(/^[\^/]/, '\\$&').replace(/\$$/, '\\$$');
+    }
+
+    /**
+     * Undo escapeLiteral
+     * @param {string} value
+     * @returns {string}
+     */
+    static unescapeLiteral(value) {
+        return value.replace(/\\\*/g, '*').replace(/^\\([\^/])/, '$1').replace(/\\\$$/, '$$');
+    }
+
     parse() {
         this.tokenize();
         this.pos = 0;
@@ -840,6 +2158,57 @@ class QueryParser {
     static compileToFilter(ast) {
         return { version: 3, ast: ast, quickSearch: '' };
     }
+
+    /**
+     * Write an AST back as query text that parses to the same conditions
+     * @param {Object} ast - AST node (null for no conditions)
+     * @returns {string}
+     */
+    static stringify(ast) {
+        if (!ast) return '';
+        if (ast.type === 'NOT') {
+            const inner = QueryParser.stringify(ast.operand);
+            return ast.operand?.type === 'LOGIC' ? `NOT (${inner})` : `NOT ${inner}`;
+        }
+        if (ast.type === 'LOGIC') {
+            // AND binds tighter than OR, so only an OR inside an AND needs parentheses
+            const side = node => {
+                const text = QueryParser.stringify(node);
+                return ast.operator === 'AND' && node?.type === 'LOGIC' && node.operator === 'OR' ? `(${text})` : text;
+            };
+            return `${side(ast.left)} ${ast.operator} ${side(ast.right)}`;
+        }
+        if (ast.type === 'RULE') return QueryParser._stringifyRule(ast);
+        return '';
+    }
+
+    static _stringifyRule(rule) {
+        const field = /^\w+(?:\.\w+)*$/.test(rule.field) ? rule.field : quoteQueryText(rule.field);
+        const value = Array.isArray(rule.value) ? rule.value.map(String) : String(rule.value ?? '');
+        const quote = v => (/[\s()"]/.test(v) || v === '') ? quoteQueryText(v) : v;
+        const comparisons = {
+            equals: '=', notEquals: '!=', greaterThan: '>', greaterOrEqual: '>=', lessThan: '<', lessOrEqual: '<=',
+            atLeast: '>=', atMost: '<=', above: '>', below: '<',
+            after: '>', before: '<', atOrAfter: '>=', atOrBefore: '<='
+        };
+        switch (rule.operator) {
+            case 'empty': return `missing:${field}`;
+            case 'notEmpty': return `has:${field}`;
+            case 'in': return `${field}:IN(${splitArgs(value).map(quoteArg).join(', ')})`;
+            case 'between':
+            case 'around': return `${field}:${rule.operator}(${splitArgs(value).map(quoteArg).join(', ')})`;
+            case 'matches': return `${field}:${quote('/' + value + '/')}`;
+            case 'startsWith': return `${field}:${quote('^' + QueryParser.escapeLiteral(value))}`;
+            case 'endsWith': return `${field}:${quote(QueryParser.escapeLiteral(value) + '$')}`;
+            case 'notContains': return `NOT ${field}:${quote(QueryParser.escapeLiteral(value))}`;
+            case 'contains':
+                // Free text is a contains rule on the raw line
+                if (field === 'raw') return /^[^\s():"]+$/.test(value) && !/^(AND|OR|NOT)$/i.test(value) ? value : quoteQueryText(value);
+                return `${field}:${quote(QueryParser.escapeLiteral(value))}`;
+        }
+        if (comparisons[rule.operator]) return `${field}${comparisons[rule.operator]}${quote(value)}`;
+        return `${field}:${quote(value)}`;
+    }
 }
 
 /**
@@ -876,3 +2245,181 @@ function parseAdvancedQuery(queryText) {
         throw new Error('Query parse error: ' + (e.message || e));
     }
 }
+
+// ---------- Query Builder Groups ----------
+
+/**
+ * The visual builder edits a tree of groups. A group combines its children with AND or OR
+ * and may be negated; children are rules or further groups:
+ *   { id, type: 'group', logic: 'AND' | 'OR', negate: false, children: [...] }
+ *   { id, type: 'rule', field, operator, value, enabled }
+ * The tree compiles to the same AST as QueryParser, so builder and text query are interchangeable.
+ */
+
+/**
+ * Create an empty builder group
+ * @param {string} logic - 'AND' or 'OR'
+ * @returns {Object}
+ */
+function createRuleGroup(logic = 'AND') {
+    return { id: generateUUID(), type: 'group', logic, negate: false, children: [] };
+}
+
+/**
+ * Convert flat builder rules (each with the `logic` joining it to the next, combined left to
+ * right as evaluateRules does) into a group tree
+ * @param {Array} rules
+ * @returns {Object} - Root group
+ */
+function rulesToGroup(rules) {
+    let group = createRuleGroup('AND');
+    (rules || []).forEach((rule, i) => {
+        const { logic, ...rest } = rule;
+        const node = { ...rest, type: 'rule' };
+        const joinedBy = i > 0 ? (rules[i - 1].logic || 'AND') : group.logic;
+        if (group.children.length > 1 && joinedBy !== group.logic) {
+            // ((A AND B) OR C): what came before becomes one operand of the new logic
+            const outer = createRuleGroup(joinedBy);
+            outer.children.push(group);
+            group = outer;
+        } else if (group.children.length === 1) {
+            group.logic = joinedBy;
+        }
+        group.children.push(node);
+    });
+    return group;
+}
+
+/**
+ * Compile a builder group to a QueryParser AST. Disabled rules and empty groups are left out.
+ * @param {Object} group
+ * @returns {Object|null} - AST node, or null when the group has no conditions
+ */
+function builderToAST(group) {
+    if (!group) return null;
+    if (group.type !== 'group') {
+        if (group.enabled === false) return null;
+        return { type: 'RULE', field: group.field, operator: group.operator, value: group.value };
+    }
+    const parts = (group.children || []).map(builderToAST).filter(Boolean);
+    if (!parts.length) return null;
+    const ast = parts.reduce((left, right) => ({ type: 'LOGIC', operator: group.logic || 'AND', left, right }));
+    return group.negate ? { type: 'NOT', operand: ast } : ast;
+}
+
+const STRAY_OPERATOR_WARNING = 'A stray AND, OR, NOT or parenthesis with no condition next to it was left out.';
+
+// Why a field:value the parser rewrote looks different in the builder, by QueryParser token.syntax
+const VALUE_SYNTAX_NOTES = {
+    regex: ['slashes around a value make it a pattern', 'Start it with \\/ to search for the slashes as text.'],
+    wildcard: ['* is a wildcard', 'Write \\* to search for a plain *.'],
+    startsWith: ['a leading ^ means "starts with"', 'Write \\^ to search for a plain ^.'],
+    endsWith: ['a trailing $ means "ends with"', 'Write \\$ to search for a plain $.']
+};
+
+/**
+ * Convert a QueryParser AST into a builder group tree. Chains of one operator become one
+ * group; NOT becomes a negated group.
+ * @param {Object|null} ast
+ * @param {Array} warnings - Receives { message, dropped } for parts the builder cannot show
+ *   as written; `dropped` marks parts left out of the tree
+ * @returns {Object} - Root group
+ */
+function astToBuilder(ast, warnings = []) {
+    const stray = () => warnings.push({ message: STRAY_OPERATOR_WARNING, dropped: true });
+    const toNode = node => {
+        if (!node) return null;
+        if (node.type === 'RULE') {
+            const rule = { id: generateUUID(), type: 'rule', field: node.field, operator: node.operator, value: node.value, enabled: true };
+            const offered = getOperatorsForField(rule.field, FieldRegistry.get(rule.field)?.samples?.[0] || '');
+            if (!offered.some(op => op.value === rule.operator)) {
+                warnings.push({
+                    message: `${QueryParser.stringify(node)}: the builder has no "${operatorLabel(rule.operator)}" choice for ${rule.field}. ` +
+                        'The rule is kept, but choosing another operator replaces it.',
+                    dropped: false
+                });
+            }
+            return rule;
+        }
+        if (node.type === 'NOT') {
+            const inner = toNode(node.operand);
+            if (!inner) { stray(); return null; }
+            if (inner.type === 'group' && !inner.negate) return { ...inner, negate: true };
+            const group = createRuleGroup('AND');
+            group.negate = true;
+            group.children.push(inner);
+            return group;
+        }
+        if (node.type === 'LOGIC') {
+            const group = createRuleGroup(node.operator);
+            const collect = n => {
+                if (n?.type === 'LOGIC' && n.operator === node.operator) { collect(n.left); collect(n.right); return; }
+                const child = toNode(n);
+                if (child) group.children.push(child);
+                else if (!n) stray();
+            };
+            collect(node);
+            return group;
+        }
+        return null;
+    };
+    const root = toNode(ast);
+    if (root?.type === 'group') return root;
+    const group = createRuleGroup('AND');
+    if (root) group.children.push(root);
+    return group;
+}
+
+/**
+ * Parse a text query into builder groups, collecting what the builder cannot show as written
+ * @param {string} text - Text query
+ * @returns {{root: Object, warnings: Array<{message: string, dropped: boolean}>}}
+ */
+function queryToBuilder(text) {
+    const parser = new QueryParser(text);
+    const ast = parser.parse();
+    const warnings = [];
+    // The parser stops at a ")" that closes nothing; whatever follows is not part of the query
+    const stopped = parser.pos < parser.tokens.length;
+    const rest = parser.tokens.slice(parser.pos + 1);
+    if (rest.length) {
+        warnings.push({ message: `"${rest.map(t => t.raw).join(' ')}" comes after a ")" with no matching "(" and was left out.`, dropped: true });
+    } else if (stopped) {
+        warnings.push({ message: 'A ")" with no matching "(" was ignored.', dropped: false });
+    }
+    if (!ast && text.trim() && !stopped) warnings.push({ message: STRAY_OPERATOR_WARNING, dropped: true });
+    for (const token of parser.tokens.slice(0, parser.pos)) {
+        if (!token.syntax) continue;
+        const [note, hint] = VALUE_SYNTAX_NOTES[token.syntax];
+        warnings.push({
+            message: `${token.raw}: ${note}, so the builder shows "${operatorLabel(token.operator)}" ${token.value}. ${hint}`,
+            dropped: false
+        });
+    }
+    const root = astToBuilder(ast, warnings);
+    return { root, warnings };
+}
+
+/**
+ * Label of an operator as the builder shows it
+ * @param {string} value - Operator value, e.g. 'greaterThan'
+ * @returns {string}
+ */
+function operatorLabel(value) {
+    for (const ops of Object.values(OPERATORS)) {
+        const op = ops.find(o => o.value === value);
+        if (op) return op.label;
+    }
+    return value;
+}
+
+/**
+ * Number of rules in a builder group, counting nested groups
+ * @param {Object} group
+ * @returns {number}
+ */
+function countBuilderRules(group) {
+    if (!group) return 0;
+    if (group.type !== 'group') return 1;
+    return (group.children || []).reduce((n, child) => n + countBuilderRules(child), 0);
+}
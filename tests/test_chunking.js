@@ -97,4 +97,405 @@ assert.strictEqual(rows.length, 1, 'Should have 1 row');
 assert.ok(rows[0].message.includes('at function'), 'Should merge indented line');
 console.log('✓ Passed');
 
+// Test 5: NDJSON lines split across chunks
+console.log('Test 5: NDJSON split across chunks');
+reset();
+context.parseNDJSONChunk('{"ts":"2023-01-01T10:00:00Z","level":"warn","msg":"first","user":"a"}\n{"timestamp":"2023-01-01T10:00:01Z",', false);
+context.parseNDJSONChunk('"severity":"error","message":"second","fields":{"code":42}}\n', true);
+
+rows = getRows();
+assert.strictEqual(rows.length, 2, 'Should have 2 rows');
+assert.strictEqual(rows[0].level, 'WARNING');
+assert.strictEqual(rows[0].message, 'first');
+assert.strictEqual(rows[0].fields.user, 'a');
+assert.strictEqual(rows[1].level, 'ERROR');
+assert.strictEqual(rows[1].fields.code, 42, 'Nested fields object should be flattened into fields');
+assert.strictEqual(rows[1].id, 2);
+console.log('✓ Passed');
+
+// Test 6: Malformed NDJSON lines are reported, not fatal
+console.log('Test 6: NDJSON malformed lines');
+reset();
+context.parseNDJSONChunk('{"msg":"ok 1"}\n\n{not json}\n42\n{"msg":"ok 2"}', true);
+
+rows = getRows();
+const state = vm.runInContext('parserState', context);
+assert.strictEqual(rows.length, 2, 'Valid lines should still be parsed');
+assert.strictEqual(state.errorCount, 2);
+assert.strictEqual(state.errors.map(e => e.line).join(','), '3,4', 'Errors should carry physical line numbers');
+console.log('✓ Passed');
+
+// Test 7: CSV quoted newline split across chunks
+console.log('Test 7: CSV quoted newline across chunks');
+reset();
+context.parseCSVChunk('timestamp,level,message,user\n2025-11-13T10:30:00Z,ERROR,"Failed:\n  at main', false);
+context.parseCSVChunk(' (app.js:1)",alice\n2025-11-13T10:30:01Z,INFO,"say ""hi""",bob\n', false);
+context.parseCSVChunk('', true);
+
+rows = getRows();
+assert.strictEqual(rows.length, 2, 'Embedded newline must not start a new row');
+assert.strictEqual(rows[0].message, 'Failed:\n  at main (app.js:1)');
+assert.strictEqual(rows[0].level, 'ERROR');
+assert.strictEqual(rows[0].fields.user, 'alice');
+assert.strictEqual(rows[1].message, 'say "hi"');
+console.log('✓ Passed');
+
+// Test 8: CSV delimiter and header sniffing
+console.log('Test 8: CSV delimiter/header sniffing');
+reset();
+context.parseCSVChunk('2025-11-13T10:30:00Z;WARN;Disk low;78\n2025-11-13T10:30:01Z;INFO;Recovered;40\n', true);
+
+rows = getRows();
+assert.strictEqual(rows.length, 2, 'First row should be data when there is no header');
+assert.strictEqual(rows[0].level, 'WARNING');
+assert.strictEqual(rows[0].message, 'Disk low');
+assert.strictEqual(rows[0].fields.col4, '78');
+assert.ok(rows[0].ts, 'Timestamp column should be inferred');
+
+reset();
+vm.runInContext("parserState.options = { csv: { delimiter: '|', header: 'yes' } }", context);
+context.parseCSVChunk('a|b\n1|2\n', true);
+rows = getRows();
+assert.strictEqual(rows.length, 1);
+assert.strictEqual(rows[0].fields.a, '1');
+assert.strictEqual(rows[0].fields.b, '2');
+console.log('✓ Passed');
+
+// Test 9: JSON array split mid-object, with a malformed element and a truncated tail
+console.log('Test 9: Streaming JSON array');
+reset();
+context.parseJSONArrayChunk('[\n  {"timestamp":"2025-11-13T10:30:00Z","level":"warn","msg":"a, \\"quoted\\" ]"', false);
+context.parseJSONArrayChunk(',"fields":{"code":7}},\n  {"msg": oops},\n  42,\n  {"message":"b"},\n  {"message":"c"', false);
+context.parseJSONArrayChunk('', true);
+
+rows = getRows();
+const jsonState = vm.runInContext('parserState', context);
+assert.strictEqual(rows.length, 2, 'Complete objects should be emitted');
+assert.strictEqual(rows[0].level, 'WARNING');
+assert.strictEqual(rows[0].message, 'a, "quoted" ]');
+assert.strictEqual(rows[0].fields.code, 7);
+assert.strictEqual(rows[1].message, 'b');
+assert.strictEqual(rows[1].id, 2);
+assert.strictEqual(jsonState.errors.map(e => e.line).join(','), '3,6', 'Bad element and truncation should be reported by line');
+
+reset();
+assert.throws(() => context.parseJSONArrayChunk('not json', true), /Invalid JSON file/);
+console.log('✓ Passed');
+
+// Test 10: Content-based format sniffing
+console.log('Test 10: Format sniffing');
+const sniff = (sample, options) => context.sniffFormat(sample, options);
+assert.strictEqual(sniff('[\n  {"msg": "a"},\n  {"msg": "b"').format, 'json');
+assert.strictEqual(sniff('{"msg":"a","level":"info"}\n{"msg":"b","level":"warn"}\n').format, 'ndjson');
+const csvSniff = sniff('time\tlevel\tmessage\n2025-11-13T10:30:00Z\tINFO\tok\n2025-11-13T10:30:01Z\tWARN\tslow\n');
+assert.strictEqual(csvSniff.format, 'csv');
+assert.strictEqual(csvSniff.delimiter, '\t');
+assert.strictEqual(sniff('ts=2025-11-13T10:30:00Z level=info msg="user login" user=a\nts=2025-11-13T10:30:01Z level=warn msg=slow\n').format, 'logfmt');
+assert.strictEqual(sniff('<34>1 2025-11-13T10:30:00Z host app 123 ID47 - started\n').format, 'syslog');
+assert.strictEqual(sniff('Oct 28 11:11:15 web01 sshd[811]: Accepted publickey\n').format, 'syslog');
+assert.strictEqual(sniff('127.0.0.1 - frank [10/Oct/2000:13:55:36 -0700] "GET /a.gif HTTP/1.0" 200 2326\n').format, 'access');
+const textSniff = sniff('2025-11-13T10:30:00Z INFO Processing user=test1 request_id=req-1\n2025-11-13T10:30:01Z ERROR failed\n');
+assert.strictEqual(textSniff.format, 'log');
+assert.ok(textSniff.confidence >= 0.8, 'Timestamped text should be a confident match');
+assert.ok(sniff('hello\nworld\n').confidence < 0.8, 'Unstructured text should ask for confirmation');
+assert.strictEqual(sniff('{"a":1}\n{"b":', { truncated: true }).candidates[0].format, 'ndjson', 'Partial last line is ignored');
+console.log('✓ Passed');
+
+// Test 11: Access log line parser
+console.log('Test 11: Access log parsing');
+reset();
+vm.runInContext("parserState.options = { format: 'access' }", context);
+parseChunk('10.0.0.1 - - [10/Oct/2000:13:55:36 -0700] "GET /missing HTTP/1.1" 404 0 "-" "curl/8.0"\n', false);
+parseChunk('10.0.0.2 - bob [10/Oct/2000:13:55:37 -0700] "POST /api HTTP/1.1" 503 12\n', true);
+
+rows = getRows();
+assert.strictEqual(rows.length, 2);
+assert.strictEqual(rows[0].ts, '2000-10-10T20:55:36.000Z');
+assert.strictEqual(rows[0].level, 'WARNING');
+assert.strictEqual(rows[0].message, 'GET /missing HTTP/1.1');
+assert.strictEqual(rows[0].fields.status, 404);
+assert.strictEqual(rows[0].fields.user_agent, 'curl/8.0');
+assert.strictEqual(rows[1].level, 'ERROR');
+assert.strictEqual(rows[1].fields.user, 'bob');
+console.log('✓ Passed');
+
+// Test 12: Syslog RFC 5424 and RFC 3164
+console.log('Test 12: Syslog parsing');
+reset();
+vm.runInContext("parserState.options = { format: 'syslog' }", context);
+parseChunk('<165>1 2003-10-11T22:14:15.003Z mymachine.example.com evntslog - ID47 [exampleSDID@32473 iut="3" eventSource="App\\"lication\\]"][origin ip="10.0.0.1"] An application event\n', false);
+parseChunk('<34>Oct 11 22:14:15 mymachine su[231]: \'su root\' failed for lonvick on /dev/pts/8\n', false);
+parseChunk('Oct 11 22:14:16 mymachine kernel: eth0 link up\n', true);
+
+rows = getRows();
+assert.strictEqual(rows.length, 3);
+assert.strictEqual(rows[0].ts, '2003-10-11T22:14:15.003Z');
+assert.strictEqual(rows[0].level, 'NOTICE', 'notice keeps its own level');
+assert.strictEqual(rows[0].message, 'An application event');
+assert.strictEqual(rows[0].fields.facility, 'local4');
+assert.strictEqual(rows[0].fields.severity, 'notice');
+assert.strictEqual(rows[0].fields.hostname, 'mymachine.example.com');
+assert.strictEqual(rows[0].fields.appname, 'evntslog');
+assert.strictEqual(rows[0].fields.procid, undefined, 'NILVALUE fields are omitted');
+assert.strictEqual(rows[0].fields.msgid, 'ID47');
+assert.strictEqual(rows[0].fields['sd.exampleSDID_32473.iut'], '3');
+assert.strictEqual(rows[0].fields['sd.exampleSDID_32473.eventSource'], 'App"lication]');
+assert.strictEqual(rows[0].fields['sd.origin.ip'], '10.0.0.1');
+assert.strictEqual(rows[1].level, 'CRITICAL');
+assert.strictEqual(rows[1].fields.facility, 'auth');
+assert.strictEqual(rows[1].fields.appname, 'su');
+assert.strictEqual(rows[1].fields.procid, '231');
+assert.ok(rows[1].ts, 'BSD timestamp should be parsed');
+assert.strictEqual(rows[2].fields.facility, undefined, 'No PRI, no facility');
+assert.strictEqual(rows[2].fields.appname, 'kernel');
+assert.strictEqual(rows[2].message, 'eth0 link up');
+console.log('✓ Passed');
+
+// Test 13: logfmt lines become one field per key
+console.log('Test 13: logfmt parsing');
+reset();
+vm.runInContext("parserState.options = { format: 'logfmt' }", context);
+parseChunk('time=2025-11-13T10:30:00Z level=warn msg="disk almost full" mount=/var used_pct=91\n', false);
+parseChunk('time=2025-11-13T10:30:01Z level=error msg=panic\n  goroutine 1 [running]:\n', true);
+
+rows = getRows();
+assert.strictEqual(rows.length, 2);
+assert.strictEqual(rows[0].ts, '2025-11-13T10:30:00.000Z');
+assert.strictEqual(rows[0].level, 'WARNING');
+assert.strictEqual(rows[0].message, 'disk almost full');
+assert.strictEqual(rows[0].fields.mount, '/var');
+assert.strictEqual(rows[0].fields.used_pct, '91');
+assert.ok(vm.runInContext("fieldNames.has('used_pct')", context), 'Keys should be registered as field names');
+assert.ok(rows[1].raw.includes('goroutine 1'), 'Indented lines still join the previous event');
+console.log('✓ Passed');
+
+// Test 14: Embedded JSON payloads are flattened into dotted fields
+console.log('Test 14: Embedded JSON payloads');
+reset();
+parseChunk('2025-11-13T10:30:00Z INFO request {"user":"a","latency_ms":42,"http":{"status":200}}\n', false);
+parseChunk('2025-11-13T10:30:01Z ERROR request {"user": broken}\n', true);
+
+rows = getRows();
+assert.strictEqual(rows.length, 2);
+assert.strictEqual(rows[0].fields.user, 'a');
+assert.strictEqual(rows[0].fields.latency_ms, 42);
+assert.strictEqual(rows[0].fields['http.status'], 200);
+assert.ok(rows[0].raw.endsWith('"http":{"status":200}}'), 'Raw text is kept intact');
+assert.ok(rows[1].fields.json_error, 'Rows with malformed JSON are marked');
+assert.strictEqual(rows[1].fields.user, undefined);
+console.log('✓ Passed');
+
+// Test 15: User multi-line rules carry across chunks
+console.log('Test 15: Multi-line rules');
+context.resetParserState({ multiline: [{ name: 'date start', start: '^\\d{4}-\\d{2}-\\d{2}', maxLines: 3 }] });
+parseChunk('2025-11-13T10:30:00Z ERROR query failed\nSELECT *\n', false);
+parseChunk('FROM users\nWHERE id = 1\n2025-11-13T10:30:01Z INFO ok\n', true);
+
+rows = getRows();
+assert.strictEqual(rows.length, 3, 'maxLines should cut the SQL event after 3 lines');
+assert.strictEqual(rows[0].raw, '2025-11-13T10:30:00Z ERROR query failed\nSELECT *\nFROM users');
+assert.strictEqual(rows[1].raw, 'WHERE id = 1');
+assert.strictEqual(rows[2].level, 'INFO');
+console.log('✓ Passed');
+
+// Test 16: Year inference for yearless syslog stamps across chunks
+console.log('Test 16: Year inference');
+const timestampFormats = vm.runInContext('TimestampFormats', context);
+context.resetParserState({ format: 'syslog' });
+timestampFormats.configure({ timezone: 'UTC' });
+timestampFormats.beginYearInference({ referenceDate: Date.UTC(2026, 9, 19) });
+parseChunk('<13>Dec 31 23:59:59 web01 cron[1]: rotate\n<13>Ja', false);
+parseChunk('n  1 00:00:01 web01 cron[1]: new year\n', true);
+timestampFormats.endYearInference();
+timestampFormats.configure({});
+
+rows = getRows();
+assert.strictEqual(rows[0].ts, '2025-12-31T23:59:59.000Z', 'December is before the October file date, so last year');
+assert.strictEqual(rows[0].inferredYear.source, 'file');
+assert.strictEqual(rows.length, 2);
+const newYear = rows[1];
+assert.strictEqual(newYear.ts, '2026-01-01T00:00:01.000Z', 'January after December rolls over');
+assert.strictEqual(newYear.inferredYear.rollover, true);
+console.log('✓ Passed');
+
+// Test 17: Appending streams (archive members) keeps earlier rows and tags each stream's rows
+console.log('Test 17: Appended streams with tag fields');
+const tagRows = vm.runInContext('tagStreamRows', context);
+context.resetParserState({ name: 'logs/a.log', tagFields: { member: 'logs/a.log' } });
+parseChunk('2025-11-13T10:30:00Z INFO a1\n2025-11-13T10:30:01Z INFO a2\n', true);
+tagRows();
+context.resetParserState({ format: 'ndjson', append: true, name: 'logs/b.ndjson', tagFields: { member: 'logs/b.ndjson' } });
+vm.runInContext("parseNDJSONChunk('{\"msg\":\"b1\"}\\nnot json\\n', true)", context);
+tagRows();
+
+rows = getRows();
+assert.strictEqual(rows.length, 3);
+assert.strictEqual(rows.map(r => r.fields.member).join(','), 'logs/a.log,logs/a.log,logs/b.ndjson');
+assert.strictEqual(rows.map(r => r.id).join(','), '1,2,3', 'Ids continue across appended streams');
+assert.strictEqual(rows.map(r => r.lineStart).join(','), '1,2,1', 'Line numbers restart per stream');
+const appendState = vm.runInContext('parserState', context);
+assert.strictEqual(appendState.errors[0].file, 'logs/b.ndjson', 'Errors name the stream they came from');
+assert.ok(vm.runInContext("fieldNames.has('member')", context));
+console.log('✓ Passed');
+
+// Test 18: Multi-file sessions tag rows with their source and can drop one source
+console.log('Test 18: Sources');
+context.resetParserState({ source: 'api.log' });
+parseChunk('2025-11-13T10:30:00Z INFO api up user=a\n', true);
+tagRows();
+context.resetParserState({ format: 'logfmt', append: true, source: 'worker.log' });
+parseChunk('level=warn msg="queue slow" depth=12\nlevel=info msg=ok\n', true);
+tagRows();
+
+let summary = vm.runInContext('datasetSummary()', context);
+assert.strictEqual(summary.sources.map(s => `${s.name}:${s.rowCount}:${s.color}`).join(','), 'api.log:1:0,worker.log:2:1');
+rows = getRows();
+assert.strictEqual(rows.map(r => r.source).join(','), 'api.log,worker.log,worker.log');
+
+vm.runInContext("removeSource('worker.log')", context);
+summary = vm.runInContext('datasetSummary()', context);
+assert.strictEqual(summary.rowCount, 1);
+assert.strictEqual(summary.sources.length, 1);
+assert.ok(!summary.fieldNames.includes('depth'), 'Fields only the removed source had are dropped');
+console.log('✓ Passed');
+
+// Test 19: Time-aligned merge keeps untimestamped rows with their event
+console.log('Test 19: Merge sources by time');
+vm.runInContext("resetParserState({ source: 'api.log', multiline: [{ start: '^\\\\d{4}', maxLines: 1 }] })", context);
+parseChunk('2025-11-13T10:30:00Z INFO a1\n\n2025-11-13T10:30:05Z ERROR a2\n  at handler\n', true);
+tagRows();
+context.resetParserState({ append: true, source: 'worker.log' });
+parseChunk('starting worker\n2025-11-13T10:30:02Z INFO w1\n2025-11-13T10:30:05Z INFO w2\n', true);
+tagRows();
+vm.runInContext('mergeSourcesByTime()', context);
+
+rows = getRows();
+assert.strictEqual(rows.map(r => r.raw.split('\n')[0]).join('|'),
+  '2025-11-13T10:30:00Z INFO a1|starting worker|2025-11-13T10:30:02Z INFO w1|2025-11-13T10:30:05Z ERROR a2|  at handler|2025-11-13T10:30:05Z INFO w2');
+assert.strictEqual(rows.map(r => r.id).join(','), '1,2,3,4,5,6', 'Ids follow the timeline');
+assert.strictEqual(rows.map(r => r.lineStart).join(','), '1,1,2,3,4,3', 'Original line numbers are kept');
+console.log('✓ Passed');
+
+// Test 20: Per-source clock offsets keep the parsed timestamp
+console.log('Test 20: Source clock offsets');
+vm.runInContext('setSourceOffset', context)('worker.log', 3000);
+rows = getRows();
+let w1 = rows.find(r => r.raw.endsWith(' w1'));
+assert.strictEqual(w1.ts, '2025-11-13T10:30:05.000Z');
+assert.strictEqual(w1.tsOriginal, '2025-11-13T10:30:02.000Z');
+assert.strictEqual(rows.find(r => r.raw.endsWith(' a1')).tsOriginal, undefined, 'Other sources are untouched');
+assert.strictEqual(vm.runInContext('datasetSummary()', context).sources[1].offsetMs, 3000);
+
+// Anchor a2 (api.log) to w2 (worker.log, now shown at 10:30:08) as the same moment
+const a2 = rows.find(r => r.raw.endsWith(' a2'));
+const w2 = rows.find(r => r.raw.endsWith(' w2'));
+assert.strictEqual(vm.runInContext('anchorSources', context)(w2.id, a2.id), 'api.log');
+assert.strictEqual(a2.ts, '2025-11-13T10:30:08.000Z', 'Anchored against the corrected time');
+assert.strictEqual(vm.runInContext('sources', context)[0].offsetMs, 3000);
+assert.throws(() => vm.runInContext('anchorSources', context)(w1.id, w2.id), /different files/);
+
+vm.runInContext('setSourceOffset', context)('worker.log', 0);
+assert.strictEqual(w1.ts, '2025-11-13T10:30:02.000Z');
+assert.strictEqual('tsOriginal' in w1, false, 'Clearing the offset restores the parsed timestamp');
+console.log('✓ Passed');
+
+// Test 21: Rows know their line range and byte range, across chunk splits, CRLF and multi-byte text
+console.log('Test 21: Line and byte offsets');
+context.resetParserState({});
+const offsetText = '2025-11-13T10:30:00Z ERROR boom\r\n  at café()\r\n\r\n2025-11-13T10:30:01Z INFO ✓ done';
+parseChunk(offsetText.slice(0, 40), false);
+parseChunk(offsetText.slice(40), true);
+rows = getRows();
+assert.strictEqual(rows.length, 2);
+assert.strictEqual([rows[0].lineStart, rows[0].lineEnd, rows[1].lineStart, rows[1].lineEnd].join(','), '1,2,4,4');
+const offsetBytes = Buffer.from(offsetText);
+assert.strictEqual(offsetBytes.subarray(rows[0].byteStart, rows[0].byteEnd).toString(), '2025-11-13T10:30:00Z ERROR boom\r\n  at café()');
+assert.strictEqual(offsetBytes.subarray(rows[1].byteStart, rows[1].byteEnd).toString(), '2025-11-13T10:30:01Z INFO ✓ done');
+
+context.resetParserState({ format: 'csv' });
+vm.runInContext("parseCSVChunk('ts,level,message\\n2025-11-13T10:30:00Z,INFO,\"two\\nlines\"\\n2025-11-13T10:30:01Z,INFO,one\\n', true)", context);
+rows = getRows();
+assert.strictEqual(rows.map(r => `${r.lineStart}-${r.lineEnd}`).join(','), '2-3,4-4', 'CSV records spanning lines');
+console.log('✓ Passed');
+
+// Test 22: Following a growing file keeps the open entry joinable and updates the view in place
+console.log('Test 22: Follow mode');
+context.resetParserState({ source: 'live.log' });
+parseChunk('2025-11-13T10:30:00Z INFO start\n2025-11-13T10:30:01Z ERROR boom\n', false);
+vm.runInContext("publishOpenEntry(); tagStreamRows(); appliedAdvancedQuery = parseAdvancedQuery('level:ERROR'); applyFilters({ field: 'id', order: 'asc' })", context);
+assert.strictEqual(getRows().length, 2, 'The open entry is shown before the file ends');
+assert.strictEqual(vm.runInContext('view.length', context), 1);
+
+const followChunk = vm.runInContext('followChunk', context);
+let update = followChunk('  at handler()\n2025-11-13T10:30:02Z ERROR ag', 'log');
+rows = getRows();
+assert.strictEqual(update.added, 0, 'A partial line waits for its newline');
+assert.strictEqual(rows[1].raw, '2025-11-13T10:30:01Z ERROR boom\n  at handler()', 'Continuation joins the open entry');
+assert.strictEqual(rows[1].lineEnd, 3);
+
+update = followChunk('ain\n2025-11-13T10:30:03Z INFO ok\n', 'log');
+assert.strictEqual(update.added, 2);
+assert.strictEqual(update.matched, 2, 'The grown entry is re-checked along with the new rows');
+assert.strictEqual(vm.runInContext("view.map(r => r.id).join(',')", context), '2,3');
+assert.strictEqual(getRows()[2].source, 'live.log', 'New rows are tagged with the source');
+
+update = vm.runInContext('endFollow', context)('log');
+assert.strictEqual(update.added, 0, 'The open entry is not added twice');
+assert.strictEqual(getRows().length, 4);
+vm.runInContext('appliedAdvancedQuery = null', context);
+console.log('✓ Passed');
+
+// Test 23: Byte ranges count in the file's encoding and skip its byte order mark
+console.log('Test 23: Byte ranges in other encodings');
+const utf16Text = '2025-11-13T10:30:00Z ERROR café\n2025-11-13T10:30:01Z INFO ok';
+context.resetParserState({ encoding: 'utf-16le', bomLength: 2 });
+parseChunk(utf16Text, true);
+rows = getRows();
+const utf16Bytes = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(utf16Text, 'utf16le')]);
+assert.strictEqual(utf16Bytes.subarray(rows[0].byteStart, rows[0].byteEnd).toString('utf16le'), '2025-11-13T10:30:00Z ERROR café');
+assert.strictEqual(utf16Bytes.subarray(rows[1].byteStart, rows[1].byteEnd).toString('utf16le'), '2025-11-13T10:30:01Z INFO ok');
+
+context.resetParserState({ encoding: 'windows-1252' });
+parseChunk(utf16Text, true);
+rows = getRows();
+assert.strictEqual([rows[1].byteStart, rows[1].byteEnd].join(','), '32,60', 'One byte per character');
+console.log('✓ Passed');
+
+// Test 24: Levels from text prefixes, numeric JSON levels and CSV columns get their place on the scale
+console.log('Test 24: Level model');
+context.resetParserState({});
+parseChunk('2025-11-13T10:30:00Z Fetched INFORMATION about ERRORS\n2025-11-13T10:30:01Z [W] slow\n2025-11-13T10:30:02Z SEVERE disk\n', true);
+rows = getRows();
+assert.strictEqual(rows.map(r => `${r.level}/${r.levelNum}`).join(','), '/null,WARNING/40,ERROR/50');
+
+context.resetParserState({ format: 'ndjson' });
+context.parseNDJSONChunk('{"level":30,"msg":"pino info"}\n{"level":60,"msg":"pino fatal"}\n', true);
+rows = getRows();
+assert.strictEqual(rows.map(r => `${r.level}/${r.levelNum}`).join(','), 'INFO/30,FATAL/60');
+
+context.resetParserState({ format: 'csv' });
+vm.runInContext("parseCSVChunk('ts,severity,message\\n2025-11-13T10:30:00Z,crit,down\\n', true)", context);
+rows = getRows();
+assert.strictEqual(`${rows[0].level}/${rows[0].levelNum}`, 'CRITICAL/55');
+console.log('✓ Passed');
+
+// Test 25: A file's own ids become a field, so appended files never share row ids
+console.log('Test 25: Row ids across appended files');
+context.resetParserState({ format: 'ndjson', source: 'a.ndjson' });
+context.parseNDJSONChunk('{"id":1,"msg":"a1"}\n{"id":2,"msg":"a2"}\n', true);
+context.resetParserState({ format: 'csv', append: true, source: 'b.csv' });
+vm.runInContext("parseCSVChunk('id,message\\n1,b1\\n2,b2\\n', true)", context);
+rows = getRows();
+assert.strictEqual(rows.map(r => r.id).join(','), '1,2,3,4');
+assert.strictEqual(rows.map(r => r.fields.id).join(','), '1,2,1,2', 'The file\'s id is kept as a field');
+console.log('✓ Passed');
+
+// Test 26: Max bytes per event counts the bytes of multi-byte text
+console.log('Test 26: Multi-line byte limit');
+vm.runInContext("resetParserState({ multiline: [{ start: '^START', maxBytes: 16 }] })", context);
+parseChunk('START\nüüü\nüüü\n', true);
+rows = getRows();
+assert.strictEqual(rows.map(r => r.raw).join('|'), 'START\nüüü|üüü', 'Six characters but twelve bytes');
+console.log('✓ Passed');
+
 console.log('All chunked parsing tests passed! 🎉');
@@ -39,3 +39,27 @@ runTest('runSingleExtractor (Invalid Regex)', () => {
     const hits = runSingleExtractor('(?<invalid', rows);
     assert.strictEqual(hits, 0);
 });
+
+runTest('parseLogfmt (Quoted and Bare Values)', () => {
+    const pairs = parseLogfmt('level=info msg="user \\"a\\" logged in" user=test1 empty= path=/a?x=1');
+    assert.strictEqual(pairs.level, 'info');
+    assert.strictEqual(pairs.msg, 'user "a" logged in');
+    assert.strictEqual(pairs.user, 'test1');
+    assert.strictEqual(pairs.empty, '');
+    assert.strictEqual(pairs.path, '/a?x=1');
+});
+
+runTest('runMultipleExtractors (logfmt type)', () => {
+    if (typeof fieldNames === 'undefined') global.fieldNames = new Set();
+    const rows = [
+        { raw: '2025-11-13T10:30:00Z INFO Processing user=test1 request_id=req-1', level: 'INFO', message: 'Processing user=test1 request_id=req-1', fields: {} },
+        { raw: 'no pairs here', fields: {} }
+    ];
+    const results = runMultipleExtractors([{ id: 'kv', name: 'logfmt', type: 'logfmt' }], rows);
+
+    assert.strictEqual(results.total, 1);
+    assert.strictEqual(rows[0].fields.user, 'test1', 'Each pair should become its own field');
+    assert.strictEqual(rows[0].fields.request_id, 'req-1');
+    assert.strictEqual(rows[0].message, 'Processing user=test1 request_id=req-1', 'Message is kept without a msg key');
+    assert.deepStrictEqual(Object.keys(rows[1].fields), []);
+});
@@ -9,6 +9,47 @@ runTest('guessLevel', () => {
     assert.strictEqual(guessLevel('Just a plain message'), '');
 });
 
+runTest('guessLevel (prefix only)', () => {
+    assert.strictEqual(guessLevel('Fetched INFORMATION about ERRORS'), '');
+    assert.strictEqual(guessLevel('Retrying after an error'), '');
+    assert.strictEqual(guessLevel('- root - SEVERE - Disk failed'), 'ERROR');
+    assert.strictEqual(guessLevel('[main] NOTICE config reloaded'), 'NOTICE');
+    assert.strictEqual(guessLevel('TRACE entering handler'), 'TRACE');
+    assert.strictEqual(guessLevel('[W] slow query'), 'WARNING');
+    assert.strictEqual(guessLevel('E1015 10:30:00.123456 42 main.go:10] boom'), 'ERROR');
+    assert.strictEqual(guessLevel('E/ActivityManager( 123): crash'), 'ERROR');
+    assert.strictEqual(guessLevel('W/chromium: slow frame'), 'WARNING');
+    assert.strictEqual(guessLevel('kernel: I/O error, dev sda'), 'ERROR', 'I/O is not a logcat prefix');
+    assert.strictEqual(guessLevel('Starting A/B experiment rollout'), '');
+    assert.strictEqual(guessLevel('A/B test started'), '');
+    assert.strictEqual(guessLevel('level=30 msg=ok'), 'INFO');
+    assert.strictEqual(guessLevel('I think so'), '', 'Bare single letters are words');
+    assert.strictEqual(guessLevel('a b c d e f ERROR'), '', 'Too far into the line');
+});
+
+runTest('LogLevels', () => {
+    assert.strictEqual(LogLevels.normalize('warn'), 'WARNING');
+    assert.strictEqual(LogLevels.normalize(50), 'ERROR');
+    assert.strictEqual(LogLevels.normalize('35'), '35', 'Unmapped numbers stay as they are');
+    assert.strictEqual(LogLevels.normalize('audit'), 'AUDIT');
+    assert.strictEqual(LogLevels.rank('WARNING'), 40);
+    assert.strictEqual(LogLevels.rank('AUDIT'), null);
+
+    const row = LogLevels.apply({}, 60);
+    assert.strictEqual(row.level, 'FATAL');
+    assert.strictEqual(row.levelNum, 60);
+
+    LogLevels.configure({ aliases: [{ value: 'audit', level: 'NOTICE' }, { value: '35', level: 'NOTICE' }, { value: 'x', level: 'NOPE' }] });
+    try {
+        assert.strictEqual(LogLevels.normalize('Audit'), 'NOTICE');
+        assert.strictEqual(LogLevels.normalize(35), 'NOTICE');
+        assert.strictEqual(LogLevels.normalize('x'), 'X', 'Mappings onto unknown levels are ignored');
+        assert.strictEqual(guessLevel('AUDIT user login'), 'NOTICE');
+    } finally {
+        LogLevels.configure();
+    }
+});
+
 runTest('tryTs (ISO-ish)', () => {
     const ts = tryTs('2023-11-19 12:34:56.789 [INFO] Message');
     // Check minutes and seconds which are usually stable across timezones (except weird ones)
@@ -29,6 +70,14 @@ runTest('stripPrefix', () => {
     assert.strictEqual(stripPrefix('Oct 28 11:11:15 Msg'), 'Msg');
 });
 
+runTest('splitTimestamp', () => {
+    const lines = ['2023-01-01 10:00:00 [INFO] Msg', '[2023-01-01 10:00:00] Msg', 'Oct 28 11:11:15 Msg',
+        'user saw 2023-01-01 10:00:00 in the report', '    at Foo.bar(Foo.java:12)', ''];
+    for (const line of lines) {
+        assert.deepStrictEqual({ ...splitTimestamp(line) }, { ts: tryTs(line), message: stripPrefix(line) }, line);
+    }
+});
+
 runTest('isContinuationLine', () => {
     assert.strictEqual(isContinuationLine('2023-01-01 10:00:00 New Event'), false);
     assert.strictEqual(isContinuationLine('  at com.example.MyClass.method(MyClass.java:123)'), true);
@@ -38,3 +87,247 @@ runTest('isContinuationLine', () => {
     // Unindented exception is treated as a new event start
     assert.strictEqual(isContinuationLine('ValueError: invalid literal'), false);
 });
+
+runTest('findEmbeddedJSON', () => {
+    const found = findEmbeddedJSON('request {"user":"a","note":"x}y","latency_ms":42} done');
+    assert.strictEqual(found.value.user, 'a');
+    assert.strictEqual(found.value.note, 'x}y', 'Braces inside strings are ignored');
+    assert.strictEqual(found.value.latency_ms, 42);
+    assert.strictEqual(found.start, 8);
+
+    assert.strictEqual(findEmbeddedJSON('Hello {user}, welcome'), null, 'Templated braces are not JSON');
+    assert.strictEqual(findEmbeddedJSON('no payload'), null);
+    assert.ok(findEmbeddedJSON('bad {"user": a}').error, 'Invalid JSON is reported');
+    assert.strictEqual(findEmbeddedJSON('cut {"user": "a"').error, 'Unterminated JSON object');
+});
+
+runTest('flattenObject', () => {
+    const flat = flattenObject({ http: { status: 500, req: { path: '/a' } }, tags: ['x', 'y'], empty: {}, n: null });
+    assert.strictEqual(flat['http.status'], 500);
+    assert.strictEqual(flat['http.req.path'], '/a');
+    assert.strictEqual(flat.tags.length, 2, 'Arrays are kept whole');
+    assert.strictEqual(flat.n, null);
+    assert.ok(!('empty' in flat), 'Empty objects are dropped');
+});
+
+runTest('Multi-line rules (start / continue / limits)', () => {
+    // Start rule: every line that does not start with a date joins the event (SQL at column 0)
+    const sql = '2025-11-13 10:30:00 ERROR query failed\nSELECT *\nFROM users\n2025-11-13 10:30:01 INFO ok';
+    const startRules = compileMultilineRules([{ name: 'date start', start: '^\\d{4}-\\d{2}-\\d{2}' }]);
+    assert.strictEqual(groupLinesIntoEvents(sql, startRules).map(e => e.length).join(','), '3,1');
+    assert.strictEqual(groupLinesIntoEvents(sql, null).length, 4, 'Built-ins alone split column-0 SQL');
+
+    // Continue rule: Go panic lines join, other lines fall back to built-ins
+    const panic = 'panic: boom\ngoroutine 1 [running]:\nmain.main()\n\tmain.go:5\nnext event';
+    const contRules = compileMultilineRules([{ name: 'go', continue: '^(goroutine |main\\.)' }]);
+    assert.strictEqual(groupLinesIntoEvents(panic, contRules).map(e => e.length).join(','), '4,1');
+
+    // Limits split long events; disabled and invalid rules are ignored
+    const limited = compileMultilineRules([
+        { name: 'cap', start: '^START', maxLines: 2 },
+        { name: 'off', continue: '.*', enabled: false },
+        { name: 'bad', continue: '(' }
+    ]);
+    assert.strictEqual(limited.continue.length, 0);
+    const halfBad = compileMultilineRules([{ name: 'half', start: '^S', continue: '(', maxLines: 3 }]);
+    assert.strictEqual(halfBad.start.length, 0, 'A rule with one bad pattern is skipped whole');
+    assert.strictEqual(halfBad.maxLines, 0);
+    assert.strictEqual(groupLinesIntoEvents('START\na\nb\nc', limited).map(e => e.length).join(','), '2,2');
+    assert.strictEqual(continuesEvent('x', { lines: 1, bytes: 10 }, compileMultilineRules([{ start: '^S', maxBytes: 11 }])), false);
+    const byteCap = compileMultilineRules([{ start: '^S', maxBytes: 12 }]);
+    assert.strictEqual(continuesEvent('é', { lines: 1, bytes: 9 }, byteCap), true);
+    assert.strictEqual(continuesEvent('éé', { lines: 1, bytes: 9 }, byteCap), false, 'Multi-byte text counts in bytes');
+    assert.strictEqual(groupLinesIntoEvents('START\nüüü', compileMultilineRules([{ start: '^S', maxBytes: 11 }])).length, 2);
+});
+
+runTest('TimestampFormats (built-ins)', () => {
+    assert.strictEqual(tryTs('[10/Oct/2000:13:55:36 -0700] "GET /"'), '2000-10-10T20:55:36.000Z');
+    assert.strictEqual(tryTs('1763029800 job done'), '2025-11-13T10:30:00.000Z');
+    assert.strictEqual(tryTs('1763029800123 job done'), '2025-11-13T10:30:00.123Z');
+    assert.strictEqual(tryTs('2025-11-13T10:30:00.5+02:00 INFO x'), '2025-11-13T08:30:00.500Z', 'Offsets are honoured');
+    assert.strictEqual(tryTs('request id 1763029800 done'), '', 'Epoch numbers inside a message are ignored');
+
+    TimestampFormats.configure({ timezone: 'UTC' });
+    assert.strictEqual(tryTs('13/11/2025 14:30:00 started'), '2025-11-13T14:30:00.000Z');
+    assert.strictEqual(tryTs('11/13/2025 2:30:05 PM Event 4624'), '2025-11-13T14:30:05.000Z');
+    assert.strictEqual(parseTimestampToISO('2025-11-13 10:30:00'), '2025-11-13T10:30:00.000Z');
+    assert.ok(tryTs('10:30:00.250 worker ready').endsWith('T10:30:00.250Z'), 'Time-only stamps get today\'s date');
+    assert.strictEqual(stripPrefix('1763029800 job done'), 'job done');
+    assert.strictEqual(stripPrefix('2025-11-13T10:30:00Z INFO x'), 'INFO x');
+    assert.strictEqual(tryTs('13.03.2024 started'), '2024-03-13T00:00:00.000Z', 'A leading date needs no time');
+    assert.strictEqual(tryTs('job ran 13.03.2024 14:30:00 ok'), '2024-03-13T14:30:00.000Z');
+    assert.strictEqual(tryTs('Deployed build 12.03.2024 to prod'), '', 'Version-like dates inside a message are ignored');
+    assert.strictEqual(tryTs('GET /api/v1.2.2023 200'), '');
+    assert.strictEqual(tryTs('release 1.2.2023 12:00:00.5.1 built'), '');
+    TimestampFormats.configure({});
+});
+
+runTest('TimestampFormats (timezones and custom formats)', () => {
+    TimestampFormats.configure({ timezone: '+05:30' });
+    assert.strictEqual(parseTimestampToISO('2025-11-13 10:30:00'), '2025-11-13T05:00:00.000Z');
+
+    TimestampFormats.configure({ timezone: 'America/New_York' });
+    assert.strictEqual(parseTimestampToISO('2025-07-01 12:00:00'), '2025-07-01T16:00:00.000Z', 'DST offset');
+    assert.strictEqual(parseTimestampToISO('2025-12-01 12:00:00'), '2025-12-01T17:00:00.000Z', 'Standard offset');
+
+    TimestampFormats.configure({ timezone: 'Not/AZone' });
+    assert.strictEqual(TimestampFormats.timezone, 'local', 'Unknown zones fall back to local');
+
+    TimestampFormats.configure({
+        timezone: 'UTC',
+        formats: [{ id: 'a', format: '%d-%b-%Y %H:%M:%S.%f' }, { id: 'b', format: '%Q' }]
+    });
+    assert.strictEqual(TimestampFormats.custom.length, 1, 'Invalid formats are skipped');
+    assert.strictEqual(tryTs('billing 13-Nov-2025 10:30:00.123 charged'), '2025-11-13T10:30:00.123Z');
+    assert.throws(() => TimestampFormats.compile('no directives'));
+    TimestampFormats.configure({});
+});
+
+runTest('TimestampFormats (year inference)', () => {
+    TimestampFormats.configure({ timezone: 'UTC' });
+
+    // File modified in March 2026: a December stamp belongs to 2025, then rolls over into 2026
+    TimestampFormats.beginYearInference({ referenceDate: Date.UTC(2026, 2, 1) });
+    assert.strictEqual(tryTs('Dec 31 23:59:58 host app: a'), '2025-12-31T23:59:58.000Z');
+    assert.deepStrictEqual(TimestampFormats.lastInferredYear, { year: 2025, source: 'file', rollover: false });
+    assert.strictEqual(tryTs('Jan  1 00:00:02 host app: b'), '2026-01-01T00:00:02.000Z');
+    assert.deepStrictEqual(TimestampFormats.lastInferredYear, { year: 2026, source: 'file', rollover: true });
+    assert.strictEqual(tryTs('Dec 31 23:59:59 host app: late'), '2026-12-31T23:59:59.000Z', 'The year never goes backwards');
+    TimestampFormats.endYearInference();
+
+    TimestampFormats.beginYearInference({ anchorYear: 2019, referenceDate: Date.UTC(2026, 2, 1) });
+    assert.strictEqual(tryTs('Oct 28 11:11:15 host app: c'), '2019-10-28T11:11:15.000Z');
+    assert.strictEqual(TimestampFormats.lastInferredYear.source, 'anchor');
+    TimestampFormats.endYearInference();
+
+    assert.strictEqual(TimestampFormats.yearContext, null);
+    TimestampFormats.configure({});
+});
+
+/**
+ * Build a ustar header for tests
+ */
+function tarHeader(name, size, type = '0') {
+    const b = new Uint8Array(512);
+    const put = (str, at) => { for (let i = 0; i < str.length; i++) b[at + i] = str.charCodeAt(i); };
+    put(name, 0);
+    put(size.toString(8).padStart(11, '0'), 124);
+    put('15105331450', 136);
+    b[156] = type.charCodeAt(0);
+    put('ustar\0' + '00', 257);
+    let sum = 0;
+    for (let i = 0; i < 512; i++) sum += (i >= 148 && i < 156) ? 32 : b[i];
+    put(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+    return b;
+}
+
+runTest('createTarReader', () => {
+    const content = new Uint8Array(512);
+    content.set([104, 101, 108, 108, 111]); // "hello"
+    const tar = concatBytes([
+        tarHeader('logs/', 0, '5'), tarHeader('logs/a.log', 5), content,
+        tarHeader('logs/empty.log', 0), new Uint8Array(1024)
+    ]);
+    assert.ok(isTarHeader(tar.subarray(512, 1024)));
+    assert.ok(!isTarHeader(new Uint8Array(512)), 'A zero block is not a header');
+
+    const reader = createTarReader();
+    const events = [];
+    for (let i = 0; i < tar.length; i += 100) events.push(...reader.push(tar.subarray(i, i + 100)));
+    assert.deepStrictEqual(events.filter(e => e.type === 'entry').map(e => e.entry.path), ['logs/a.log', 'logs/empty.log']);
+    const data = concatBytes(events.filter(e => e.type === 'data').map(e => e.bytes));
+    assert.strictEqual(new TextDecoder().decode(data), 'hello');
+    assert.strictEqual(events.filter(e => e.type === 'end').length, 2);
+    assert.strictEqual(events[0].entry.mtime, 1763029800000);
+    assert.ok(reader.done);
+});
+
+runTest('Zip central directory', () => {
+    // One stored member "a.log" containing "hi\n", written without a data descriptor
+    const name = [97, 46, 108, 111, 103];
+    const bytes = [];
+    const u16 = n => bytes.push(n & 0xff, n >> 8);
+    const u32 = n => { u16(n & 0xffff); u16(n >>> 16); };
+    u32(0x04034b50); u16(20); u16(0); u16(0); u16(0); u16(0); u32(0); u32(3); u32(3); u16(5); u16(0);
+    bytes.push(...name, 104, 105, 10);
+    const cdOffset = bytes.length;
+    u32(0x02014b50); u16(20); u16(20); u16(0x800); u16(0); u16(0); u16(0); u32(0); u32(3); u32(3);
+    u16(5); u16(0); u16(0); u16(0); u16(0); u32(0); u32(0);
+    bytes.push(...name);
+    const cdSize = bytes.length - cdOffset;
+    u32(0x06054b50); u16(0); u16(0); u16(1); u16(1); u32(cdSize); u32(cdOffset); u16(0);
+    const zip = new Uint8Array(bytes);
+
+    const end = readZipEndRecord(zip);
+    assert.deepStrictEqual({ ...end }, { count: 1, cdSize, cdOffset });
+    const [entry] = parseZipCentralDirectory(zip.subarray(cdOffset, cdOffset + cdSize));
+    assert.strictEqual(entry.path, 'a.log');
+    assert.strictEqual(entry.method, 0);
+    assert.strictEqual(entry.size, 3);
+    const start = entry.offset + zipLocalDataOffset(zip.subarray(entry.offset, entry.offset + 30));
+    assert.strictEqual(new TextDecoder().decode(zip.subarray(start, start + entry.compressedSize)), 'hi\n');
+    assert.strictEqual(readZipEndRecord(new Uint8Array(40)), null);
+});
+
+runTest('Durations and timestamp shifts', () => {
+    assert.strictEqual(parseDuration('+2.5s'), 2500);
+    assert.strictEqual(parseDuration('-1m30s'), -90000);
+    assert.strictEqual(parseDuration('250ms'), 250);
+    assert.strictEqual(parseDuration('1h 5m'), 3900000);
+    assert.strictEqual(parseDuration('-3'), -3000);
+    assert.strictEqual(parseDuration('soon'), null);
+    assert.strictEqual(parseDuration(''), null);
+    assert.strictEqual(formatDuration(-90000), '-1m30s');
+    assert.strictEqual(formatDuration(2500), '+2s500ms');
+    assert.strictEqual(formatDuration(0), '0s');
+    assert.strictEqual(parseDuration(formatDuration(3723004)), 3723004);
+    assert.strictEqual(shiftTimestamp('2025-11-13T10:00:00.000Z', -1500), '2025-11-13T09:59:58.500Z');
+    assert.strictEqual(shiftTimestamp('', 1000), '');
+});
+
+runTest('utf8ByteLength', () => {
+    for (const text of ['', 'plain', 'café', '✓ done', 'emoji 😀 here', 'lone \ud800 surrogate']) {
+        assert.strictEqual(utf8ByteLength(text), new TextEncoder().encode(text).length, text);
+    }
+});
+
+runTest('detectEncoding', () => {
+    const ascii = new TextEncoder().encode('2025-01-01 INFO service started\n');
+    const utf16le = new Uint8Array(ascii.length * 2);
+    ascii.forEach((b, i) => { utf16le[i * 2] = b; });
+    const utf16be = new Uint8Array(ascii.length * 2);
+    ascii.forEach((b, i) => { utf16be[i * 2 + 1] = b; });
+
+    assert.deepStrictEqual(detectBOM(new Uint8Array([0xEF, 0xBB, 0xBF, 0x41])), { encoding: 'utf-8', length: 3 });
+    assert.strictEqual(detectBOM(ascii), null);
+    const bom = detectEncoding(new Uint8Array([0xFF, 0xFE, ...utf16le]));
+    assert.strictEqual(bom.encoding, 'utf-16le');
+    assert.strictEqual(bom.bomLength, 2);
+    assert.strictEqual(detectEncoding(utf16le).encoding, 'utf-16le');
+    assert.strictEqual(detectEncoding(utf16be).encoding, 'utf-16be');
+    assert.strictEqual(detectEncoding(ascii).encoding, 'utf-8');
+
+    const cafe = new TextEncoder().encode('café au lait');
+    assert.strictEqual(detectEncoding(cafe).encoding, 'utf-8');
+    assert.strictEqual(detectEncoding(cafe.subarray(0, 4), true).encoding, 'utf-8', 'A character cut off at the end is fine');
+    assert.strictEqual(detectEncoding(new Uint8Array([0x63, 0x61, 0x66, 0xE9, 0x20, 0x61])).encoding, 'windows-1252');
+
+    assert.strictEqual(encodedByteLength('café', 'utf-8'), 5);
+    assert.strictEqual(encodedByteLength('café', 'utf-16le'), 8);
+    assert.strictEqual(encodedByteLength('café', 'windows-1252'), 4);
+});
+
+runTest('globToRegExp', () => {
+    const logs = globToRegExp('*.log*');
+    assert.ok(logs.test('app.log'));
+    assert.ok(logs.test('app.log.1.gz'));
+    assert.ok(logs.test('APP.LOG'));
+    assert.ok(!logs.test('notes.txt'));
+    const apps = globToRegExp('{app,worker}.log.? error[0-9].txt');
+    assert.ok(apps.test('worker.log.2'));
+    assert.ok(!apps.test('api.log.2'));
+    assert.ok(apps.test('error7.txt'));
+    assert.ok(!apps.test('errorX.txt'));
+    assert.ok(globToRegExp('a+b(1).log').test('a+b(1).log'), 'Regex characters are literal');
+    assert.ok(globToRegExp('').test('anything'));
+});
@@ -121,3 +121,241 @@ runTest('Global Search', () => {
     assert.strictEqual(ast3.right.field, 'raw');
     assert.strictEqual(ast3.right.value, 'fatal');
 });
+
+runTest('Dotted Field Names', () => {
+    const p1 = new QueryParser('sd.origin.ip:10.0.0.1');
+    const ast1 = p1.parse();
+    assert.strictEqual(ast1.field, 'sd.origin.ip');
+    assert.strictEqual(ast1.value, '10.0.0.1');
+
+    const p2 = new QueryParser('http.status>=500');
+    const ast2 = p2.parse();
+    assert.strictEqual(ast2.field, 'http.status');
+    assert.strictEqual(ast2.operator, 'greaterOrEqual');
+});
+
+runTest('Source Attribute', () => {
+    const ast = new QueryParser('source:api.log level:ERROR').parse();
+    assert.strictEqual(ast.left.field, 'source');
+    assert.strictEqual(ast.left.value, 'api.log');
+
+    const row = { source: 'api.log', level: 'ERROR', fields: {} };
+    assert.strictEqual(evaluateAST(row, ast), true);
+    assert.strictEqual(evaluateAST({ ...row, source: 'worker.log' }, ast), false);
+
+    const kafka = new QueryParser('source:kafka').parse();
+    assert.strictEqual(evaluateAST({ source: 'app.log', fields: { source: 'kafka' } }, kafka), true, 'A parsed source field wins');
+    assert.strictEqual(evaluateAST({ source: 'kafka.log', fields: { source: 'db' } }, kafka), false);
+});
+
+runTest('Line Attribute', () => {
+    const row = { lineStart: 120, lineEnd: 134, fields: {} };
+    const match = q => evaluateAST(row, new QueryParser(q).parse());
+    assert.strictEqual(match('line:125'), true);
+    assert.strictEqual(match('line=119'), false);
+    assert.strictEqual(match('line>100'), true);
+    assert.strictEqual(match('line>120'), false);
+    assert.strictEqual(match('line<=134'), true);
+    assert.strictEqual(match('line<134'), false);
+    assert.strictEqual(match('has:line'), true);
+    assert.strictEqual(evaluateAST({ fields: {} }, new QueryParser('line>0').parse()), false);
+
+    const zap = { lineStart: 7, lineEnd: 7, fields: { line: 42 } };
+    assert.strictEqual(evaluateAST(zap, new QueryParser('line:42').parse()), true, 'A parsed line field wins');
+    assert.strictEqual(evaluateAST(zap, new QueryParser('line<10').parse()), false);
+});
+
+runTest('Level Severity Comparisons', () => {
+    const match = (level, q) => evaluateAST({ level, fields: {} }, new QueryParser(q).parse());
+    assert.strictEqual(new QueryParser('level>=WARNING').parse().operator, 'atLeast');
+    assert.strictEqual(match('ERROR', 'level>=WARNING'), true);
+    assert.strictEqual(match('WARNING', 'level>=WARN'), true);
+    assert.strictEqual(match('INFO', 'level>=WARNING'), false);
+    assert.strictEqual(match('DEBUG', 'level<ERROR'), true);
+    assert.strictEqual(match('FATAL', 'level<ERROR'), false);
+    assert.strictEqual(match('ERROR', 'level>40'), true);
+    assert.strictEqual(match('NOTICE', 'level<=INFO'), false);
+    assert.strictEqual(match('ERROR', 'level:IN(WARN, E)'), true);
+    assert.strictEqual(match('INFO', 'level:IN(WARN, E)'), false);
+    assert.strictEqual(match(null, 'level>=TRACE'), false);
+    // Other fields keep numeric comparisons
+    assert.strictEqual(new QueryParser('latency>=100').parse().operator, 'greaterOrEqual');
+});
+
+runTest('Relative Time Expressions', () => {
+    const rows = [
+        { ts: '2025-11-13T10:30:00.000Z', fields: {} },
+        { ts: '2025-11-13T10:30:10.000Z', fields: {} },
+        { ts: '2025-11-13T10:40:00.000Z', fields: {} }
+    ];
+    TimeAnchors.capture(rows);
+    TimeAnchors.now = Date.parse('2025-11-13T10:45:00Z');
+    const matching = q => {
+        const ast = new QueryParser(q).parse();
+        return rows.filter(r => evaluateAST(r, ast)).length;
+    };
+
+    assert.strictEqual(new QueryParser('ts>now-15m').parse().operator, 'after');
+    assert.strictEqual(matching('ts>now-15m'), 2);
+    assert.strictEqual(matching('ts>=@first+10s'), 2);
+    assert.strictEqual(matching('ts<=@first+10s'), 2);
+    assert.strictEqual(matching('ts<@last'), 2);
+    assert.strictEqual(matching('ts:between(now-1h, @first+5m)'), 2);
+    assert.strictEqual(matching('ts:around("2025-11-13T10:30:10Z", 30s)'), 2);
+    assert.strictEqual(matching('ts:around(@last, 1m)'), 1);
+
+    const around = new QueryParser('ts:around("2025-11-13T10:30:10Z", 30s)').parse();
+    assert.deepStrictEqual(around.value, ['2025-11-13T10:30:10Z', '30s']);
+
+    // Unknown anchors and malformed offsets match nothing
+    assert.strictEqual(matching('ts>@middle'), 0);
+    assert.strictEqual(matching('ts>now-soon'), 0);
+
+    assert.ok(!isNaN(TimeAnchors.resolve('@first')));
+    TimeAnchors.capture([{ ts: '' }]);
+    assert.ok(isNaN(TimeAnchors.resolve('@first')));
+});
+
+runTest('Builder Groups compile to the parser AST', () => {
+    const rule = (field, operator, value) => ({ id: field + value, type: 'rule', field, operator, value, enabled: true });
+    const inner = { id: 'g2', type: 'group', logic: 'OR', negate: false, children: [rule('app', 'contains', 'api'), rule('app', 'contains', 'web')] };
+    const root = { id: 'g1', type: 'group', logic: 'AND', negate: false, children: [rule('level', 'contains', 'ERROR'), inner] };
+
+    const strip = node => JSON.parse(JSON.stringify(node));
+    const parsed = new QueryParser('level:ERROR AND (app:api OR app:web)').parse();
+    assert.deepStrictEqual(strip(builderToAST(root)), strip(parsed));
+
+    // Negated groups, disabled rules and empty groups
+    inner.negate = true;
+    root.children.push({ ...rule('msg', 'contains', 'x'), enabled: false }, { id: 'g3', type: 'group', logic: 'AND', children: [] });
+    assert.deepStrictEqual(strip(builderToAST(root)), strip(new QueryParser('level:ERROR AND NOT (app:api OR app:web)').parse()));
+    assert.strictEqual(builderToAST({ type: 'group', logic: 'AND', children: [] }), null);
+});
+
+runTest('AST to Builder Groups and back', () => {
+    const queries = [
+        'level:ERROR AND (app:api OR app:web)',
+        'level>=WARNING OR NOT (ts>now-15m AND msg:"connection failed")',
+        'a:1 AND b:2 AND c:3 OR d:4',
+        'timeout',
+        'has:user AND missing:trace AND user:admin* AND path:^/api AND code:IN(500, 502)',
+        'ts:between(now-1h, now) AND ts:around("2025-11-13 10:30:10", 30s) AND msg:"/fatal error/"'
+    ];
+    const strip = node => JSON.parse(JSON.stringify(node));
+    for (const q of queries) {
+        const ast = new QueryParser(q).parse();
+        const root = astToBuilder(ast);
+        assert.strictEqual(root.type, 'group', q);
+        const text = QueryParser.stringify(builderToAST(root));
+        assert.deepStrictEqual(strip(new QueryParser(text).parse()), strip(builderToAST(root)), q + ' -> ' + text);
+    }
+
+    // Chains of one operator become one group; NOT becomes a negated group
+    const root = astToBuilder(new QueryParser('a:1 AND b:2 AND NOT c:3').parse());
+    assert.strictEqual(root.logic, 'AND');
+    assert.strictEqual(root.children.length, 3);
+    assert.strictEqual(root.children[2].type, 'group');
+    assert.strictEqual(root.children[2].negate, true);
+    assert.strictEqual(countBuilderRules(root), 3);
+    assert.strictEqual(QueryParser.stringify(builderToAST(astToBuilder(null))), '');
+});
+
+runTest('Builder rules with odd field names and quotes survive text and back', () => {
+    const rule = (field, operator, value) => ({ id: field, type: 'rule', field, operator, value, enabled: true });
+    const root = {
+        id: 'g1', type: 'group', logic: 'AND', negate: false, children: [
+            rule('user-agent', 'contains', 'curl'),
+            rule('sd.origin@123.ip', 'equals', '10.0.0.1'),
+            rule('msg', 'contains', 'said "hi" (twice)'),
+            rule('path', 'equals', 'C:\\logs\\"app"'),
+            rule('http status', 'notEquals', '500'),
+            rule('code', 'in', '"a,b", c"d'),
+            rule('trace-id', 'notEmpty', ''),
+            rule('raw', 'contains', 'x:"y"')
+        ]
+    };
+    const text = QueryParser.stringify(builderToAST(root));
+    assert.ok(text.startsWith('"user-agent":curl AND "sd.origin@123.ip"=10.0.0.1'), text);
+    const back = queryToBuilder(text);
+    assert.deepStrictEqual(back.warnings, []);
+    assert.deepStrictEqual(
+        back.root.children.map(({ field, operator, value }) => ({ field, operator, value: splitArgs(value) })),
+        root.children.map(({ field, operator, value }) => ({ field, operator, value: splitArgs(value) }))
+    );
+    assert.strictEqual(evaluateAST({ fields: { 'user-agent': 'curl/8.0' } }, new QueryParser('"user-agent":curl').parse()), true);
+});
+
+runTest('Builder values with query syntax characters survive text and back', () => {
+    const cases = [
+        ['contains', 'a*b'], ['contains', '^foo'], ['contains', 'cost$'], ['contains', '/tmp/'],
+        ['startsWith', 'a*'], ['startsWith', '^x'], ['endsWith', 'x$'], ['contains', '*'], ['contains', 'a\\*']
+    ];
+    for (const [operator, value] of cases) {
+        const root = { id: 'g1', type: 'group', logic: 'AND', negate: false, children: [{ id: 'r1', type: 'rule', field: 'message', operator, value, enabled: true }] };
+        const text = QueryParser.stringify(builderToAST(root));
+        const rule = queryToBuilder(text).root.children[0];
+        assert.deepStrictEqual([rule.operator, rule.value], [operator, value], `${operator} ${value} -> ${text}`);
+    }
+    assert.strictEqual(QueryParser.stringify(new QueryParser('message:a\\*b').parse()), 'message:a\\*b');
+    assert.strictEqual(new QueryParser('path:\\/tmp\\*').parse().value, '/tmp*');
+    assert.strictEqual(new QueryParser('user:admin*').parse().value, '^admin.*$', 'Unescaped wildcards still work');
+});
+
+runTest('Flat builder rules become groups', () => {
+    const rows = [
+        { level: 'ERROR', fields: { app: 'api' } },
+        { level: 'INFO', fields: { app: 'api' } },
+        { level: 'INFO', fields: { app: 'web' } }
+    ];
+    const rules = [
+        { field: 'level', operator: 'equals', value: 'INFO', logic: 'AND' },
+        { field: 'app', operator: 'equals', value: 'web', logic: 'OR' },
+        { field: 'level', operator: 'equals', value: 'ERROR', logic: null }
+    ];
+    const ast = builderToAST(rulesToGroup(rules));
+    for (const row of rows) {
+        assert.strictEqual(evaluateAST(row, ast), evaluateRules(row, rules));
+    }
+    assert.strictEqual(QueryParser.stringify(ast), 'level=INFO AND app=web OR level=ERROR');
+});
+
+runTest('Text Query to Builder warnings', () => {
+    const convert = q => queryToBuilder(q);
+
+    const clean = convert('level>=WARNING AND (app:api OR NOT app:web)');
+    assert.deepStrictEqual(clean.warnings.map(w => w.message), []);
+    assert.strictEqual(countBuilderRules(clean.root), 3);
+
+    // level offers severity operators, not "contains"; the rule is kept
+    const contains = convert('level:ERROR');
+    assert.strictEqual(contains.warnings.length, 1);
+    assert.strictEqual(contains.warnings[0].dropped, false);
+    assert.ok(contains.warnings[0].message.includes('"contains"'));
+    assert.strictEqual(contains.root.children[0].operator, 'contains');
+
+    // Everything after an unmatched ")" is left out
+    const unmatched = convert('app:api) msg:timeout');
+    assert.strictEqual(unmatched.warnings.length, 1);
+    assert.strictEqual(unmatched.warnings[0].dropped, true);
+    assert.ok(unmatched.warnings[0].message.includes('msg:timeout'));
+    assert.strictEqual(countBuilderRules(unmatched.root), 1);
+    assert.strictEqual(convert('app:api)').warnings[0].dropped, false);
+
+    // Operators with nothing beside them
+    const trailing = convert('app:api AND');
+    assert.strictEqual(trailing.warnings.length, 1);
+    assert.strictEqual(trailing.warnings[0].dropped, true);
+    assert.strictEqual(countBuilderRules(trailing.root), 1);
+    assert.strictEqual(convert('NOT').warnings.length, 1);
+    assert.deepStrictEqual(convert('').warnings, []);
+
+    // Values the parser read as wildcards, anchors or patterns say how the builder shows them
+    for (const [q, operator] of [['message:a*b', 'matches'], ['message:^foo', 'startsWith'], ['message:cost$', 'endsWith'], ['message:/tmp/', 'matches']]) {
+        const converted = convert(q);
+        assert.strictEqual(converted.warnings.length, 1, q);
+        assert.strictEqual(converted.warnings[0].dropped, false);
+        assert.ok(converted.warnings[0].message.startsWith(q), converted.warnings[0].message);
+        assert.strictEqual(converted.root.children[0].operator, operator);
+    }
+    assert.deepStrictEqual(convert('message:a\\*b AND path:\\/tmp/').warnings, [], 'Escaped characters are plain text');
+});
@@ -0,0 +1,26 @@
+
+// Tests for the Storage manager in logsieve.js (run against a stub localStorage)
+
+
+runTest('Saved datasets keep their text and format', () => {
+    const saved = Storage.saveDataset({ name: 'nginx', text: 'a=1\nb=2', format: 'logfmt' });
+    assert.ok(saved.id);
+    assert.ok(saved.created);
+
+    const [loaded] = Storage.getDatasets();
+    assert.strictEqual(loaded.id, saved.id);
+    assert.strictEqual(loaded.text, 'a=1\nb=2');
+    assert.strictEqual(loaded.format, 'logfmt');
+
+    // Saving under the same name replaces it; a dataset saved without a format is sniffed on load
+    const replaced = Storage.saveDataset({ name: 'nginx', text: 'c=3' });
+    assert.strictEqual(replaced.id, saved.id);
+    assert.strictEqual(replaced.created, saved.created);
+    assert.strictEqual(Storage.getDatasets().length, 1);
+    assert.strictEqual(Storage.getDatasets()[0].format, undefined);
+
+    Storage.saveDataset({ name: 'app', text: 'x', format: 'csv' });
+    assert.deepStrictEqual(Storage.getDatasets().map(d => `${d.name}:${d.format}`), ['nginx:undefined', 'app:csv']);
+    Storage.deleteDataset(saved.id);
+    assert.deepStrictEqual(Storage.getDatasets().map(d => d.name), ['app']);
+});